@@ -0,0 +1,27 @@
+// Build script for Meckano Time Tracker Helper
+// Builds every extension entry on its own: the content script and the classic popup/options/background
+// scripts cannot load shared chunks, so each bundle must contain every module it imports.
+import { rmSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { build } from 'vite';
+
+const ROOT = resolve(fileURLToPath(import.meta.url), '../..');
+const ENTRIES = ['content', 'popup', 'background', 'options'];
+
+const watch = process.argv.includes('--watch');
+const modeIndex = process.argv.indexOf('--mode');
+const mode = modeIndex >= 0 ? process.argv[modeIndex + 1] : undefined;
+
+rmSync(resolve(ROOT, 'dist'), { recursive: true, force: true });
+
+for (const entry of ENTRIES) {
+    // Read by vite.config.js, which is evaluated again for every build
+    process.env.BUILD_ENTRY = entry;
+    await build({
+        root: ROOT,
+        configFile: resolve(ROOT, 'vite.config.js'),
+        mode,
+        build: watch ? { watch: {} } : {}
+    });
+}
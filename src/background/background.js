@@ -0,0 +1,568 @@
+// Background service worker for Meckano Time Tracker Helper
+// Schedules fill reminders with chrome.alarms and shows them with chrome.notifications,
+// shows the number of unfilled working days as the toolbar badge, and switches settings profiles.
+// Working days follow the content script's day rules (work week, holiday calendar and policies).
+import { config, CONFIG_OVERRIDES_KEY } from '../content/config.js';
+import { isScheduledWorkDay } from '../content/workWeek.js';
+import { formatDateString } from '../content/utils.js';
+import { SYNC_QUOTA, getSyncItemSize } from '../content/settings.js';
+
+const LOG_PREFIX = '[Meckano Helper] [Background]';
+
+const MECKANO_URL = 'https://app.meckano.co.il/';
+const MECKANO_URL_PATTERN = 'https://app.meckano.co.il/*';
+
+const REMINDER_ALARM = 'fillReminder';
+const BADGE_ALARM = 'badgeRefresh';
+const BADGE_REFRESH_MINUTES = 60;
+const REMINDER_NOTIFICATION = 'fillReminder';
+const RESULT_NOTIFICATION = 'fillResult';
+
+// Keys of the caches the content script stores (workingDayCalendar/completionStatus.storageKey in the content config)
+const CALENDAR_STORAGE_KEY = 'workingDayCalendar';
+const COMPLETION_STORAGE_KEY = 'completionStatus';
+
+const BADGE_COLORS = {
+    complete: '#16a34a',
+    behind: '#f59e0b',
+    monthEnding: '#dc2626'
+};
+
+const DEFAULT_REMINDER_SETTINGS = {
+    remindersEnabled: false,
+    reminderTime: '17:30',
+    dailyReminder: true,
+    monthEndReminderDays: 3,
+    reminderAutoFill: false
+};
+
+// Sync storage keys of the profile bookkeeping; every other sync key is a setting saved in profiles
+const ACTIVE_PROFILE_KEY = 'activeProfile';
+const PROFILE_NAMES_KEY = 'profileNames';
+const PROFILE_KEY_PREFIX = 'profile:';
+const DEFAULT_PROFILE_NAME = 'Regular';
+
+const CONTENT_SCRIPT_RETRIES = 10;
+const CONTENT_SCRIPT_RETRY_DELAY_MS = 1000;
+
+function log(message, data = null) {
+    if (data !== null) {
+        console.log(`${LOG_PREFIX} ${message}`, data);
+    } else {
+        console.log(`${LOG_PREFIX} ${message}`);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The user's config overrides (e.g. HOLIDAY_CALENDAR) apply to the day rules here as in the content script
+const configReady = config.loadOverrides();
+
+/**
+ * Reminder scheduling, working day rules and the notification flow
+ */
+class ReminderService {
+    /**
+     * Read the reminder settings and day rules saved by the popup
+     * Missing work week days and holiday policies fall back to config.json
+     * @returns {Promise<object>} Reminder settings with dayRules ({workWeek, holidayPolicies})
+     */
+    async getSettings() {
+        await configReady;
+        const settings = await chrome.storage.sync.get({ ...DEFAULT_REMINDER_SETTINGS, workWeek: {}, holidayPolicies: {} });
+        return { ...settings, dayRules: { workWeek: settings.workWeek, holidayPolicies: settings.holidayPolicies } };
+    }
+
+    /**
+     * (Re)create the reminder alarm for the next occurrence of the reminder time
+     * @returns {Promise<void>}
+     */
+    async schedule() {
+        const settings = await this.getSettings();
+        await chrome.alarms.clear(REMINDER_ALARM);
+
+        if (!settings.remindersEnabled) {
+            log('Reminders disabled - no alarm scheduled');
+            return;
+        }
+
+        const when = this.getNextReminderTime(settings.reminderTime);
+        chrome.alarms.create(REMINDER_ALARM, { when });
+        log(`⏰ Next reminder check at ${new Date(when).toLocaleString()}`);
+    }
+
+    /**
+     * Get the next time the reminder should fire
+     * @param {string} reminderTime - Time of day in HH:MM format
+     * @param {Date} now - Current time
+     * @returns {number} Timestamp of the next reminder (at least a minute from now)
+     */
+    getNextReminderTime(reminderTime, now = new Date()) {
+        const [hours, minutes] = (reminderTime || DEFAULT_REMINDER_SETTINGS.reminderTime).split(':').map(Number);
+        const next = new Date(now);
+        next.setHours(hours, minutes, 0, 0);
+
+        if (next.getTime() <= now.getTime() + 60 * 1000) {
+            next.setDate(next.getDate() + 1);
+        }
+        return next.getTime();
+    }
+
+    /**
+     * Check whether a date is a working day
+     * Uses the calendar recorded from the timesheet (days off, holidays, absences) when the date is known,
+     * and the work week and holiday calendar otherwise
+     * @param {Date} date - Date to check
+     * @param {object} calendar - Stored calendar of DD/MM/YYYY to {isWorkingDay, isComplete}
+     * @param {object} dayRules - {workWeek, holidayPolicies} from the settings
+     * @returns {boolean} True for working days
+     */
+    isWorkingDay(date, calendar, dayRules = {}) {
+        const dateString = formatDateString(date);
+        const known = calendar[dateString];
+        if (known) {
+            return known.isWorkingDay;
+        }
+        return isScheduledWorkDay(dateString, dayRules);
+    }
+
+    /**
+     * Count the working days from a date through the end of its month
+     * @param {Date} date - First day to count
+     * @param {object} calendar - Stored working day calendar
+     * @param {object} dayRules - Day rules from the settings
+     * @returns {number} Remaining working days including the given date
+     */
+    countRemainingWorkingDays(date, calendar, dayRules) {
+        let count = 0;
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+        while (day.getMonth() === date.getMonth()) {
+            if (this.isWorkingDay(day, calendar, dayRules)) {
+                count++;
+            }
+            day.setDate(day.getDate() + 1);
+        }
+        return count;
+    }
+
+    /**
+     * Check whether the stored calendar shows every working day of the month through today as filled
+     * @param {Date} today - Current date
+     * @param {object} calendar - Stored working day calendar
+     * @returns {boolean} True if the timesheet is known to be complete so far
+     */
+    isKnownComplete(today, calendar) {
+        for (let dayOfMonth = 1; dayOfMonth <= today.getDate(); dayOfMonth++) {
+            const day = new Date(today.getFullYear(), today.getMonth(), dayOfMonth);
+            const known = calendar[formatDateString(day)];
+            if (!known) {
+                return false;
+            }
+            if (known.isWorkingDay && !known.isComplete) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Decide which reminder (if any) is due today
+     * @param {object} settings - Reminder settings
+     * @param {Date} today - Current date
+     * @param {object} calendar - Stored working day calendar
+     * @returns {object|null} Notification content as {title, message}, or null if no reminder is due
+     */
+    getDueReminder(settings, today, calendar) {
+        if (!this.isWorkingDay(today, calendar, settings.dayRules)) {
+            log(`${formatDateString(today)} is not a working day - no reminder`);
+            return null;
+        }
+
+        if (this.isKnownComplete(today, calendar)) {
+            log('Timesheet is already complete through today - no reminder');
+            return null;
+        }
+
+        const remaining = this.countRemainingWorkingDays(today, calendar, settings.dayRules);
+        if (settings.monthEndReminderDays > 0 && remaining <= settings.monthEndReminderDays) {
+            return {
+                title: 'Month is almost over',
+                message: remaining === 1
+                    ? 'Today is the last working day of the month - fill your hours in Meckano.'
+                    : `${remaining} working days left this month - fill your hours in Meckano.`
+            };
+        }
+
+        if (settings.dailyReminder) {
+            return {
+                title: 'Time to report your hours',
+                message: 'Don\'t forget to fill today\'s hours in Meckano.'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Alarm handler: show the reminder if one is due, then schedule the next check
+     * @returns {Promise<void>}
+     */
+    async handleAlarm() {
+        try {
+            const settings = await this.getSettings();
+            if (!settings.remindersEnabled) {
+                return;
+            }
+
+            const { [CALENDAR_STORAGE_KEY]: calendar = {} } = await chrome.storage.local.get(CALENDAR_STORAGE_KEY);
+            const reminder = this.getDueReminder(settings, new Date(), calendar);
+            if (reminder) {
+                chrome.notifications.create(REMINDER_NOTIFICATION, {
+                    type: 'basic',
+                    iconUrl: 'icons/icon128.png',
+                    title: reminder.title,
+                    message: settings.reminderAutoFill ? `${reminder.message} Click to fill now.` : reminder.message,
+                    priority: 1
+                });
+                log('🔔 Reminder shown', reminder);
+            }
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Reminder check failed:`, error);
+        } finally {
+            await this.schedule();
+        }
+    }
+
+    /**
+     * Notification click handler: open Meckano and optionally run the fill there
+     * @param {string} notificationId - Clicked notification
+     * @returns {Promise<void>}
+     */
+    async handleNotificationClick(notificationId) {
+        chrome.notifications.clear(notificationId);
+        if (notificationId !== REMINDER_NOTIFICATION) {
+            return;
+        }
+
+        const settings = await this.getSettings();
+        const tab = await this.openMeckano();
+
+        if (settings.reminderAutoFill) {
+            await this.runAutoFill(tab.id);
+        }
+    }
+
+    /**
+     * Focus an open Meckano tab, or open a new one
+     * @returns {Promise<chrome.tabs.Tab>} The Meckano tab
+     */
+    async openMeckano() {
+        const [existing] = await chrome.tabs.query({ url: MECKANO_URL_PATTERN });
+        if (existing) {
+            await chrome.tabs.update(existing.id, { active: true });
+            await chrome.windows.update(existing.windowId, { focused: true });
+            return existing;
+        }
+
+        return chrome.tabs.create({ url: MECKANO_URL });
+    }
+
+    /**
+     * Ask the content script in a Meckano tab to fill, and report the outcome as a notification
+     * Retries while the tab is still loading the content script
+     * @param {number} tabId - Meckano tab
+     * @returns {Promise<void>}
+     */
+    async runAutoFill(tabId) {
+        let response = null;
+
+        for (let attempt = 1; attempt <= CONTENT_SCRIPT_RETRIES && !response; attempt++) {
+            try {
+                response = await chrome.tabs.sendMessage(tabId, { action: 'autoFill' });
+            } catch (error) {
+                log(`Content script not ready (attempt ${attempt}/${CONTENT_SCRIPT_RETRIES})`);
+                await sleep(CONTENT_SCRIPT_RETRY_DELAY_MS);
+            }
+        }
+
+        const summary = response?.report?.summary;
+        chrome.notifications.create(RESULT_NOTIFICATION, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: response?.success ? 'Hours filled' : 'Auto-fill did not complete',
+            message: response?.success
+                ? `Filled ${summary.fill} dates and ${summary.absence} absences.`
+                : response?.error || 'Could not reach the Meckano page - open the popup to fill manually.'
+        });
+    }
+}
+
+/**
+ * Toolbar badge with the number of working days through today that are not filled yet
+ */
+class BadgeService {
+    /**
+     * @param {ReminderService} reminders - Source of the working day rules and the month-end setting
+     */
+    constructor(reminders) {
+        this.reminders = reminders;
+    }
+
+    /**
+     * Update the badge from the completion status the content script cached
+     * The badge is cleared when the cached status is not for the current month
+     * @returns {Promise<void>}
+     */
+    async update() {
+        const {
+            [COMPLETION_STORAGE_KEY]: status,
+            [CALENDAR_STORAGE_KEY]: calendar = {}
+        } = await chrome.storage.local.get([COMPLETION_STORAGE_KEY, CALENDAR_STORAGE_KEY]);
+        const now = new Date();
+
+        if (!status || status.year !== now.getFullYear() || status.month !== now.getMonth() + 1) {
+            await chrome.action.setBadgeText({ text: '' });
+            await chrome.action.setTitle({ title: 'Meckano Time Tracker Helper' });
+            return;
+        }
+
+        const state = await this.getState(status, now, calendar);
+        await chrome.action.setBadgeText({ text: state.text });
+        await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[state.type] });
+        await chrome.action.setTitle({ title: `Meckano Time Tracker Helper - ${state.title}` });
+    }
+
+    /**
+     * Choose badge text and colour: complete, behind, or behind with the month ending soon
+     * @param {object} status - Cached completion status
+     * @param {Date} now - Current time
+     * @param {object} calendar - Stored working day calendar
+     * @returns {Promise<object>} Badge state as {type, text, title}
+     */
+    async getState(status, now, calendar) {
+        const unfilled = status.unfilledThroughToday;
+        if (unfilled === 0) {
+            return { type: 'complete', text: '✓', title: 'all working days through today are filled' };
+        }
+
+        const settings = await this.reminders.getSettings();
+        const monthEndDays = settings.monthEndReminderDays ?? DEFAULT_REMINDER_SETTINGS.monthEndReminderDays;
+        const remaining = this.reminders.countRemainingWorkingDays(now, calendar, settings.dayRules);
+        const title = `${unfilled} working days not filled`;
+
+        if (remaining <= monthEndDays) {
+            return { type: 'monthEnding', text: String(unfilled), title: `${title}, ${remaining} working days left this month` };
+        }
+        return { type: 'behind', text: String(unfilled), title };
+    }
+}
+
+/**
+ * Named settings profiles (e.g. "Regular", "Reserve duty month", "Part time")
+ * The active settings stay in their usual sync keys, so the popup, content script and reminders read them unchanged;
+ * each profile is a snapshot of those keys under its own sync key (one item per profile keeps within the item quota)
+ */
+class ProfileService {
+    /**
+     * Check whether a sync storage key holds a setting rather than profile bookkeeping
+     * @param {string} key - Sync storage key
+     * @returns {boolean} True for settings
+     */
+    isSettingKey(key) {
+        return key !== ACTIVE_PROFILE_KEY && key !== PROFILE_NAMES_KEY && !key.startsWith(PROFILE_KEY_PREFIX);
+    }
+
+    /**
+     * Read the active settings
+     * @returns {Promise<object>} Setting key to value
+     */
+    async getCurrentSettings() {
+        const stored = await chrome.storage.sync.get(null);
+        return Object.fromEntries(Object.entries(stored).filter(([key]) => this.isSettingKey(key)));
+    }
+
+    /**
+     * Check that profile snapshots fit in one sync item each, before anything is written
+     * @param {object} items - Profile storage key to settings snapshot
+     * @returns {string|null} Error message for the first profile over the quota, or null if all fit
+     */
+    findOversizedProfile(items) {
+        for (const [key, settings] of Object.entries(items)) {
+            const size = getSyncItemSize(key, settings);
+            if (size > SYNC_QUOTA.bytesPerItem) {
+                const name = key.slice(PROFILE_KEY_PREFIX.length);
+                log(`❌ Profile "${name}" is ${size} bytes, over the sync item quota`);
+                return `Profile "${name}" is too large to sync (${size} bytes, the limit is ${SYNC_QUOTA.bytesPerItem}). ` +
+                    'Shorten large settings such as the config overrides or absences and try again.';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * List the saved profiles
+     * @returns {Promise<object>} Result object with profiles (names) and active (name of the active profile)
+     */
+    async list() {
+        const {
+            [PROFILE_NAMES_KEY]: profiles = [],
+            [ACTIVE_PROFILE_KEY]: active = DEFAULT_PROFILE_NAME
+        } = await chrome.storage.sync.get([PROFILE_NAMES_KEY, ACTIVE_PROFILE_KEY]);
+
+        return { success: true, profiles: profiles.includes(active) ? profiles : [active, ...profiles], active };
+    }
+
+    /**
+     * Save the active settings as a profile and make it the active one
+     * The profile being left keeps the same settings, as when switching
+     * @param {string} name - Profile name (an existing profile is overwritten)
+     * @returns {Promise<object>} Result object with the updated profile list
+     */
+    async save(name) {
+        const profileName = (name || '').trim();
+        if (!profileName) {
+            return { success: false, error: 'Profile name is required' };
+        }
+
+        const { profiles, active } = await this.list();
+        const current = await this.getCurrentSettings();
+        const error = this.findOversizedProfile({
+            [PROFILE_KEY_PREFIX + active]: current,
+            [PROFILE_KEY_PREFIX + profileName]: current
+        });
+        if (error) {
+            return { success: false, quotaExceeded: true, error };
+        }
+
+        await chrome.storage.sync.set({
+            [PROFILE_KEY_PREFIX + active]: current,
+            [PROFILE_KEY_PREFIX + profileName]: current,
+            [PROFILE_NAMES_KEY]: profiles.includes(profileName) ? profiles : [...profiles, profileName],
+            [ACTIVE_PROFILE_KEY]: profileName
+        });
+
+        log(`💾 Saved profile "${profileName}"`);
+        return { ...(await this.list()), message: `Saved profile "${profileName}"` };
+    }
+
+    /**
+     * Switch to another profile: the active settings are saved to the current profile first,
+     * then replaced by the other profile's settings (settings it does not have fall back to defaults)
+     * @param {string} name - Profile to activate
+     * @returns {Promise<object>} Result object with the updated profile list
+     */
+    async switchTo(name) {
+        const { profiles, active } = await this.list();
+        if (!profiles.includes(name)) {
+            return { success: false, error: `Unknown profile "${name}"` };
+        }
+        if (name === active) {
+            return { ...(await this.list()), message: `"${name}" is already active` };
+        }
+
+        const current = await this.getCurrentSettings();
+        // The active settings are saved to their profile first; stop before touching them if that cannot work
+        const error = this.findOversizedProfile({ [PROFILE_KEY_PREFIX + active]: current });
+        if (error) {
+            return { success: false, quotaExceeded: true, error };
+        }
+
+        const { [PROFILE_KEY_PREFIX + name]: target = {} } = await chrome.storage.sync.get(PROFILE_KEY_PREFIX + name);
+
+        await chrome.storage.sync.set({ [PROFILE_KEY_PREFIX + active]: current, [PROFILE_NAMES_KEY]: profiles });
+        await chrome.storage.sync.remove(Object.keys(current).filter(key => !(key in target)));
+        await chrome.storage.sync.set({ ...target, [ACTIVE_PROFILE_KEY]: name });
+
+        log(`🔀 Switched profile from "${active}" to "${name}"`);
+        return { ...(await this.list()), message: `Switched to "${name}"` };
+    }
+
+    /**
+     * Delete a profile other than the active one
+     * @param {string} name - Profile to delete
+     * @returns {Promise<object>} Result object with the updated profile list
+     */
+    async remove(name) {
+        const { profiles, active } = await this.list();
+        if (name === active) {
+            return { success: false, error: 'The active profile cannot be deleted - switch to another profile first' };
+        }
+
+        await chrome.storage.sync.remove(PROFILE_KEY_PREFIX + name);
+        await chrome.storage.sync.set({ [PROFILE_NAMES_KEY]: profiles.filter(profile => profile !== name) });
+
+        log(`🗑️ Deleted profile "${name}"`);
+        return { ...(await this.list()), message: `Deleted profile "${name}"` };
+    }
+
+    /**
+     * Answer a profile message from the popup or the options page
+     * @param {object} request - Message with action and name
+     * @returns {Promise<object>|null} Result promise, or null if the message is not about profiles
+     */
+    handleMessage(request) {
+        switch (request?.action) {
+            case 'listProfiles':
+                return this.list();
+            case 'saveProfile':
+                return this.save(request.name);
+            case 'switchProfile':
+                return this.switchTo(request.name);
+            case 'deleteProfile':
+                return this.remove(request.name);
+            default:
+                return null;
+        }
+    }
+}
+
+const reminders = new ReminderService();
+const badge = new BadgeService(reminders);
+const profiles = new ProfileService();
+
+// Listeners are registered synchronously so the service worker is woken up for them
+chrome.runtime.onInstalled.addListener(() => {
+    reminders.schedule();
+    // Periodic refresh so the badge follows the date (new day, new month) without a page visit
+    chrome.alarms.create(BADGE_ALARM, { periodInMinutes: BADGE_REFRESH_MINUTES });
+    badge.update();
+});
+chrome.runtime.onStartup.addListener(() => {
+    reminders.schedule();
+    badge.update();
+});
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === REMINDER_ALARM) {
+        reminders.handleAlarm();
+    } else if (alarm.name === BADGE_ALARM) {
+        badge.update();
+    }
+});
+chrome.notifications.onClicked.addListener(notificationId => reminders.handleNotificationClick(notificationId));
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    const result = profiles.handleMessage(request);
+    if (!result) {
+        return false;
+    }
+
+    result
+        .then(response => sendResponse(response))
+        .catch(error => {
+            log(`❌ ${request.action} failed: ${error.message}`);
+            sendResponse({ success: false, error: error.message });
+        });
+    return true; // Keep message channel open for async response
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+    const reminderKeys = Object.keys(DEFAULT_REMINDER_SETTINGS);
+    if (area === 'sync' && Object.keys(changes).some(key => reminderKeys.includes(key))) {
+        reminders.schedule();
+    }
+    if ((area === 'local' && (COMPLETION_STORAGE_KEY in changes || CALENDAR_STORAGE_KEY in changes)) ||
+        (area === 'sync' && ['workWeek', 'holidayPolicies', CONFIG_OVERRIDES_KEY].some(key => key in changes))) {
+        badge.update();
+    }
+});
@@ -1,13 +1,29 @@
 // Configuration manager for Meckano Time Tracker Helper
-import configData from './config.json' assert { type: 'json' };
+import configData from './config.json' with { type: 'json' };
+import { validateConfigValue, isPlainObject } from './configSchema.js';
+
+/**
+ * Sync storage key of the user's overrides, edited on the options page
+ */
+export const CONFIG_OVERRIDES_KEY = 'configOverrides';
+
+/**
+ * Local storage key where the validation errors of the overrides are published for the options page
+ */
+export const CONFIG_ERRORS_KEY = 'configOverrideErrors';
 
 /**
  * Configuration class providing centralized access to app settings
  * Singleton pattern ensures consistent config across modules
+ * Values come from two layers: the user's overrides (validated against CONFIG_SCHEMA) over the bundled config.json
  */
 export class Config {
     static #instance = null;
     #config = null;
+    #overrides = {};
+    #errors = [];
+    #listeners = new Set();
+    #watching = false;
 
     constructor() {
         if (Config.#instance) {
@@ -33,13 +49,150 @@ export class Config {
      * Get configuration value by key
      * @param {string} key - Configuration key
      * @param {*} defaultValue - Default value if key not found
-     * @returns {*} Configuration value
+     * @param {object} options - Lookup options
+     * @param {boolean} options.withLayer - Return {value, layer} instead of the bare value, where layer is
+     *                                      'user' (override from the options page, merged into the bundled
+     *                                      value for objects), 'bundled' (config.json) or 'default' (defaultValue)
+     * @returns {*} Configuration value, or {value, layer} with options.withLayer
      */
-    get(key, defaultValue = null) {
-        return this.#config[key] ?? defaultValue;
+    get(key, defaultValue = null, { withLayer = false } = {}) {
+        const resolved = this.#resolve(key, defaultValue);
+        return withLayer ? resolved : resolved.value;
     }
 
+    /**
+     * Resolve a key through the override and bundled layers
+     * @param {string} key - Configuration key
+     * @param {*} defaultValue - Default value if key not found
+     * @returns {object} {value, layer}
+     */
+    #resolve(key, defaultValue) {
+        const value = this.#config[key];
+        const override = this.#overrides[key];
 
+        if (override !== undefined) {
+            return { value: mergeOverride(value, override), layer: 'user' };
+        }
+        if (value !== undefined && value !== null) {
+            return { value, layer: 'bundled' };
+        }
+        return { value: defaultValue, layer: 'default' };
+    }
+
+    /**
+     * Layer user overrides over the bundled config.json values
+     * Invalid values are dropped (the bundled value stays in effect) and reported by getErrors;
+     * listeners of every key whose value changed are notified
+     * @param {object} overrides - Configuration key to value
+     * @returns {string[]} Validation errors
+     */
+    setOverrides(overrides) {
+        const previous = this.getAll();
+        const valid = {};
+        const errors = [];
+
+        for (const [key, value] of Object.entries(isPlainObject(overrides) ? overrides : {})) {
+            // Only what the override sets is checked; required entries may come from the bundled value
+            const valueErrors = validateConfigValue(key, value, this.#config[key]);
+            if (valueErrors.length > 0) {
+                errors.push(...valueErrors);
+            } else {
+                valid[key] = value;
+            }
+        }
+
+        this.#overrides = valid;
+        this.#errors = errors;
+        for (const error of errors) {
+            console.warn(`[Config] Ignoring override - ${error}`);
+        }
+
+        const changedKeys = new Set([...Object.keys(previous), ...Object.keys(this.getAll())]);
+        for (const key of changedKeys) {
+            if (JSON.stringify(previous[key]) !== JSON.stringify(this.get(key))) {
+                this.#notify(key);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get the problems found in the user's overrides
+     * @returns {string[]} Validation errors of the last applied overrides
+     */
+    getErrors() {
+        return [...this.#errors];
+    }
+
+    /**
+     * Call a listener whenever a key's value changes (e.g. the user edits an override)
+     * @param {string} key - Configuration key
+     * @param {Function} listener - Called as listener(value, layer)
+     * @returns {Function} Function removing the listener
+     */
+    onChange(key, listener) {
+        const subscription = { key, listener };
+        this.#listeners.add(subscription);
+        return () => this.#listeners.delete(subscription);
+    }
+
+    /**
+     * Notify the listeners of a key
+     * @param {string} key - Configuration key that changed
+     */
+    #notify(key) {
+        const { value, layer } = this.#resolve(key, null);
+        for (const subscription of this.#listeners) {
+            if (subscription.key !== key) {
+                continue;
+            }
+            try {
+                subscription.listener(value, layer);
+            } catch (error) {
+                console.error(`[Config] Listener for ${key} failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Read the user's overrides from sync storage and follow later edits
+     * The bundled values stay in effect when storage cannot be read
+     * @returns {Promise<boolean>} True if the overrides were loaded
+     */
+    async loadOverrides() {
+        try {
+            const { [CONFIG_OVERRIDES_KEY]: overrides = {} } = await chrome.storage.sync.get(CONFIG_OVERRIDES_KEY);
+            await this.#applyStoredOverrides(overrides);
+
+            if (!this.#watching) {
+                this.#watching = true;
+                chrome.storage.onChanged.addListener((changes, area) => {
+                    if (area === 'sync' && CONFIG_OVERRIDES_KEY in changes) {
+                        this.#applyStoredOverrides(changes[CONFIG_OVERRIDES_KEY].newValue || {});
+                    }
+                });
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to load config overrides:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Apply overrides read from storage and publish their validation errors for the options page
+     * @param {object} overrides - Configuration key to value
+     * @returns {Promise<void>}
+     */
+    async #applyStoredOverrides(overrides) {
+        const errors = this.setOverrides(overrides);
+        try {
+            await chrome.storage.local.set({ [CONFIG_ERRORS_KEY]: { errors, checkedAt: new Date().toISOString() } });
+        } catch (error) {
+            console.error('Failed to store config override errors:', error);
+        }
+    }
 
     /**
      * Check if configuration key exists
@@ -55,8 +208,32 @@ export class Config {
      * @returns {object} Complete configuration object
      */
     getAll() {
-        return { ...this.#config };
+        const all = { ...this.#config };
+        for (const key of Object.keys(this.#overrides)) {
+            all[key] = this.get(key);
+        }
+        return all;
+    }
+}
+
+/**
+ * Lay an override over a bundled value
+ * Plain objects merge key by key at every depth (e.g. one holiday policy keeps its siblings);
+ * anything else, arrays included, is replaced by the override
+ * @param {*} value - Bundled value
+ * @param {*} override - Overriding value
+ * @returns {*} Effective value
+ */
+export function mergeOverride(value, override) {
+    if (!isPlainObject(value) || !isPlainObject(override)) {
+        return override;
+    }
+
+    const merged = { ...value };
+    for (const [key, item] of Object.entries(override)) {
+        merged[key] = key in value ? mergeOverride(value[key], item) : item;
     }
+    return merged;
 }
 
 // Export convenience method for direct access
@@ -0,0 +1,215 @@
+// Configuration schema for Meckano Time Tracker Helper
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+const selectorEntry = {
+    type: 'object',
+    required: ['selectors'],
+    properties: {
+        selectors: { type: 'array', minItems: 1, items: { type: 'string' } },
+        within: { type: 'string' },
+        optional: { type: 'boolean' }
+    }
+};
+
+const holidayPolicy = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { type: 'enum', values: ['work', 'skip', 'halfDay', 'customHours'] },
+        checkin: { type: 'string', pattern: TIME_PATTERN, hint: 'HH:MM' },
+        checkout: { type: 'string', pattern: TIME_PATTERN, hint: 'HH:MM' }
+    }
+};
+
+/**
+ * Schema of the config.json keys users may override
+ * Keys that are missing here (e.g. storage keys shared with the popup and background worker) cannot be overridden.
+ * Object values are overridden property by property at every depth: only the properties an override contains
+ * are validated, and required properties may come from the bundled value.
+ * Bookkeeping entries such as storageKey are deliberately left out, so they cannot be overridden.
+ */
+export const CONFIG_SCHEMA = {
+    DEBUG_MODE: { type: 'boolean' },
+    LOG_PREFIX: { type: 'string' },
+    HEBREW_DAYS: { type: 'map', values: { type: 'string' } },
+    MISSING_EVENT_SKIP_RULES: { type: 'map', values: { type: 'string' } },
+    WORK_WEEK: { type: 'map', values: { type: 'enum', values: ['work', 'halfDay', 'off'] } },
+    HOLIDAY_CALENDAR: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            policies: { type: 'map', values: holidayPolicy }
+        }
+    },
+    ABSENCE_TYPES: {
+        type: 'map',
+        values: {
+            type: 'object',
+            required: ['label', 'keywords'],
+            properties: {
+                label: { type: 'string' },
+                keywords: { type: 'array', minItems: 1, items: { type: 'string' } }
+            }
+        }
+    },
+    dialogManager: {
+        type: 'object',
+        properties: {
+            waitForDialogTimeoutMs: { type: 'integer', min: 1000, max: 300000 },
+            waitForDialogCloseTimeoutMs: { type: 'integer', min: 1000, max: 300000 }
+        }
+    },
+    icsDataProvider: {
+        type: 'object',
+        properties: {
+            skipKeywords: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    formManager: {
+        type: 'object',
+        properties: {
+            addSegmentDelayMs: { type: 'integer', min: 0, max: 10000 }
+        }
+    },
+    SELECTORS: { type: 'map', values: selectorEntry },
+    workingDayCalendar: {
+        type: 'object',
+        properties: {
+            keepDays: { type: 'integer', min: 1, max: 366 }
+        }
+    },
+    completionStatus: {
+        type: 'object',
+        properties: {
+            refreshDelayMs: { type: 'integer', min: 100, max: 60000 }
+        }
+    }
+};
+
+/**
+ * Check an override value against the schema of its key
+ * @param {string} key - Configuration key
+ * @param {*} value - Overriding value
+ * @param {*} bundled - Bundled value the override is merged into (supplies required properties)
+ * @returns {string[]} Error messages naming the offending path (empty when the value is valid)
+ */
+export function validateConfigValue(key, value, bundled = undefined) {
+    const schema = CONFIG_SCHEMA[key];
+    if (!schema) {
+        return [`${key}: is not a setting that can be overridden`];
+    }
+
+    return validateValue(schema, value, key, bundled);
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {object} schema - Schema node
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, for error messages
+ * @param {*} bundled - Bundled value at the same path, if any
+ * @returns {string[]} Error messages
+ */
+function validateValue(schema, value, path, bundled) {
+    switch (schema.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? [] : [`${path}: must be true or false, got ${describe(value)}`];
+
+        case 'string':
+            if (typeof value !== 'string') {
+                return [`${path}: must be a string, got ${describe(value)}`];
+            }
+            if (schema.pattern && !schema.pattern.test(value)) {
+                return [`${path}: must be ${schema.hint || `a string matching ${schema.pattern}`}, got "${value}"`];
+            }
+            return [];
+
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return [`${path}: must be a whole number, got ${describe(value)}`];
+            }
+            if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                return [`${path}: must be between ${schema.min} and ${schema.max}, got ${value}`];
+            }
+            return [];
+
+        case 'enum':
+            return schema.values.includes(value)
+                ? []
+                : [`${path}: must be one of ${schema.values.map(option => `"${option}"`).join(', ')}, got ${describe(value)}`];
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return [`${path}: must be a list, got ${describe(value)}`];
+            }
+            if (schema.minItems && value.length < schema.minItems) {
+                return [`${path}: needs at least ${schema.minItems} item(s)`];
+            }
+            return value.flatMap((item, index) => validateValue(schema.items, item, `${path}[${index}]`));
+        }
+
+        case 'map':
+            if (!isPlainObject(value)) {
+                return [`${path}: must be an object, got ${describe(value)}`];
+            }
+            return Object.entries(value).flatMap(([name, item]) =>
+                validateValue(schema.values, item, `${path}.${name}`, bundledEntry(bundled, name)));
+
+        case 'object': {
+            if (!isPlainObject(value)) {
+                return [`${path}: must be an object, got ${describe(value)}`];
+            }
+            const errors = (schema.required || [])
+                .filter(name => !(name in value) && bundledEntry(bundled, name) === undefined)
+                .map(name => `${path}.${name}: is required`);
+            for (const [name, item] of Object.entries(value)) {
+                const propertySchema = schema.properties[name];
+                errors.push(...(propertySchema
+                    ? validateValue(propertySchema, item, `${path}.${name}`, bundledEntry(bundled, name))
+                    : [`${path}.${name}: is not a known setting`]));
+            }
+            return errors;
+        }
+
+        default:
+            return [`${path}: has an unknown schema type ${schema.type}`];
+    }
+}
+
+/**
+ * Get an entry of a bundled object value
+ * @param {*} bundled - Bundled value
+ * @param {string} name - Property name
+ * @returns {*} The entry, or undefined when the bundled value is not an object or lacks it
+ */
+function bundledEntry(bundled, name) {
+    return isPlainObject(bundled) ? bundled[name] : undefined;
+}
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - Any value
+ * @returns {string} Short description such as 'a list' or '"abc"'
+ */
+function describe(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'a list';
+    }
+    if (typeof value === 'string') {
+        return `"${value}"`;
+    }
+    return typeof value === 'object' ? 'an object' : String(value);
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+export function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -1,28 +1,79 @@
 // ConstantDataProvider class for Meckano Time Tracker Helper
 import { DataProvider } from './dataProvider.js';
 import { createLogger } from './logger.js';
-import { humanizeTime } from './utils.js';
+import { isValidTimeFormat, timeToMinutes, minutesToTime } from './utils.js';
 
 const logger = createLogger('ConstantDataProvider');
 
 /**
  * Data provider that returns constant times for all dates
- * Supports optional humanization (±20 minute randomization)
+ * Supports optional humanization (see Humanizer) and an optional break,
+ * which splits the day into two report lines
  */
 export class ConstantDataProvider extends DataProvider {
     /**
      * Create a ConstantDataProvider instance
      * @param {string} checkinTime - Check-in time in HH:MM format
      * @param {string} checkoutTime - Check-out time in HH:MM format
-     * @param {boolean} humanize - Whether to add random variation to times
+     * @param {Humanizer|null} humanizer - Humanizer adding random variation to times (null for exact times)
+     * @param {string|null} breakStartTime - Break start in HH:MM format (null for no break)
+     * @param {number} breakMinutes - Break duration in minutes (0 for no break)
      */
-    constructor(checkinTime, checkoutTime, humanize = false) {
+    constructor(checkinTime, checkoutTime, humanizer = null, breakStartTime = null, breakMinutes = 0) {
         super();
         this.checkinTime = checkinTime;
         this.checkoutTime = checkoutTime;
-        this.humanize = humanize;
+        this.humanizer = humanizer;
+        this.breakStartTime = breakStartTime;
+        this.breakMinutes = Number(breakMinutes) || 0;
         
-        logger.log(`Initialized with ${humanize ? 'humanized' : 'constant'} times: ${checkinTime} - ${checkoutTime}`);
+        logger.log(`Initialized with ${humanizer ? `humanized (${humanizer.strategy})` : 'constant'} times: ${checkinTime} - ${checkoutTime}` +
+            (this.hasBreak() ? `, ${this.breakMinutes} min break at ${breakStartTime}` : ''));
+    }
+
+    /**
+     * Check whether a break is configured
+     * @returns {boolean} True if the day is split by a break
+     */
+    hasBreak() {
+        return this.breakMinutes > 0 && Boolean(this.breakStartTime);
+    }
+
+    /**
+     * Report a break that does not fit inside the working day
+     * @returns {object[]} Array of {location, message} issues
+     */
+    validate() {
+        if (!this.hasBreak()) {
+            return [];
+        }
+
+        if (!isValidTimeFormat(this.breakStartTime)) {
+            return [{ location: 'Break', message: `Invalid break start time "${this.breakStartTime}"` }];
+        }
+
+        const breakStart = timeToMinutes(this.breakStartTime);
+        const breakEnd = breakStart + this.breakMinutes;
+        if (breakStart <= timeToMinutes(this.checkinTime) || breakEnd >= timeToMinutes(this.checkoutTime)) {
+            return [{ location: 'Break', message: `Break ${this.breakStartTime} (+${this.breakMinutes} min) must fall inside ${this.checkinTime} - ${this.checkoutTime}` }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Split a day's times into two segments around the configured break
+     * @param {string} checkin - Day check-in time
+     * @param {string} checkout - Day check-out time
+     * @returns {object[]} Two {checkin, checkout} segments
+     */
+    splitAroundBreak(checkin, checkout) {
+        const breakStart = timeToMinutes(this.breakStartTime);
+
+        return [
+            { checkin, checkout: this.breakStartTime },
+            { checkin: minutesToTime(breakStart + this.breakMinutes), checkout }
+        ];
     }
 
     /**
@@ -34,42 +85,29 @@ export class ConstantDataProvider extends DataProvider {
     getTimeData(date) {
         logger.log(`Getting time data for date: ${date}`);
         
-        if (!this.humanize) {
+        if (!this.humanizer) {
+            if (this.hasBreak()) {
+                return this.splitAroundBreak(this.checkinTime, this.checkoutTime);
+            }
             return {
                 checkin: this.checkinTime,
                 checkout: this.checkoutTime
             };
         }
         
-        // Humanize: add random variation of ±20 minutes to each time
-        const checkinHumanized = this.addRandomVariation(this.checkinTime);
-        const checkoutHumanized = this.addRandomVariation(this.checkoutTime);
+        const { checkin: checkinHumanized, checkout: checkoutHumanized } =
+            this.humanizer.humanize(this.checkinTime, this.checkoutTime, date);
         
         logger.log(`Humanized times for ${date}: ${checkinHumanized} - ${checkoutHumanized}`);
         logger.log(`Base times were: ${this.checkinTime} - ${this.checkoutTime}`);
         
+        if (this.hasBreak()) {
+            return this.splitAroundBreak(checkinHumanized, checkoutHumanized);
+        }
+        
         return {
             checkin: checkinHumanized,
             checkout: checkoutHumanized
         };
     }
-
-    /**
-     * Add random variation of ±20 minutes to a time string
-     * @param {string} timeString - Time in HH:MM format
-     * @returns {string} Time with random variation in HH:MM format
-     */
-    addRandomVariation(timeString) {
-        const [hours, minutes] = timeString.split(':').map(Number);
-        const totalMinutes = hours * 60 + minutes;
-        
-        // Generate random variation between -20 and +20 minutes
-        const variation = Math.floor(Math.random() * 41) - 20; // -20 to +20
-        const newTotalMinutes = Math.max(0, Math.min(1439, totalMinutes + variation)); // Keep within 00:00-23:59
-        
-        const newHours = Math.floor(newTotalMinutes / 60);
-        const newMinutes = newTotalMinutes % 60;
-        
-        return `${String(newHours).padStart(2, '0')}:${String(newMinutes).padStart(2, '0')}`;
-    }
 }
@@ -3,9 +3,21 @@
 
 import { createLogger } from './logger.js';
 import { config } from './config.js';
+import { expandIsoDateRange, parseDateString } from './utils.js';
 import { DialogManager } from './dialogManager.js';
 import { FormManager } from './formManager.js';
 import { ConstantDataProvider } from './constantDataProvider.js';
+import { WeeklyScheduleDataProvider } from './weeklyScheduleDataProvider.js';
+import { FileImportDataProvider } from './fileImportDataProvider.js';
+import { IcsDataProvider } from './icsDataProvider.js';
+import { GitHistoryDataProvider } from './gitHistoryDataProvider.js';
+import { MonthlyTargetDataProvider } from './monthlyTargetDataProvider.js';
+import { Humanizer } from './humanizer.js';
+import { FillJournal } from './fillJournal.js';
+import { createScopeFilter, findScopeProblem, FILL_SCOPE_LABELS } from './fillScope.js';
+import { selectorRegistry } from './selectorRegistry.js';
+import { FloatingPanel } from './floatingPanel.js';
+import { loadStoredTimeData } from './storedTimeData.js';
 
 const logger = createLogger('MeckanoFormFiller');
 
@@ -20,8 +32,20 @@ class MeckanoFormFiller {
         this.formManager = new FormManager();
         this.dataProvider = null; // Will be set when needed
         
-        // Set up message listener
+        // Optional in-page panel offering the popup's main controls
+        this.floatingPanel = new FloatingPanel({
+            preview: timeData => this.previewFill(timeData),
+            fill: (timeData, control) => this.fillWorkingHours(timeData, control)
+        });
+        this.floatingPanel.initialize().catch(error => logger.error('Failed to initialize floating panel:', error));
+        
+        // Set up message and long-lived port listeners
         this.initializeMessageListener();
+        this.initializePortListener();
+        
+        // Keep the cached working days and completion status (toolbar badge) in sync with the timesheet
+        this.timesheetSignature = null;
+        this.watchTimesheet();
         logger.log('Meckano Form Filler initialized with modular architecture');
     }
 
@@ -35,15 +59,27 @@ class MeckanoFormFiller {
             
             switch (request.action) {
                 case 'fillHours':
-                    this.fillWorkingHours(request.data)
-                        .then(result => sendResponse(result))
-                        .catch(error => {
-                            logger.error('Error in fillWorkingHours:', error);
-                            sendResponse({ 
-                                success: false, 
-                                error: error.message 
-                            });
-                        });
+                    this.respondAsync('fillWorkingHours', this.fillWorkingHours(request.data), sendResponse);
+                    break;
+                
+                case 'previewFill':
+                    this.respondAsync('previewFill', this.previewFill(request.data), sendResponse);
+                    break;
+                
+                case 'previewUndo':
+                    this.respondAsync('previewUndo', this.previewUndo(), sendResponse);
+                    break;
+                
+                case 'undoLastFill':
+                    this.respondAsync('undoLastFill', this.undoLastFill(), sendResponse);
+                    break;
+                
+                case 'selfTest':
+                    this.respondAsync('selfTest', this.selfTest(), sendResponse);
+                    break;
+                
+                case 'autoFill':
+                    this.respondAsync('autoFill', this.autoFill(), sendResponse);
                     break;
                 
                 default:
@@ -59,41 +95,550 @@ class MeckanoFormFiller {
     }
 
     /**
-     * Main workflow method that orchestrates the entire form filling process
-     * @param {object} timeData - Time data from popup (startTime, endTime, humanize)
+     * Initialize the long-lived port used for fills started from the popup
+     * The popup sends {action: 'start', data} and may send {action: 'stop'}; the content script
+     * streams {type: 'progress', ...} events and finishes with {type: 'result', result}
+     */
+    initializePortListener() {
+        chrome.runtime.onConnect.addListener(port => {
+            if (port.name !== 'fillHours') {
+                return;
+            }
+
+            const controller = new AbortController();
+            let connected = true;
+            // Closing the popup does not stop the fill, it only stops the progress updates
+            port.onDisconnect.addListener(() => {
+                connected = false;
+            });
+            const post = message => {
+                if (connected) {
+                    port.postMessage(message);
+                }
+            };
+
+            port.onMessage.addListener(message => {
+                switch (message.action) {
+                    case 'start':
+                        this.fillWorkingHours(message.data, {
+                            signal: controller.signal,
+                            onProgress: progress => post({ type: 'progress', ...progress })
+                        })
+                            .then(result => post({ type: 'result', result }))
+                            .catch(error => {
+                                logger.error('Error in fillWorkingHours:', error);
+                                post({ type: 'result', result: { success: false, error: error.message } });
+                            });
+                        break;
+
+                    case 'stop':
+                        logger.log('⏹ Stop requested from popup');
+                        controller.abort();
+                        break;
+
+                    default:
+                        logger.log('Unknown port action received:', message.action);
+                }
+            });
+        });
+    }
+
+    /**
+     * Send the result of an async action back to the popup
+     * @param {string} actionName - Name of the handler (for logging)
+     * @param {Promise<object>} promise - Pending handler result
+     * @param {Function} sendResponse - Chrome message response callback
+     */
+    respondAsync(actionName, promise, sendResponse) {
+        promise
+            .then(result => sendResponse(result))
+            .catch(error => {
+                logger.error(`Error in ${actionName}:`, error);
+                sendResponse({ 
+                    success: false, 
+                    error: error.message 
+                });
+            });
+    }
+
+    /**
+     * Create the data provider selected in the popup
+     * @param {object} timeData - Time data from popup (scheduleMode plus the settings of each schedule type)
+     * @returns {DataProvider} Data provider instance
+     */
+    createDataProvider(timeData) {
+        const { scheduleMode, startTime, endTime, weeklySchedule, importFile, icsFile, gitLogFile } = timeData;
+        const humanizer = this.createHumanizer(timeData);
+
+        if (scheduleMode === 'weekly') {
+            return new WeeklyScheduleDataProvider(weeklySchedule, humanizer);
+        }
+
+        if (scheduleMode === 'import') {
+            return new FileImportDataProvider(importFile?.content, importFile?.name);
+        }
+
+        if (scheduleMode === 'ics') {
+            return new IcsDataProvider(icsFile?.content, timeData.icsPaddingBefore, timeData.icsPaddingAfter);
+        }
+
+        if (scheduleMode === 'target') {
+            return new MonthlyTargetDataProvider(timeData.targetHours, startTime, timeData.minDayHours, timeData.maxDayHours);
+        }
+
+        if (scheduleMode === 'git') {
+            return new GitHistoryDataProvider(gitLogFile?.content, {
+                leadInMinutes: timeData.gitLeadIn,
+                trailOutMinutes: timeData.gitTrailOut,
+                minimumDayMinutes: timeData.gitMinimumDay,
+                fallbackCheckin: startTime,
+                fallbackCheckout: endTime
+            });
+        }
+
+        return new ConstantDataProvider(startTime, endTime, humanizer, timeData.breakStart, timeData.breakMinutes);
+    }
+
+    /**
+     * Create the humanizer selected in the popup
+     * @param {object} timeData - Time data from popup (humanize, humanizeStrategy, humanizeMaxMinutes, humanizeSeed)
+     * @returns {Humanizer|null} Humanizer instance, or null when humanization is off
+     */
+    createHumanizer(timeData) {
+        if (!timeData.humanize) {
+            return null;
+        }
+
+        return new Humanizer({
+            strategy: timeData.humanizeStrategy,
+            maxOffsetMinutes: timeData.humanizeMaxMinutes,
+            seed: timeData.humanizeSeed
+        });
+    }
+
+    /**
+     * Open the timesheet dialog (if not already open) and wait until it is ready
      * @returns {Promise<object>} Result object with success/error status
      */
-    async fillWorkingHours(timeData) {
+    async openAndWaitForDialog() {
+        if (!this.dialogManager.isDialogOpen()) {
+            logger.log('🚪 Opening timesheet dialog...');
+            const openResult = await this.dialogManager.openDialog();
+            if (!openResult.success) {
+                logger.error('Failed to open dialog:', openResult.error);
+                return openResult;
+            }
+            logger.log('✅ Dialog opened successfully');
+        }
+
+        logger.log('⏳ Waiting for dialog to load...');
+        const waitResult = await this.dialogManager.waitForDialog();
+        if (!waitResult.success) {
+            logger.error('Dialog not ready:', waitResult.error);
+            return waitResult;
+        }
+        logger.log('✅ Dialog is ready for input');
+
+        await this.refreshTimesheetCache();
+
+        return waitResult;
+    }
+
+    /**
+     * Refresh the timesheet caches whenever the page changes (debounced)
+     * Meckano renders the timesheet in a dialog, so the caches update once the user or a fill opens it
+     */
+    watchTimesheet() {
+        let timer = null;
+        const observer = new MutationObserver(() => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                this.refreshTimesheetCache().catch(error => logger.error('Failed to refresh timesheet cache:', error));
+            }, config.get('completionStatus', {}).refreshDelayMs || 1000);
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    /**
+     * Store the working days and completion status of the timesheet, if one is rendered and it changed
+     * @returns {Promise<void>}
+     */
+    async refreshTimesheetCache() {
+        const snapshot = this.formManager.getTimesheetSnapshot(this.getDayRules(await loadStoredTimeData()));
+        if (snapshot.length === 0) {
+            return;
+        }
+
+        const signature = JSON.stringify(snapshot.map(day => [day.date, day.isWorkingDay, day.isComplete]));
+        if (signature === this.timesheetSignature) {
+            return;
+        }
+        this.timesheetSignature = signature;
+
+        await this.rememberWorkingDays(snapshot);
+        await this.rememberCompletionStatus(snapshot);
+    }
+
+    /**
+     * Store how many working days of the open month are not complete yet (isRowComplete/shouldSkipDate rules)
+     * The background worker shows the count as the toolbar badge
+     * @param {object[]} snapshot - Timesheet snapshot from FormManager.getTimesheetSnapshot
+     * @returns {Promise<void>}
+     */
+    async rememberCompletionStatus(snapshot) {
+        try {
+            const storageKey = config.get('completionStatus', {}).storageKey || 'completionStatus';
+            const now = new Date();
+            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            const firstDate = parseDateString(snapshot[0].date);
+
+            const unfilled = snapshot.filter(day => day.isWorkingDay && !day.isComplete);
+            const status = {
+                year: firstDate.getFullYear(),
+                month: firstDate.getMonth() + 1,
+                workingDays: snapshot.filter(day => day.isWorkingDay).length,
+                unfilled: unfilled.length,
+                unfilledThroughToday: unfilled.filter(day => parseDateString(day.date) <= today).length,
+                updatedAt: now.toISOString()
+            };
+
+            await chrome.storage.local.set({ [storageKey]: status });
+            logger.log(`📛 ${status.unfilledThroughToday} working days through today not filled (${status.unfilled} in the month)`);
+        } catch (error) {
+            logger.error('Failed to store completion status:', error);
+        }
+    }
+
+    /**
+     * Store which dates of the open month are working days (same rules as FormManager.shouldSkipDate)
+     * so the background reminders can follow holidays and absences the page shows
+     * Entries older than the configured number of days are dropped
+     * @param {object[]} snapshot - Timesheet snapshot from FormManager.getTimesheetSnapshot
+     * @returns {Promise<void>}
+     */
+    async rememberWorkingDays(snapshot) {
+        try {
+            const calendarConfig = config.get('workingDayCalendar', {});
+            const storageKey = calendarConfig.storageKey || 'workingDayCalendar';
+            const keepDays = calendarConfig.keepDays || 62;
+            const { [storageKey]: calendar = {} } = await chrome.storage.local.get(storageKey);
+
+            for (const { date, isWorkingDay, isComplete } of snapshot) {
+                calendar[date] = { isWorkingDay, isComplete };
+            }
+
+            const oldest = Date.now() - keepDays * 24 * 60 * 60 * 1000;
+            for (const date of Object.keys(calendar)) {
+                const parsed = parseDateString(date);
+                if (!parsed || parsed.getTime() < oldest) {
+                    delete calendar[date];
+                }
+            }
+
+            await chrome.storage.local.set({ [storageKey]: calendar });
+        } catch (error) {
+            logger.error('Failed to remember working days:', error);
+        }
+    }
+
+    /**
+     * Fill with the stored popup settings, as requested from a reminder notification
+     * Fills that would overwrite existing values need a confirmed preview, so they are not run unattended
+     * @returns {Promise<object>} Fill result (see fillWorkingHours)
+     */
+    async autoFill() {
+        logger.log('⏰ Auto-fill requested from reminder');
+        const timeData = await loadStoredTimeData();
+
+        if (timeData.overwritePolicy?.type && timeData.overwritePolicy.type !== 'onlyEmpty') {
+            return {
+                success: false,
+                error: 'Auto-fill is disabled while overwriting existing values - open the popup to preview and confirm'
+            };
+        }
+
+        return this.fillWorkingHours(timeData);
+    }
+
+    /**
+     * Build the options that steer FormManager's per-row decisions
+     * @param {object} timeData - Time data from popup
+     * @returns {object} Fill options for FormManager.planRow
+     */
+    createFillOptions(timeData) {
+        // Absence ranges from the popup ({from, to, type} with ISO dates) become a per-date map
+        const absences = new Map();
+        for (const { from, to, type } of timeData.absences || []) {
+            for (const date of expandIsoDateRange(from, to)) {
+                absences.set(date, type);
+            }
+        }
+
+        const scope = timeData.scope || { type: 'all' };
+
+        return {
+            absences,
+            isInScope: createScopeFilter(scope),
+            scopeLabel: FILL_SCOPE_LABELS[scope.type] || scope.type,
+            overwritePolicy: timeData.overwritePolicy || { type: 'onlyEmpty' },
+            dayRules: this.getDayRules(timeData)
+        };
+    }
+
+    /**
+     * Pick the work week and holiday policies that decide which days are worked
+     * @param {object} timeData - Time data from popup
+     * @returns {object} Day rules for FormManager.shouldSkipDate
+     */
+    getDayRules(timeData) {
+        return {
+            workWeek: timeData.workWeek || {},
+            holidayPolicies: timeData.holidayPolicies || {}
+        };
+    }
+
+    /**
+     * Prepare the data provider from the open timesheet and validate it against its rows
+     * @param {DataProvider} dataProvider - Provider to prepare and validate
+     * @param {object} timeData - Time data from popup (for the day rules, scope and absences)
+     * @returns {object|null} Failure result listing the issues, or null if the data is valid
+     */
+    prepareDataProvider(dataProvider, timeData) {
+        // Fills started outside the popup (floating panel, reminders) skip the popup's scope check
+        const scopeProblem = findScopeProblem(timeData.scope);
+        if (scopeProblem) {
+            logger.log(`❌ Invalid fill scope: ${scopeProblem}`);
+            return { success: false, error: `${scopeProblem} - nothing was filled` };
+        }
+
+        const fillOptions = this.createFillOptions(timeData);
+        dataProvider.prepare(this.formManager.getTimesheetSnapshot(fillOptions.dayRules), fillOptions);
+
+        const issues = dataProvider.validate(this.formManager.getVisibleDates());
+        if (issues.length === 0) {
+            return null;
+        }
+
+        logger.log(`❌ Data provider reported ${issues.length} issues`, issues);
+        return {
+            success: false,
+            error: `Found ${issues.length} problems in the time data - nothing was filled`,
+            issues
+        };
+    }
+
+    /**
+     * Dry run: build the per-date fill plan without writing to the form
+     * Leaves the dialog open so the real fill can follow after review
+     * @param {object} timeData - Time data from popup (same shape as fillWorkingHours)
+     * @returns {Promise<object>} Result object with per-date plan and summary
+     */
+    async previewFill(timeData) {
+        logger.log('Starting fill preview...', timeData);
+        
+        try {
+            const dataProvider = this.createDataProvider(timeData);
+
+            const dialogResult = await this.openAndWaitForDialog();
+            if (!dialogResult.success) {
+                return dialogResult;
+            }
+
+            const validationError = this.prepareDataProvider(dataProvider, timeData);
+            if (validationError) {
+                return validationError;
+            }
+
+            return {
+                ...this.formManager.previewFill(dataProvider, this.createFillOptions(timeData)),
+                providerSummary: dataProvider.getSummary()
+            };
+            
+        } catch (error) {
+            logger.error('Unexpected error in previewFill:', error);
+            return {
+                success: false,
+                error: `Preview failed: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Describe what undoing the last fill session would change
+     * @returns {Promise<object>} Result object with the last session (or null if there is nothing to undo)
+     */
+    async previewUndo() {
+        const session = await FillJournal.loadLast();
+        return {
+            success: true,
+            session
+        };
+    }
+
+    /**
+     * Undo the last fill session: reopen the dialog, restore recorded values and resubmit
+     * @returns {Promise<object>} Result object with success/error status and restore details
+     */
+    async undoLastFill() {
+        logger.log('Starting undo of last fill session...');
+        
+        try {
+            const session = await FillJournal.loadLast();
+            if (!session || session.entries.length === 0) {
+                return { success: false, error: 'There is no fill session to undo' };
+            }
+
+            const dialogResult = await this.openAndWaitForDialog();
+            if (!dialogResult.success) {
+                return dialogResult;
+            }
+
+            const restoreResult = this.formManager.restoreJournalEntries(session.entries);
+            if (!restoreResult.success) {
+                return restoreResult;
+            }
+
+            if (restoreResult.restored === 0) {
+                return {
+                    success: false,
+                    error: 'Nothing was restored - all recorded values were changed or are not in the open dialog',
+                    details: restoreResult
+                };
+            }
+
+            const submitResult = await this.formManager.submitForm();
+            if (!submitResult.success) {
+                logger.error('Failed to submit undo:', submitResult.error);
+                return submitResult;
+            }
+
+            await FillJournal.clearLast();
+            logger.log('✅ Last fill session undone');
+
+            return {
+                success: true,
+                message: `Restored ${restoreResult.restored} values from the last fill`,
+                details: {
+                    restored: restoreResult.restored,
+                    conflicts: restoreResult.conflicts,
+                    submitted: true
+                }
+            };
+            
+        } catch (error) {
+            logger.error('Unexpected error in undoLastFill:', error);
+            return {
+                success: false,
+                error: `Undo failed: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Re-open the timesheet after submission and compare the stored values with the written ones
+     * @param {FillJournal} journal - Journal of the values written by the fill
+     * @param {object} submitResult - Result of FormManager.submitForm
+     * @returns {Promise<object>} Verification result with per-date status (see FormManager.verifyJournalEntries)
+     */
+    async verifyFill(journal, submitResult) {
+        if (journal.isEmpty()) {
+            return { success: true, dates: [], summary: { verified: 0, mismatch: 0, missing: 0 } };
+        }
+
+        // While the dialog is still open it only shows our own unsaved input, which proves nothing
+        if (submitResult.warning) {
+            return {
+                success: false,
+                error: 'Dialog did not close after submit - values could not be verified'
+            };
+        }
+
+        logger.log('🔎 Re-opening timesheet to verify stored values...');
+        const dialogResult = await this.openAndWaitForDialog();
+        if (!dialogResult.success) {
+            return {
+                success: false,
+                error: `Could not re-open timesheet to verify: ${dialogResult.error}`
+            };
+        }
+
+        return this.formManager.verifyJournalEntries(journal.session.entries);
+    }
+
+    /**
+     * Report which logical page elements resolve on the current page
+     * Does not open the dialog, so dialog elements are only checked when it is already open
+     * @returns {Promise<object>} Result object with per-element results and whether the dialog was open
+     */
+    async selfTest() {
+        const results = selectorRegistry.selfTest();
+        const missing = results.filter(result => !result.found && !result.optional);
+        const fallbacks = results.filter(result => result.fallbackIndex > 0);
+        
+        logger.log(`🩺 Self-test: ${results.length - missing.length}/${results.length} elements resolved, ${fallbacks.length} via fallback`, results);
+        
+        return {
+            success: true,
+            message: missing.length === 0
+                ? 'All required page elements were found'
+                : `${missing.length} required page elements were not found`,
+            results,
+            dialogOpen: this.dialogManager.isDialogOpen()
+        };
+    }
+
+    /**
+     * Main workflow method that orchestrates the entire form filling process
+     * @param {object} timeData - Time data from popup (scheduleMode plus the settings of each schedule type)
+     * @param {object} control - Optional fill control
+     * @param {AbortSignal} control.signal - Stops the fill before submit when aborted, leaving the dialog open
+     * @param {Function} control.onProgress - Receives progress events ({phase, current, total, date, action})
+     * @returns {Promise<object>} Result object with success/error status and the per-date report (see FillReport)
+     */
+    async fillWorkingHours(timeData, { signal, onProgress } = {}) {
         logger.log('Starting dialog-based form filling...', timeData);
         
         try {
             // Step 1: Initialize data provider with user's time data
-            const { startTime, endTime, humanize } = timeData;
-            this.dataProvider = new ConstantDataProvider(startTime, endTime, humanize);
+            this.dataProvider = this.createDataProvider(timeData);
             
             logger.log('✅ Data provider initialized');
 
-            // Step 2: Open dialog
-            logger.log('🚪 Opening timesheet dialog...');
-            const openResult = await this.dialogManager.openDialog();
-            if (!openResult.success) {
-                logger.error('Failed to open dialog:', openResult.error);
-                return openResult;
+            // Step 2-3: Open dialog (unless a preview left it open) and wait for it to be ready
+            onProgress?.({ phase: 'dialog' });
+            const dialogResult = await this.openAndWaitForDialog();
+            if (!dialogResult.success) {
+                return dialogResult;
             }
-            logger.log('✅ Dialog opened successfully');
 
-            // Step 3: Wait for dialog to be ready
-            logger.log('⏳ Waiting for dialog to load...');
-            const waitResult = await this.dialogManager.waitForDialog();
-            if (!waitResult.success) {
-                logger.error('Dialog not ready:', waitResult.error);
-                return waitResult;
+            // Step 3b: Make sure the provider's data matches the open month before writing anything
+            const validationError = this.prepareDataProvider(this.dataProvider, timeData);
+            if (validationError) {
+                return validationError;
             }
-            logger.log('✅ Dialog is ready for input');
 
             // Step 4: Fill form with time data
             logger.log('📝 Filling time inputs...');
-            const fillResult = await this.formManager.fillTimeInputs(this.dataProvider);
+            const journal = new FillJournal();
+            const fillResult = await this.formManager.fillTimeInputs(this.dataProvider, journal, {
+                ...this.createFillOptions(timeData),
+                signal,
+                onProgress
+            });
+            const { report } = fillResult;
+            const providerSummary = this.dataProvider.getSummary();
+            
+            // A stop request (also one arriving after the last date) skips the submit
+            if (fillResult.cancelled || (fillResult.success && signal?.aborted)) {
+                logger.log('⏹ Fill stopped - dialog left open and unsubmitted');
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: `${fillResult.error || 'Fill stopped'} - nothing was submitted, the dialog is left open`,
+                    report: report.toResult({ submitted: false, providerSummary, verification: null })
+                };
+            }
+            
             if (!fillResult.success) {
                 logger.error('Failed to fill form:', fillResult.error);
                 return fillResult;
@@ -102,20 +647,37 @@ class MeckanoFormFiller {
             
             // Step 5: Submit form
             logger.log('📤 Submitting form...');
+            onProgress?.({ phase: 'submit' });
             const submitResult = await this.formManager.submitForm();
             if (!submitResult.success) {
                 logger.error('Failed to submit form:', submitResult.error);
-                return submitResult;
+                return {
+                    ...submitResult,
+                    report: report.toResult({ submitted: false, providerSummary, verification: null })
+                };
             }
             logger.log('✅ Form submitted successfully');
             
+            // Step 6: Remember what was changed so the fill can be undone
+            await journal.save();
+            
+            // Step 7: Re-read the saved timesheet and check that Meckano stored what was written
+            onProgress?.({ phase: 'verify' });
+            const verification = await this.verifyFill(journal, submitResult);
+            report.applyVerification(verification);
+            
             return {
                 success: true,
                 message: 'Successfully filled and submitted timesheet!',
-                details: {
-                    ...fillResult.details,
-                    submitted: true
-                }
+                report: report.toResult({
+                    submitted: true,
+                    providerSummary,
+                    verification: {
+                        success: verification.success,
+                        error: verification.error || null,
+                        summary: verification.summary || null
+                    }
+                })
             };
             
         } catch (error) {
@@ -132,5 +694,13 @@ class MeckanoFormFiller {
 // INITIALIZE APPLICATION
 // =============================================================================
 logger.log('Initializing Meckano Time Tracker Helper...');
-new MeckanoFormFiller();
-logger.log('✅ Application initialized successfully');
+// User overrides from the options page apply before anything reads the page
+config.loadOverrides().then(() => {
+    for (const key of Object.keys(config.getAll())) {
+        if (config.get(key, null, { withLayer: true }).layer === 'user') {
+            logger.log(`⚙️ ${key} overridden by the user`);
+        }
+    }
+    new MeckanoFormFiller();
+    logger.log('✅ Application initialized successfully');
+});
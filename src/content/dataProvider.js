@@ -1,5 +1,7 @@
 // Abstract DataProvider class for Meckano Time Tracker Helper
 import { createLogger } from './logger.js';
+import { isValidTimeFormat, timeToMinutes } from './utils.js';
+import { findHoliday } from './workWeek.js';
 
 const logger = createLogger('DataProvider');
 
@@ -16,9 +18,87 @@ export class DataProvider {
      * Abstract method to get time data for a specific date
      * Must be implemented by subclasses
      * @param {string} date - Date string in format expected by implementation
-     * @returns {object|null} Object with {checkin, checkout} times or null to skip
+     * @param {object} dateInfo - Optional parsed row info (hebrewDay, specialText, holiday, holidayPolicy, etc.)
+     *                            Half-day and custom-hours holiday policies are applied to the result by FormManager
+     * @returns {object|object[]|null} Object with {checkin, checkout} times, an array of such segments
+     *                                 (split shifts / breaks), or null to skip
      */
-    getTimeData(date) {
+    getTimeData(date, dateInfo = null) {
         throw new Error('getTimeData(date) must be implemented by subclass');
     }
+
+    /**
+     * Let the provider look at the open timesheet before any time data is requested
+     * Providers that plan across the whole month (e.g. towards an hours target) override this
+     * @param {object[]} rows - Timesheet snapshot from FormManager.getTimesheetSnapshot
+     * @param {object} options - Fill options of the coming fill (isInScope, absences), see createFillOptions
+     */
+    prepare(rows, options = {}) {
+        // Most providers answer each date independently
+    }
+
+    /**
+     * Look up the computed Israeli holiday of a date, for providers that plan around holidays
+     * @param {string} date - Date in DD/MM/YYYY format
+     * @returns {object|null} {date, name, category} or null for an ordinary day
+     */
+    getHoliday(date) {
+        return findHoliday(date);
+    }
+
+    /**
+     * Summarize the provider's plan for display in the popup
+     * @returns {object|null} Summary object with a human-readable text property, or null if none
+     */
+    getSummary() {
+        return null;
+    }
+
+    /**
+     * Check the provider's data against the dates of the open timesheet before filling
+     * Providers backed by external data override this to report problems up front
+     * @param {string[]} dates - Dates (DD/MM/YYYY) of the rows in the open dialog
+     * @returns {object[]} Array of {location, message} issues (empty when valid)
+     */
+    validate(dates) {
+        return [];
+    }
+}
+
+/**
+ * Normalize provider time data to an array of segments
+ * @param {object|object[]|null} timeData - Result of DataProvider.getTimeData
+ * @returns {object[]} Array of {checkin, checkout} segments (empty for null)
+ */
+export function toSegments(timeData) {
+    if (!timeData) {
+        return [];
+    }
+
+    return Array.isArray(timeData) ? timeData : [timeData];
+}
+
+/**
+ * Find the first problem in a list of segments: invalid times, empty segments or overlaps
+ * @param {object[]} segments - Array of {checkin, checkout} segments
+ * @returns {string|null} Problem description or null if the segments are valid
+ */
+export function findSegmentProblem(segments) {
+    for (const { checkin, checkout } of segments) {
+        if (!isValidTimeFormat(checkin) || !isValidTimeFormat(checkout)) {
+            return `Invalid segment times ${checkin} - ${checkout}`;
+        }
+        if (timeToMinutes(checkout) <= timeToMinutes(checkin)) {
+            return `Segment check-out ${checkout} is not after check-in ${checkin}`;
+        }
+    }
+
+    const sorted = [...segments].sort((a, b) => timeToMinutes(a.checkin) - timeToMinutes(b.checkin));
+    for (let i = 1; i < sorted.length; i++) {
+        if (timeToMinutes(sorted[i].checkin) < timeToMinutes(sorted[i - 1].checkout)) {
+            return `Segments ${sorted[i - 1].checkin}-${sorted[i - 1].checkout} and ${sorted[i].checkin}-${sorted[i].checkout} overlap`;
+        }
+    }
+
+    return null;
 }
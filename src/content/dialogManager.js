@@ -2,9 +2,10 @@
 import { createLogger } from './logger.js';
 import { config } from './config.js';
 import { sleep } from './utils.js';
+import { waitForConditions } from './domWaiter.js';
+import { selectorRegistry } from './selectorRegistry.js';
 
 const logger = createLogger('DialogManager');
-const dialogConfig = config.get('dialogManager') || {};
 
 /**
  * Handles dialog opening and waiting for Meckano timesheet dialog
@@ -23,8 +24,8 @@ export class DialogManager {
         logger.log('Looking for dialog trigger element...');
         
         try {
-            // Find the <a> element with classes 'export free-reporting popup-container'
-            const triggerElement = document.querySelector('a.export.free-reporting.popup-container');
+            // Find the link that opens the free reporting dialog
+            const triggerElement = selectorRegistry.find('dialogTrigger');
             
             if (!triggerElement) {
                 logger.log('❌ Dialog trigger element not found');
@@ -59,108 +60,59 @@ export class DialogManager {
 
     /**
      * Wait for dialog to be fully loaded and ready
-     * @returns {Promise<object>} Result object with success/error status
+     * Resolves as soon as the DOM satisfies every readiness condition, instead of polling on a fixed delay
+     * @returns {Promise<object>} Result object with success/error status (and the last unmet condition on timeout)
      */
     async waitForDialog() {
-        // Use config values with fallback defaults
-        const maxRetries = dialogConfig.waitForDialogMaxRetries;
-        const delayMs = dialogConfig.waitForDialogDelayTime;
+        const timeoutMs = config.get('dialogManager', {}).waitForDialogTimeoutMs;
+        const getDialog = () => selectorRegistry.find('dialog');
+        const getTimeTable = () => selectorRegistry.find('timeTable', getDialog());
+        const getTimeInputs = () => selectorRegistry.findAll('checkinInput', getTimeTable());
         
-        logger.log(`Waiting for dialog to render (${maxRetries} retries, ${delayMs}ms delay)...`);
+        const result = await waitForConditions([
+            { name: 'dialog visible', check: () => this.isElementVisible(getDialog()) },
+            { name: 'attendance view visible', check: () => this.isElementVisible(selectorRegistry.find('attendanceView', getDialog())) },
+            { name: 'hours report table', check: () => getTimeTable() },
+            { name: 'time inputs', check: () => getTimeInputs().length > 0 },
+            { name: 'save button', check: () => selectorRegistry.find('saveButton', getDialog()) }
+        ], { timeoutMs, description: 'Timesheet dialog' });
         
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            logger.log(`Wait attempt ${attempt}/${maxRetries}...`);
-            
-            try {
-                // Check if dialog is open
-                if (!this.isDialogOpen()) {
-                    logger.log(`Attempt ${attempt}: Dialog not yet visible`);
-                    await sleep(delayMs);
-                    continue;
-                }
-                
-                // Check if dialog content is ready
-                const dialog = document.getElementById('freeReporting-dialog');
-                
-                // Check for attendance view (should be active by default)
-                const attendanceView = dialog.querySelector('.attendance-view');
-                if (!attendanceView) {
-                    logger.log(`Attempt ${attempt}: Attendance view not found`);
-                    await sleep(delayMs);
-                    continue;
-                }
-                
-                // Check if attendance view is visible
-                const isAttendanceVisible = attendanceView.style.display !== 'none' && 
-                                          window.getComputedStyle(attendanceView).display !== 'none';
-                if (!isAttendanceVisible) {
-                    logger.log(`Attempt ${attempt}: Attendance view not visible`);
-                    await sleep(delayMs);
-                    continue;
-                }
-                
-                // Check for time input table
-                const timeTable = attendanceView.querySelector('.hours-report');
-                if (!timeTable) {
-                    logger.log(`Attempt ${attempt}: Time table not found`);
-                    await sleep(delayMs);
-                    continue;
-                }
-                
-                // Check for at least some time inputs
-                const timeInputs = timeTable.querySelectorAll('input.checkIn, input.checkOut');
-                if (timeInputs.length === 0) {
-                    logger.log(`Attempt ${attempt}: No time inputs found`);
-                    await sleep(delayMs);
-                    continue;
-                }
-                
-                // Check for submit button
-                const submitButton = dialog.querySelector('.save.button-refresh-data.update-freeReporting');
-                if (!submitButton) {
-                    logger.log(`Attempt ${attempt}: Submit button not found`);
-                    await sleep(delayMs);
-                    continue;
-                }
-                
-                // All checks passed - dialog is ready!
-                logger.log(`✅ Dialog fully loaded and ready after ${attempt} attempts`);
-                logger.log(`Found ${timeInputs.length} time inputs and submit button`);
-                
-                return {
-                    success: true,
-                    message: `Dialog ready after ${attempt} attempts`,
-                    details: {
-                        timeInputsCount: timeInputs.length,
-                        hasSubmitButton: true
-                    }
-                };
-                
-            } catch (error) {
-                logger.error(`Error on attempt ${attempt}:`, error);
-            }
-            
-            // Wait before next retry (except on last attempt)
-            if (attempt < maxRetries) {
-                await sleep(delayMs);
-            }
+        if (!result.success) {
+            return result;
         }
         
-        // All attempts failed
-        logger.log(`❌ Dialog not ready after ${maxRetries} attempts`);
+        const timeInputsCount = getTimeInputs().length + selectorRegistry.findAll('checkoutInput', getTimeTable()).length;
+        logger.log(`Found ${timeInputsCount} time inputs and submit button`);
+        
         return {
-            success: false,
-            error: `Dialog not ready after ${maxRetries} attempts (${maxRetries * delayMs}ms total wait time)`
+            success: true,
+            message: result.message,
+            details: {
+                ...result.details,
+                timeInputsCount,
+                hasSubmitButton: true
+            }
         };
     }
 
+    /**
+     * Check if an element exists and is displayed
+     * @param {HTMLElement|null} element - Element to check
+     * @returns {boolean} True if the element is in the DOM and not hidden with display: none
+     */
+    isElementVisible(element) {
+        return Boolean(element) &&
+            element.style.display !== 'none' &&
+            window.getComputedStyle(element).display !== 'none';
+    }
+
     /**
      * Check if the dialog is currently open and visible
      * @returns {boolean} True if dialog is open, false otherwise
      */
     isDialogOpen() {
         try {
-            const dialog = document.getElementById('freeReporting-dialog');
+            const dialog = selectorRegistry.find('dialog');
             
             if (!dialog) {
                 logger.log('❌ Dialog element not found in DOM');
@@ -0,0 +1,90 @@
+// DOM readiness waiter for Meckano Time Tracker Helper
+import { createLogger } from './logger.js';
+
+const logger = createLogger('DomWaiter');
+
+/**
+ * Find the first condition that does not hold yet
+ * @param {object[]} conditions - Ordered readiness conditions as {name, check}
+ * @returns {string|null} Name of the first unmet condition, or null if all are met
+ */
+function findUnmetCondition(conditions) {
+    for (const condition of conditions) {
+        let met = false;
+        try {
+            met = Boolean(condition.check());
+        } catch (error) {
+            logger.error(`Error checking "${condition.name}":`, error);
+        }
+        if (!met) {
+            return condition.name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Wait until all readiness conditions hold, re-checking whenever the DOM changes
+ * Conditions are checked in order, so later ones may assume the earlier ones passed
+ * @param {object[]} conditions - Ordered readiness conditions as {name, check: () => boolean}
+ * @param {object} options - Wait options
+ * @param {number} options.timeoutMs - Overall time limit
+ * @param {string} options.description - What is being waited for (for logging and errors)
+ * @param {Node} options.root - Subtree to observe (defaults to the whole document)
+ * @returns {Promise<object>} Result object with success status, elapsed time and, on timeout, the last unmet condition
+ */
+export function waitForConditions(conditions, { timeoutMs, description = 'DOM conditions', root = document.documentElement } = {}) {
+    const startedAt = Date.now();
+
+    return new Promise(resolve => {
+        let lastUnmet = findUnmetCondition(conditions);
+        if (lastUnmet === null) {
+            logger.log(`✅ ${description} ready immediately`);
+            resolve({ success: true, message: `${description} ready`, details: { elapsedMs: 0 } });
+            return;
+        }
+
+        logger.log(`Waiting for ${description} (up to ${timeoutMs}ms), currently waiting for: ${lastUnmet}`);
+
+        const finish = result => {
+            observer.disconnect();
+            clearTimeout(timer);
+            resolve(result);
+        };
+
+        // Style and class changes matter too, since the dialog is shown and hidden by toggling display
+        const observer = new MutationObserver(() => {
+            const unmet = findUnmetCondition(conditions);
+            if (unmet === null) {
+                const elapsedMs = Date.now() - startedAt;
+                logger.log(`✅ ${description} ready after ${elapsedMs}ms`);
+                finish({ success: true, message: `${description} ready after ${elapsedMs}ms`, details: { elapsedMs } });
+            } else if (unmet !== lastUnmet) {
+                logger.log(`Still waiting for ${description}: ${unmet}`);
+                lastUnmet = unmet;
+            }
+        });
+        observer.observe(root, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['style', 'class', 'hidden']
+        });
+
+        const timer = setTimeout(() => {
+            // One last check in case the final change did not trigger a mutation (e.g. a stylesheet load)
+            lastUnmet = findUnmetCondition(conditions);
+            if (lastUnmet === null) {
+                finish({ success: true, message: `${description} ready after ${timeoutMs}ms`, details: { elapsedMs: timeoutMs } });
+                return;
+            }
+
+            logger.log(`❌ ${description} not ready after ${timeoutMs}ms, last unmet condition: ${lastUnmet}`);
+            finish({
+                success: false,
+                error: `${description} not ready after ${timeoutMs}ms (waiting for: ${lastUnmet})`,
+                unmetCondition: lastUnmet
+            });
+        }, timeoutMs);
+    });
+}
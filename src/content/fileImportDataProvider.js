@@ -0,0 +1,150 @@
+// FileImportDataProvider class for Meckano Time Tracker Helper
+import { DataProvider } from './dataProvider.js';
+import { createLogger } from './logger.js';
+import { parseDateString, isValidTimeFormat, normalizeTime, timeToMinutes } from './utils.js';
+
+const logger = createLogger('FileImportDataProvider');
+
+/**
+ * Data provider backed by an imported CSV or JSON file
+ * CSV rows look like "date,checkin,checkout" with dates in DD/MM/YYYY format
+ * JSON is an array of {date, checkin, checkout} objects
+ */
+export class FileImportDataProvider extends DataProvider {
+    /**
+     * Create a FileImportDataProvider instance
+     * @param {string} content - Raw file content
+     * @param {string} fileName - File name, used to detect the format (.csv or .json)
+     */
+    constructor(content, fileName = '') {
+        super();
+        this.fileName = fileName;
+        this.entries = new Map();
+        this.issues = [];
+
+        const isJson = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(content || '');
+        if (isJson) {
+            this.parseJson(content);
+        } else {
+            this.parseCsv(content);
+        }
+
+        logger.log(`Imported ${this.entries.size} entries from ${fileName || 'file'} with ${this.issues.length} issues`);
+    }
+
+    /**
+     * Parse CSV content, one "date,checkin,checkout" row per line
+     * Empty lines, "#" comments and a leading header row are ignored
+     * @param {string} content - CSV content
+     */
+    parseCsv(content) {
+        const lines = (content || '').split(/\r?\n/);
+
+        lines.forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) {
+                return;
+            }
+
+            const fields = trimmed.split(',').map(field => field.trim().replace(/^"|"$/g, ''));
+
+            // Header row, e.g. "date,checkin,checkout"
+            if (index === 0 && /date/i.test(fields[0])) {
+                return;
+            }
+
+            const [date, checkin, checkout] = fields;
+            this.addEntry({ date, checkin, checkout }, `Line ${index + 1}`);
+        });
+    }
+
+    /**
+     * Parse JSON content: an array of {date, checkin, checkout} objects
+     * @param {string} content - JSON content
+     */
+    parseJson(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            this.issues.push({ location: 'File', message: `Invalid JSON: ${error.message}` });
+            return;
+        }
+
+        if (!Array.isArray(data)) {
+            this.issues.push({ location: 'File', message: 'JSON must be an array of {date, checkin, checkout} objects' });
+            return;
+        }
+
+        data.forEach((item, index) => {
+            this.addEntry(item || {}, `Entry ${index + 1}`);
+        });
+    }
+
+    /**
+     * Validate a single imported row and add it to the entries
+     * @param {object} row - Row with date, checkin and checkout strings
+     * @param {string} location - Human-readable row location for issue reporting
+     */
+    addEntry({ date, checkin, checkout }, location) {
+        if (!parseDateString(date)) {
+            this.issues.push({ location, message: `Invalid date "${date ?? ''}" (expected DD/MM/YYYY)` });
+            return;
+        }
+
+        if (!isValidTimeFormat(checkin) || !isValidTimeFormat(checkout)) {
+            this.issues.push({ location, message: `Invalid times "${checkin ?? ''}" - "${checkout ?? ''}" for ${date} (expected HH:MM)` });
+            return;
+        }
+
+        if (timeToMinutes(checkout) <= timeToMinutes(checkin)) {
+            this.issues.push({ location, message: `Check-out ${checkout} is not after check-in ${checkin} for ${date}` });
+            return;
+        }
+
+        // Normalize to the zero-padded DD/MM/YYYY format parseDateRow produces
+        const normalizedDate = date.split('/').map(part => part.padStart(2, '0')).join('/');
+        if (this.entries.has(normalizedDate)) {
+            this.issues.push({ location, message: `Duplicate date ${normalizedDate}` });
+            return;
+        }
+
+        this.entries.set(normalizedDate, {
+            checkin: normalizeTime(checkin),
+            checkout: normalizeTime(checkout)
+        });
+    }
+
+    /**
+     * Report parse issues and imported dates that fall outside the open month
+     * @param {string[]} dates - Dates (DD/MM/YYYY) of the rows in the open dialog
+     * @returns {object[]} Array of {location, message} issues
+     */
+    validate(dates) {
+        const openMonths = new Set(dates.map(date => date.slice(3)));
+        const issues = [...this.issues];
+
+        for (const date of this.entries.keys()) {
+            if (!openMonths.has(date.slice(3))) {
+                issues.push({ location: date, message: `${date} is outside the open month` });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Get time data for a specific date
+     * @param {string} date - Date string in DD/MM/YYYY format
+     * @returns {object|null} Imported {checkin, checkout} times or null to skip
+     */
+    getTimeData(date) {
+        const entry = this.entries.get(date);
+        if (!entry) {
+            logger.log(`No imported entry for ${date}`);
+            return null;
+        }
+
+        return { ...entry };
+    }
+}
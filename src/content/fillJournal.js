@@ -0,0 +1,80 @@
+// FillJournal class for Meckano Time Tracker Helper
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+
+const logger = createLogger('FillJournal');
+const journalConfig = config.get('fillJournal') || {};
+const STORAGE_KEY = journalConfig.storageKey || 'lastFillSession';
+
+/**
+ * Records every input value changed during a fill session
+ * The last session is persisted in chrome.storage.local so it can be undone later
+ */
+export class FillJournal {
+    /**
+     * Create a new, empty fill session
+     */
+    constructor() {
+        this.session = {
+            id: Date.now(),
+            createdAt: new Date().toISOString(),
+            url: window.location.href,
+            entries: []
+        };
+
+        logger.log(`Fill session ${this.session.id} started`);
+    }
+
+    /**
+     * Record a single input change
+     * @param {string} date - Row date in DD/MM/YYYY format
+     * @param {string} field - Input field ('checkin' or 'checkout')
+     * @param {string} previousValue - Value before the change
+     * @param {string} newValue - Value written by the extension
+     * @param {number} segment - Index of the report line within the date (0 for the dated row)
+     */
+    record(date, field, previousValue, newValue, segment = 0) {
+        this.session.entries.push({ date, field, previousValue, newValue, segment });
+    }
+
+    /**
+     * Check whether any change was recorded
+     * @returns {boolean} True if the session has no entries
+     */
+    isEmpty() {
+        return this.session.entries.length === 0;
+    }
+
+    /**
+     * Persist the session as the last fill session
+     * Empty sessions are not saved so they never replace an undoable one
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (this.isEmpty()) {
+            logger.log('Fill session has no changes - not saved');
+            return;
+        }
+
+        await chrome.storage.local.set({ [STORAGE_KEY]: this.session });
+        logger.log(`Fill session ${this.session.id} saved with ${this.session.entries.length} changes`);
+    }
+
+    /**
+     * Load the last saved fill session
+     * @returns {Promise<object|null>} Session object or null if there is none
+     */
+    static async loadLast() {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        return stored[STORAGE_KEY] || null;
+    }
+
+    /**
+     * Remove the last saved fill session
+     * @returns {Promise<void>}
+     */
+    static async clearLast() {
+        await chrome.storage.local.remove(STORAGE_KEY);
+        logger.log('Last fill session cleared');
+    }
+}
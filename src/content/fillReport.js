@@ -0,0 +1,95 @@
+// FillReport class for Meckano Time Tracker Helper
+
+/**
+ * Version of the report schema sent to the popup
+ * Bump when the shape of the report changes, and update FILL_REPORT_VERSION in popup.js to match
+ */
+export const FILL_REPORT_VERSION = 1;
+
+/**
+ * Per-date outcome of a fill, sent to the popup as `report` in the fillHours result
+ *
+ * Schema (version 1):
+ * {
+ *   version: 1,
+ *   dates: [{
+ *     date,          // DD/MM/YYYY
+ *     hebrewDay,     // Hebrew day letter
+ *     action,        // 'fill', 'absence', 'skip', 'outOfScope', 'complete' or 'error'
+ *     reason,        // Why the date was skipped or failed ('' for fill/absence)
+ *     written,       // [{segment, field, from, to}] values written to the form
+ *     error,         // Error message, or null
+ *     verification   // {status: 'verified'|'mismatch'|'missing', fields} after submit, or null
+ *   }],
+ *   summary: { fill, absence, skip, outOfScope, complete, error },
+ *   submitted, providerSummary, verification   // Set by the content script once the fill is over
+ * }
+ */
+export class FillReport {
+    constructor() {
+        this.dates = [];
+    }
+
+    /**
+     * Add the outcome of a date
+     * @param {object} plan - Plan entry from FormManager.planRow
+     * @param {object} outcome - What happened when the plan was carried out
+     * @param {object[]} outcome.written - Values written as {segment, field, from, to}
+     * @param {string|null} outcome.error - Error message if writing failed
+     */
+    add(plan, { written = [], error = null } = {}) {
+        this.dates.push({
+            date: plan.date,
+            hebrewDay: plan.hebrewDay,
+            action: error ? 'error' : plan.action,
+            reason: error || plan.reason || '',
+            written,
+            error,
+            verification: null
+        });
+    }
+
+    /**
+     * Attach the post-submit verification of each date
+     * @param {object} verification - Result of FormManager.verifyJournalEntries
+     */
+    applyVerification(verification) {
+        if (!verification?.success) {
+            return;
+        }
+
+        const byDate = new Map(verification.dates.map(result => [result.date, result]));
+        for (const entry of this.dates) {
+            const result = byDate.get(entry.date);
+            if (result) {
+                entry.verification = { status: result.status, fields: result.fields };
+            }
+        }
+    }
+
+    /**
+     * Count dates per action
+     * @returns {object} Count per action
+     */
+    getSummary() {
+        const summary = { fill: 0, absence: 0, skip: 0, outOfScope: 0, complete: 0, error: 0 };
+        for (const entry of this.dates) {
+            summary[entry.action] = (summary[entry.action] || 0) + 1;
+        }
+        return summary;
+    }
+
+    /**
+     * Serialize the report for the popup
+     * @param {object} extra - Additional top-level fields (submitted, providerSummary, verification)
+     * @returns {object} Plain report object following the versioned schema
+     */
+    toResult(extra = {}) {
+        return {
+            version: FILL_REPORT_VERSION,
+            dates: this.dates,
+            summary: this.getSummary(),
+            ...extra
+        };
+    }
+}
@@ -0,0 +1,81 @@
+// Fill scope helpers for Meckano Time Tracker Helper
+import { parseDateString, expandIsoDateRange } from './utils.js';
+
+/**
+ * Human-readable names of the fill scopes, used in skip reasons
+ */
+export const FILL_SCOPE_LABELS = {
+    all: 'whole month',
+    throughToday: 'through today',
+    thisWeek: 'this week',
+    range: 'custom date range',
+    selected: 'selected dates'
+};
+
+/**
+ * Check that a scope can select any date
+ * A range ending before it starts (or a selection without dates) would silently mark every date out of scope
+ * @param {object} scope - Scope from the popup (see createScopeFilter)
+ * @returns {string|null} Problem description, or null if the scope is usable
+ */
+export function findScopeProblem(scope = {}) {
+    if (scope.type === 'range') {
+        if (!scope.from || !scope.to) {
+            return 'The custom date range needs a start and an end date';
+        }
+        if (expandIsoDateRange(scope.from, scope.to).length === 0) {
+            return `The custom date range ends (${scope.to}) before it starts (${scope.from})`;
+        }
+    }
+
+    if (scope.type === 'selected' && (scope.dates || []).length === 0) {
+        return 'No dates are selected';
+    }
+
+    return null;
+}
+
+/**
+ * Create a predicate telling whether a timesheet date is inside the chosen fill scope
+ * @param {object} scope - Scope from the popup
+ * @param {string} scope.type - One of 'all', 'throughToday', 'thisWeek', 'range', 'selected'
+ * @param {string} scope.from - Range start (YYYY-MM-DD), for 'range'
+ * @param {string} scope.to - Range end (YYYY-MM-DD), for 'range'
+ * @param {string[]} scope.dates - Selected dates (YYYY-MM-DD), for 'selected'
+ * @param {Date} today - Reference date (defaults to now)
+ * @returns {Function} Function (date: DD/MM/YYYY) => boolean
+ */
+export function createScopeFilter(scope = {}, today = new Date()) {
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+    switch (scope.type) {
+        case 'throughToday':
+            return date => {
+                const parsed = parseDateString(date);
+                return Boolean(parsed) && parsed <= todayStart;
+            };
+
+        case 'thisWeek': {
+            // Israeli work week: Sunday to Saturday
+            const weekStart = new Date(todayStart.getFullYear(), todayStart.getMonth(), todayStart.getDate() - todayStart.getDay());
+            const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6);
+            return date => {
+                const parsed = parseDateString(date);
+                return Boolean(parsed) && parsed >= weekStart && parsed <= weekEnd;
+            };
+        }
+
+        case 'range': {
+            const dates = new Set(expandIsoDateRange(scope.from, scope.to));
+            return date => dates.has(date);
+        }
+
+        case 'selected': {
+            const dates = new Set((scope.dates || []).flatMap(iso => expandIsoDateRange(iso)));
+            return date => dates.has(date);
+        }
+
+        default:
+            return () => true;
+    }
+}
@@ -0,0 +1,763 @@
+// FloatingPanel class for Meckano Time Tracker Helper
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+import { loadStoredTimeData } from './storedTimeData.js';
+import { WeeklyScheduleEditor } from './settings.js';
+
+const logger = createLogger('FloatingPanel');
+const panelConfig = config.get('floatingPanel') || {};
+const POSITION_KEY = panelConfig.positionStorageKey || 'floatingPanelPosition';
+const VISIBILITY_KEY = panelConfig.visibilitySettingKey || 'showFloatingPanel';
+
+const SCHEDULE_MODES = {
+    constant: 'Same hours every day',
+    weekly: 'Weekly schedule',
+    import: 'Import file (CSV / JSON)',
+    ics: 'Calendar file (.ics)',
+    git: 'Git commit history',
+    target: 'Monthly hours target'
+};
+
+const ACTION_LABELS = {
+    fill: 'Fill',
+    absence: 'Absence',
+    skip: 'Skip',
+    outOfScope: 'Out of scope',
+    complete: 'Complete',
+    error: 'Error'
+};
+
+const PANEL_STYLES = `
+:host {
+    all: initial;
+    position: fixed;
+    top: 80px;
+    right: 16px;
+    z-index: 2147483000;
+}
+
+.panel {
+    width: 320px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 12px;
+    color: #1e293b;
+    background: #ffffff;
+    border: 1px solid #cbd5e1;
+    border-radius: 8px;
+    box-shadow: 0 8px 24px rgba(15, 23, 42, 0.18);
+    overflow: hidden;
+}
+
+.header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 8px 10px;
+    background: linear-gradient(135deg, #4f46e5 0%, #3b82f6 50%, #06b6d4 100%);
+    color: #ffffff;
+    font-weight: 600;
+    cursor: move;
+    user-select: none;
+}
+
+.header button {
+    background: transparent;
+    border: none;
+    color: #ffffff;
+    font-size: 14px;
+    cursor: pointer;
+    padding: 0 4px;
+}
+
+.body {
+    padding: 10px;
+}
+
+.hidden {
+    display: none !important;
+}
+
+.row {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin-bottom: 8px;
+}
+
+select, input {
+    font: inherit;
+    padding: 3px 4px;
+    border: 1px solid #cbd5e1;
+    border-radius: 4px;
+    background: #ffffff;
+    color: inherit;
+}
+
+select {
+    flex: 1;
+}
+
+.note {
+    color: #64748b;
+    font-size: 11px;
+    margin-bottom: 8px;
+}
+
+.actions {
+    display: grid;
+    grid-template-columns: 1fr 1fr 1fr;
+    gap: 6px;
+    margin-bottom: 8px;
+}
+
+button.btn {
+    font: inherit;
+    font-weight: 600;
+    padding: 6px;
+    border-radius: 4px;
+    border: 1px solid #cbd5e1;
+    background: #f8fafc;
+    color: #1e293b;
+    cursor: pointer;
+}
+
+button.btn.primary {
+    border: none;
+    background: linear-gradient(135deg, #4f46e5 0%, #3b82f6 50%, #06b6d4 100%);
+    color: #ffffff;
+}
+
+button.btn:disabled {
+    opacity: 0.5;
+    cursor: default;
+}
+
+.progress-bar {
+    height: 6px;
+    background: #e2e8f0;
+    border-radius: 3px;
+    overflow: hidden;
+    margin-bottom: 4px;
+}
+
+.progress-fill {
+    width: 0%;
+    height: 100%;
+    background: linear-gradient(135deg, #4f46e5 0%, #3b82f6 50%, #06b6d4 100%);
+    transition: width 0.2s ease;
+}
+
+.status {
+    margin-bottom: 8px;
+}
+
+.status.error {
+    color: #dc2626;
+}
+
+.status.success {
+    color: #15803d;
+}
+
+.issues {
+    margin: 0 0 8px 0;
+    padding-left: 16px;
+    color: #dc2626;
+}
+
+.table-wrapper {
+    max-height: 220px;
+    overflow-y: auto;
+}
+
+table {
+    width: 100%;
+    border-collapse: collapse;
+}
+
+th {
+    text-align: left;
+    color: #64748b;
+    font-weight: 600;
+    padding: 2px 4px;
+}
+
+td {
+    padding: 3px 4px;
+    border-top: 1px solid #f1f5f9;
+    vertical-align: top;
+}
+
+tr.action-fill td:nth-child(2),
+tr.action-absence td:nth-child(2) {
+    color: #15803d;
+    font-weight: 600;
+}
+
+tr.action-skip,
+tr.action-outOfScope,
+tr.action-complete {
+    color: #94a3b8;
+}
+
+tr.action-error td {
+    color: #dc2626;
+}
+
+.weekly {
+    margin-bottom: 8px;
+}
+
+.weekly td {
+    border-top: none;
+    padding: 1px 4px;
+}
+
+.weekly input[type="time"] {
+    width: 78px;
+}
+
+@media (prefers-color-scheme: dark) {
+    .panel {
+        color: #e2e8f0;
+        background: #1e293b;
+        border-color: #334155;
+    }
+
+    select, input, button.btn {
+        background: #0f172a;
+        border-color: #475569;
+        color: #e2e8f0;
+    }
+
+    td {
+        border-top-color: #334155;
+    }
+
+    .progress-bar {
+        background: #334155;
+    }
+}
+`;
+
+const PANEL_TEMPLATE = `
+<div class="panel">
+    <div class="header" data-ref="header">
+        <span>🕒 Meckano Helper</span>
+        <span>
+            <button data-ref="collapseBtn" title="Collapse">–</button>
+            <button data-ref="closeBtn" title="Hide panel (re-enable it from the extension popup)">×</button>
+        </span>
+    </div>
+    <div class="body" data-ref="body">
+        <div class="row">
+            <select data-ref="scheduleMode"></select>
+        </div>
+        <div class="row" data-ref="constantRow">
+            <input type="time" data-ref="startTime" title="Start time">
+            <span>–</span>
+            <input type="time" data-ref="endTime" title="End time">
+        </div>
+        <table class="weekly hidden" data-ref="weeklyTable">
+            <thead><tr><th>Day</th><th>Off</th><th>Start</th><th>End</th></tr></thead>
+            <tbody data-ref="weeklyBody"></tbody>
+        </table>
+        <div class="note">Other settings (break, absences, scope, overwrite) come from the extension popup.</div>
+        <div class="actions">
+            <button class="btn" data-ref="previewBtn">🔍 Preview</button>
+            <button class="btn primary" data-ref="fillBtn">⚡ Fill</button>
+            <button class="btn" data-ref="stopBtn" disabled>⏹ Stop</button>
+        </div>
+        <div class="hidden" data-ref="progress">
+            <div class="progress-bar"><div class="progress-fill" data-ref="progressFill"></div></div>
+            <div class="note" data-ref="progressText"></div>
+        </div>
+        <div class="status" data-ref="status"></div>
+        <ul class="issues hidden" data-ref="issues"></ul>
+        <div class="table-wrapper hidden" data-ref="tableWrapper">
+            <table>
+                <thead><tr><th>Date</th><th>Action</th><th>Values / Reason</th></tr></thead>
+                <tbody data-ref="tableBody"></tbody>
+            </table>
+        </div>
+        <button class="btn primary hidden" data-ref="confirmBtn">✅ Confirm Fill</button>
+    </div>
+</div>
+`;
+
+/**
+ * Optional floating control panel injected into the Meckano page
+ * Lives in a closed Shadow DOM so Meckano's CSS does not leak in, is shown or hidden through the
+ * showFloatingPanel setting and remembers where it was dragged to
+ */
+export class FloatingPanel {
+    /**
+     * @param {object} handlers - Actions of the content script
+     * @param {Function} handlers.preview - (timeData) => Promise of the preview result
+     * @param {Function} handlers.fill - (timeData, {signal, onProgress}) => Promise of the fill result
+     */
+    constructor({ preview, fill }) {
+        this.handlers = { preview, fill };
+        this.host = null;
+        this.refs = {};
+        this.weeklyEditor = null;
+        this.abortController = null;
+        logger.log('FloatingPanel initialized');
+    }
+
+    /**
+     * Show the panel if enabled and follow later changes of the setting
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        const settings = await chrome.storage.sync.get({ [VISIBILITY_KEY]: false });
+        if (settings[VISIBILITY_KEY]) {
+            await this.mount();
+        }
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'sync') {
+                return;
+            }
+            if (VISIBILITY_KEY in changes) {
+                if (changes[VISIBILITY_KEY].newValue) {
+                    this.mount();
+                } else {
+                    this.unmount();
+                }
+            } else if (this.host && (changes.scheduleMode || changes.startTime || changes.endTime || changes.weeklySchedule)) {
+                this.loadScheduleInputs();
+            }
+        });
+    }
+
+    /**
+     * Create the panel and add it to the page
+     * @returns {Promise<void>}
+     */
+    async mount() {
+        if (this.host) {
+            return;
+        }
+
+        this.host = document.createElement('div');
+        this.host.id = 'meckano-helper-panel';
+        const shadow = this.host.attachShadow({ mode: 'closed' });
+        shadow.innerHTML = `<style>${PANEL_STYLES}</style>${PANEL_TEMPLATE}`;
+
+        this.refs = {};
+        for (const element of shadow.querySelectorAll('[data-ref]')) {
+            this.refs[element.dataset.ref] = element;
+        }
+        for (const [value, label] of Object.entries(SCHEDULE_MODES)) {
+            this.refs.scheduleMode.appendChild(new Option(label, value));
+        }
+        this.weeklyEditor = new WeeklyScheduleEditor(this.refs.weeklyBody, { shortNames: true });
+
+        this.attachEventListeners();
+        document.body.appendChild(this.host);
+        await this.restorePosition();
+        await this.loadScheduleInputs();
+        logger.log('✅ Floating panel shown');
+    }
+
+    /**
+     * Remove the panel from the page (a running fill keeps going)
+     */
+    unmount() {
+        if (!this.host) {
+            return;
+        }
+
+        this.host.remove();
+        this.host = null;
+        this.refs = {};
+        this.weeklyEditor = null;
+        logger.log('Floating panel hidden');
+    }
+
+    attachEventListeners() {
+        const { refs } = this;
+
+        refs.collapseBtn.addEventListener('click', () => {
+            const collapsed = refs.body.classList.toggle('hidden');
+            refs.collapseBtn.textContent = collapsed ? '+' : '–';
+        });
+        refs.closeBtn.addEventListener('click', () => chrome.storage.sync.set({ [VISIBILITY_KEY]: false }));
+
+        refs.scheduleMode.addEventListener('change', () => this.saveScheduleInputs());
+        refs.startTime.addEventListener('change', () => this.saveScheduleInputs());
+        refs.endTime.addEventListener('change', () => this.saveScheduleInputs());
+        refs.weeklyBody.addEventListener('change', () => {
+            this.weeklyEditor.updateRowsState();
+            this.saveScheduleInputs();
+        });
+
+        refs.previewBtn.addEventListener('click', () => this.preview());
+        refs.fillBtn.addEventListener('click', () => this.requestFill());
+        refs.confirmBtn.addEventListener('click', () => this.fill());
+        refs.stopBtn.addEventListener('click', () => this.stop());
+
+        this.enableDragging(refs.header);
+    }
+
+    /**
+     * Let the panel be moved by its header and store the position when dropped
+     * @param {HTMLElement} handle - Drag handle
+     */
+    enableDragging(handle) {
+        let offset = null;
+
+        handle.addEventListener('pointerdown', event => {
+            if (event.target.closest('button')) {
+                return;
+            }
+            const rect = this.host.getBoundingClientRect();
+            offset = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+            handle.setPointerCapture(event.pointerId);
+        });
+
+        handle.addEventListener('pointermove', event => {
+            if (offset) {
+                this.moveTo(event.clientX - offset.x, event.clientY - offset.y);
+            }
+        });
+
+        handle.addEventListener('pointerup', () => {
+            if (!offset) {
+                return;
+            }
+            offset = null;
+            const rect = this.host.getBoundingClientRect();
+            chrome.storage.local.set({ [POSITION_KEY]: { left: rect.left, top: rect.top } });
+        });
+    }
+
+    /**
+     * Place the panel, keeping its header inside the viewport
+     * @param {number} left - Distance from the left edge in pixels
+     * @param {number} top - Distance from the top edge in pixels
+     */
+    moveTo(left, top) {
+        const width = this.host.offsetWidth;
+        const maxLeft = Math.max(0, window.innerWidth - width);
+        const maxTop = Math.max(0, window.innerHeight - 40);
+
+        this.host.style.left = `${Math.min(Math.max(0, left), maxLeft)}px`;
+        this.host.style.top = `${Math.min(Math.max(0, top), maxTop)}px`;
+        this.host.style.right = 'auto';
+    }
+
+    async restorePosition() {
+        const { [POSITION_KEY]: position } = await chrome.storage.local.get(POSITION_KEY);
+        if (position) {
+            this.moveTo(position.left, position.top);
+        }
+    }
+
+    /**
+     * Show the inputs of the selected schedule mode
+     */
+    updateModeVisibility() {
+        const mode = this.refs.scheduleMode.value;
+        this.refs.constantRow.classList.toggle('hidden', mode !== 'constant');
+        this.refs.weeklyTable.classList.toggle('hidden', mode !== 'weekly');
+    }
+
+    async loadScheduleInputs() {
+        const settings = await loadStoredTimeData();
+        if (!this.host) {
+            return;
+        }
+
+        this.refs.scheduleMode.value = settings.scheduleMode;
+        this.refs.startTime.value = settings.startTime;
+        this.refs.endTime.value = settings.endTime;
+        this.weeklyEditor.setSchedule(settings.weeklySchedule, { checkin: settings.startTime, checkout: settings.endTime });
+        this.updateModeVisibility();
+    }
+
+    async saveScheduleInputs() {
+        this.updateModeVisibility();
+        await chrome.storage.sync.set({
+            scheduleMode: this.refs.scheduleMode.value,
+            startTime: this.refs.startTime.value,
+            endTime: this.refs.endTime.value,
+            weeklySchedule: this.weeklyEditor.getSchedule()
+        });
+    }
+
+    /**
+     * Build the same time data the popup sends, with the panel's own schedule inputs
+     * @returns {Promise<object>} Time data for MeckanoFormFiller
+     */
+    async collectTimeData() {
+        return loadStoredTimeData({
+            scheduleMode: this.refs.scheduleMode.value,
+            startTime: this.refs.startTime.value,
+            endTime: this.refs.endTime.value,
+            weeklySchedule: this.weeklyEditor.getSchedule()
+        });
+    }
+
+    /**
+     * Check the settings edited in the panel (the content script validates the rest)
+     * @param {object} timeData - Time data
+     * @returns {boolean} True if the panel inputs are usable
+     */
+    validate(timeData) {
+        const isValidDay = ({ checkin, checkout }) => Boolean(checkin && checkout) && checkin < checkout;
+
+        if (timeData.scheduleMode === 'constant' && !isValidDay({ checkin: timeData.startTime, checkout: timeData.endTime })) {
+            this.showStatus('End time must be after start time', 'error');
+            return false;
+        }
+        if (timeData.scheduleMode === 'weekly') {
+            const workingDays = Object.values(timeData.weeklySchedule || {}).filter(Boolean);
+            if (workingDays.length === 0 || !workingDays.every(isValidDay)) {
+                this.showStatus('Weekly schedule needs at least one day, each ending after it starts', 'error');
+                return false;
+            }
+        }
+        return true;
+    }
+
+    async preview() {
+        this.setBusy(true);
+        this.showIssues([]);
+        try {
+            const timeData = await this.collectTimeData();
+            if (!this.validate(timeData)) {
+                return;
+            }
+
+            this.showStatus('Building preview... (no changes will be made)');
+            const result = await this.handlers.preview(timeData);
+            if (!result.success) {
+                this.showStatus(result.error || 'Failed to build preview', 'error');
+                this.showIssues(result.issues || []);
+                return;
+            }
+
+            this.renderRows(result.plan.map(entry => ({
+                date: entry.date,
+                action: entry.action,
+                detail: this.describePlanEntry(entry)
+            })));
+            const { summary } = result;
+            this.showStatus(
+                `${summary.fill} to fill · ${summary.absence} absences · ${summary.complete} complete · ${summary.skip} skipped` +
+                (summary.overwrite > 0 ? ` · ${summary.overwrite} overwrite` : '') +
+                (result.providerSummary ? ` · ${result.providerSummary.text}` : '')
+            );
+            this.refs.confirmBtn.classList.toggle('hidden', summary.fill + summary.absence === 0);
+        } catch (error) {
+            logger.error('Preview from panel failed:', error);
+            this.showStatus(`Preview failed: ${error.message}`, 'error');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * Fill button handler: overwriting existing values always goes through the preview first
+     */
+    async requestFill() {
+        let timeData;
+        try {
+            timeData = await this.collectTimeData();
+        } catch (error) {
+            logger.error('Reading settings for the panel failed:', error);
+            this.showStatus(`Fill failed: ${error.message}`, 'error');
+            return;
+        }
+
+        if (timeData.overwritePolicy?.type && timeData.overwritePolicy.type !== 'onlyEmpty') {
+            await this.preview();
+            return;
+        }
+        await this.fill(timeData);
+    }
+
+    /**
+     * Fill with the panel's settings
+     * @param {object|null} collected - Time data already read by requestFill (read again when null)
+     */
+    async fill(collected = null) {
+        let timeData;
+        try {
+            timeData = collected || await this.collectTimeData();
+        } catch (error) {
+            logger.error('Reading settings for the panel failed:', error);
+            this.showStatus(`Fill failed: ${error.message}`, 'error');
+            return;
+        }
+        if (!this.validate(timeData)) {
+            return;
+        }
+
+        this.abortController = new AbortController();
+        this.refs.confirmBtn.classList.add('hidden');
+        this.setBusy(true);
+        this.showIssues([]);
+        this.showStatus('Filling...');
+        this.showProgress({ phase: 'start' });
+
+        try {
+            const result = await this.handlers.fill(timeData, {
+                signal: this.abortController.signal,
+                onProgress: progress => this.showProgress(progress)
+            });
+
+            if (result.report) {
+                this.renderRows(result.report.dates.map(entry => ({
+                    date: entry.date,
+                    action: entry.verification && entry.verification.status !== 'verified' ? 'error' : entry.action,
+                    detail: this.describeReportEntry(entry)
+                })));
+            }
+
+            if (result.success) {
+                const { summary } = result.report;
+                this.showStatus(`✅ Filled ${summary.fill} dates, ${summary.absence} absences, ${summary.error} errors`, 'success');
+            } else {
+                this.showStatus(result.cancelled ? `⏹ ${result.error}` : result.error || 'Fill failed', result.cancelled ? '' : 'error');
+                this.showIssues([
+                    ...(result.issues || []),
+                    ...(result.validationErrors || []).map(error => ({
+                        location: error.date ? error.date.slice(0, 5) : '',
+                        message: error.message
+                    }))
+                ]);
+            }
+        } catch (error) {
+            logger.error('Fill from panel failed:', error);
+            this.showStatus(`Fill failed: ${error.message}`, 'error');
+        } finally {
+            this.abortController = null;
+            this.hideProgress();
+            this.setBusy(false);
+        }
+    }
+
+    stop() {
+        if (!this.abortController) {
+            return;
+        }
+
+        this.abortController.abort();
+        this.refs.stopBtn.disabled = true;
+        this.refs.progressText.textContent = 'Stopping before submit...';
+    }
+
+    describePlanEntry(entry) {
+        if (entry.action === 'fill') {
+            return entry.changes.map(change => `${change.from ? `${change.from} → ` : ''}${change.to}`).join(', ');
+        }
+        if (entry.action === 'absence') {
+            return entry.absence.label;
+        }
+        return entry.reason;
+    }
+
+    describeReportEntry(entry) {
+        if (entry.written.length === 0) {
+            return entry.reason;
+        }
+
+        const parts = entry.written.map(change => `${change.from ? `${change.from} → ` : ''}${change.to}`);
+        if (entry.verification && entry.verification.status !== 'verified') {
+            parts.push(entry.verification.status === 'missing' ? 'not saved' : 'saved differently');
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Show a per-date table (preview plan or fill report)
+     * @param {object[]} rows - Rows as {date, action, detail}
+     */
+    renderRows(rows) {
+        if (!this.host) {
+            return;
+        }
+
+        this.refs.tableBody.replaceChildren();
+        for (const row of rows) {
+            const tr = document.createElement('tr');
+            tr.className = `action-${row.action}`;
+            for (const text of [row.date, ACTION_LABELS[row.action] || row.action, row.detail]) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            }
+            this.refs.tableBody.appendChild(tr);
+        }
+        this.refs.tableWrapper.classList.toggle('hidden', rows.length === 0);
+    }
+
+    showProgress({ phase, current, total, date, action }) {
+        if (!this.host) {
+            return;
+        }
+
+        const phaseTexts = {
+            start: 'Starting...',
+            dialog: 'Opening timesheet dialog...',
+            submit: 'Submitting timesheet...',
+            verify: 'Verifying saved values...'
+        };
+
+        this.refs.progress.classList.remove('hidden');
+        if (phase === 'fill') {
+            this.refs.progressFill.style.width = `${Math.round(current / total * 100)}%`;
+            this.refs.progressText.textContent = `Date ${current} of ${total}: ${date} (${action})`;
+        } else {
+            this.refs.progressFill.style.width = phase === 'submit' || phase === 'verify' ? '100%' : '0%';
+            this.refs.progressText.textContent = phaseTexts[phase] || phase;
+        }
+        this.refs.stopBtn.disabled = !this.abortController || phase === 'submit' || phase === 'verify';
+    }
+
+    hideProgress() {
+        if (!this.host) {
+            return;
+        }
+
+        this.refs.progress.classList.add('hidden');
+        this.refs.progressFill.style.width = '0%';
+    }
+
+    setBusy(busy) {
+        if (!this.host) {
+            return;
+        }
+
+        this.refs.previewBtn.disabled = busy;
+        this.refs.fillBtn.disabled = busy;
+        this.refs.confirmBtn.disabled = busy;
+        this.refs.stopBtn.disabled = !busy || !this.abortController;
+    }
+
+    showStatus(message, type = '') {
+        if (!this.host) {
+            return;
+        }
+
+        this.refs.status.textContent = message;
+        this.refs.status.className = `status ${type}`;
+    }
+
+    showIssues(issues) {
+        if (!this.host) {
+            return;
+        }
+
+        this.refs.issues.replaceChildren();
+        for (const { location, message } of issues) {
+            const li = document.createElement('li');
+            li.textContent = location ? `${location}: ${message}` : message;
+            this.refs.issues.appendChild(li);
+        }
+        this.refs.issues.classList.toggle('hidden', issues.length === 0);
+    }
+}
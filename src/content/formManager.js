@@ -1,7 +1,13 @@
 // FormManager class for Meckano Time Tracker Helper
 import { createLogger } from './logger.js';
 import { config } from './config.js';
-import { sleep, containsSkipPattern } from './utils.js';
+import { sleep, normalizeTime, isValidTimeFormat } from './utils.js';
+import { toSegments, findSegmentProblem } from './dataProvider.js';
+import { waitForConditions } from './domWaiter.js';
+import { selectorRegistry } from './selectorRegistry.js';
+import { FillReport } from './fillReport.js';
+import { HOLIDAY_CATEGORIES } from './hebrewCalendar.js';
+import { getWorkDayType, getDayName, applyDayPolicy, findHoliday, getHolidayPolicy } from './workWeek.js';
 
 const logger = createLogger('FormManager');
 
@@ -15,75 +21,488 @@ export class FormManager {
     }
 
     /**
-     * Fill time inputs for all working days in the timesheet
+     * Find the date rows of the timesheet table in the open dialog
+     * @returns {object} Result object with success/error status and rows (NodeList of date rows)
+     */
+    getDateRows() {
+        const dialog = selectorRegistry.find('dialog');
+        if (!dialog) {
+            return { success: false, error: 'Dialog not found' };
+        }
+        
+        const timeTable = selectorRegistry.find('timeTable', dialog);
+        if (!timeTable) {
+            return { success: false, error: 'Time table not found in dialog' };
+        }
+        
+        // Find all date rows (excluding header)
+        const rows = selectorRegistry.findAll('tableRows', timeTable);
+        logger.log(`Found ${rows.length} date rows to process`);
+        
+        return { success: true, rows };
+    }
+
+    /**
+     * Get the dates of all rows in the open dialog
+     * @returns {string[]} Dates in DD/MM/YYYY format
+     */
+    getVisibleDates() {
+        const rowsResult = this.getDateRows();
+        if (!rowsResult.success) {
+            return [];
+        }
+        
+        return Array.from(rowsResult.rows)
+            .map(row => this.parseDateRow(row))
+            .filter(Boolean)
+            .map(dateInfo => dateInfo.date);
+    }
+
+    /**
+     * Describe every dated row of the open dialog without touching any input
+     * @param {object} dayRules - Work week and holiday policies from the user's settings (see shouldSkipDate)
+     * @returns {object[]} Rows as {date, hebrewDay, isWorkingDay, isComplete, checkin, checkout, segments, holiday, dayPolicy}
+     *                    where segments lists every report line's {checkin, checkout} and dayPolicy is the
+     *                    half-day/custom-hours policy planRow will apply to the provider's hours (or null)
+     */
+    getTimesheetSnapshot(dayRules = {}) {
+        const rowsResult = this.getDateRows();
+        if (!rowsResult.success) {
+            return [];
+        }
+        
+        const snapshot = [];
+        for (const row of rowsResult.rows) {
+            const dateInfo = this.parseDateRow(row);
+            if (!dateInfo) {
+                continue;
+            }
+            
+            const segments = this.getSegmentRows(row).map(segmentRow => ({
+                checkin: selectorRegistry.find('checkinInput', segmentRow)?.value.trim() || '',
+                checkout: selectorRegistry.find('checkoutInput', segmentRow)?.value.trim() || ''
+            }));
+            const isWorkingDay = !this.shouldSkipDate(dateInfo, dayRules);
+            snapshot.push({
+                date: dateInfo.date,
+                hebrewDay: dateInfo.hebrewDay,
+                isWorkingDay,
+                isComplete: this.isRowComplete(row),
+                checkin: segments[0].checkin,
+                checkout: segments[0].checkout,
+                segments,
+                holiday: dateInfo.holiday || null,
+                dayPolicy: isWorkingDay ? this.getDayPolicy(dateInfo)?.policy || null : null
+            });
+        }
+        
+        return snapshot;
+    }
+
+    /**
+     * Collect the report lines of a date: the dated row followed by its extra (undated) lines
+     * @param {HTMLElement} row - Dated table row element
+     * @returns {HTMLElement[]} Rows holding the date's check-in/check-out inputs, in order
+     */
+    getSegmentRows(row) {
+        const rows = [row];
+        let next = row.nextElementSibling;
+        
+        while (next && !this.parseDateRow(next) && selectorRegistry.find('checkinInput', next)) {
+            rows.push(next);
+            next = next.nextElementSibling;
+        }
+        
+        return rows;
+    }
+
+    /**
+     * Make sure a date has at least the given number of report lines, adding lines through Meckano's add button
+     * @param {HTMLElement} row - Dated table row element
+     * @param {number} count - Required number of report lines
+     * @returns {Promise<HTMLElement[]>} Report line rows (may be fewer than requested if adding failed)
+     */
+    async ensureSegmentRows(row, count) {
+        const addDelay = config.get('formManager', {}).addSegmentDelayMs || 300;
+        let rows = this.getSegmentRows(row);
+        
+        while (rows.length < count) {
+            const lastRow = rows[rows.length - 1];
+            const addButton = selectorRegistry.find('addSegmentButton', lastRow) || selectorRegistry.find('addSegmentButton', row);
+            if (!addButton) {
+                logger.log(`❌ Add report line button not found (selectors: ${selectorRegistry.describe('addSegmentButton')})`);
+                break;
+            }
+            
+            addButton.click();
+            await sleep(addDelay);
+            
+            const updatedRows = this.getSegmentRows(row);
+            if (updatedRows.length <= rows.length) {
+                logger.log('❌ Clicking add did not create a new report line');
+                break;
+            }
+            rows = updatedRows;
+        }
+        
+        return rows;
+    }
+
+    /**
+     * Find the missing-event (absence) dropdown of a row
+     * @param {HTMLElement} row - Table row element
+     * @returns {HTMLSelectElement|null} Select element or null if the row has none
+     */
+    getMissingEventSelect(row) {
+        return selectorRegistry.find('missingEventSelect', row);
+    }
+
+    /**
+     * Read the value-to-label map of a missing-event dropdown from its options
+     * @param {HTMLSelectElement} select - Missing-event select element
+     * @returns {object[]} Options as {value, label}, excluding the empty "0" option
+     */
+    getMissingEventOptions(select) {
+        return Array.from(select.options)
+            .filter(option => option.value && option.value !== '0')
+            .map(option => ({ value: option.value, label: option.textContent.trim() }));
+    }
+
+    /**
+     * Find the dropdown option matching an absence type by its configured keywords
+     * @param {HTMLSelectElement} select - Missing-event select element
+     * @param {string} absenceType - Absence type key from ABSENCE_TYPES (e.g. 'vacation')
+     * @returns {object|null} Matching {value, label} option or null if none matches
+     */
+    findAbsenceOption(select, absenceType) {
+        const absenceTypes = config.get('ABSENCE_TYPES', {});
+        const keywords = (absenceTypes[absenceType]?.keywords || []).map(keyword => keyword.toLowerCase());
+        
+        return this.getMissingEventOptions(select)
+            .find(option => keywords.some(keyword => option.label.toLowerCase().includes(keyword))) || null;
+    }
+
+    /**
+     * Decide what should happen to a single row without touching any input
+     * @param {HTMLElement} row - Table row element
      * @param {DataProvider} dataProvider - Provider for time data
-     * @returns {Promise<object>} Result object with success/error status and details
+     * @param {object} options - Fill options
+     * @param {Map<string, string>} options.absences - Map of date (DD/MM/YYYY) to absence type to set instead of times
+     * @param {Function} options.isInScope - Predicate (date) => boolean limiting which dates are touched
+     * @param {string} options.scopeLabel - Name of the fill scope, used in the skip reason
+     * @param {object} options.overwritePolicy - Which filled inputs may be replaced (see shouldWriteValue)
+     * @param {object} options.dayRules - Work week and holiday policies from the user's settings (see shouldSkipDate)
+     * @returns {object|null} Plan entry with date, hebrewDay, action ('fill', 'absence', 'skip', 'outOfScope',
+     *                        'complete' or 'error'), reason, existing values, planned timeData or absence,
+     *                        the per-input changes ({segment, field, from, to}) and the day policy
+     *                        ({name, policy}) that shaped the hours, or null if the row has no date
      */
-    async fillTimeInputs(dataProvider) {
-        logger.log('Starting to fill time inputs...');
+    planRow(row, dataProvider, options = {}) {
+        const dateInfo = this.parseDateRow(row);
+        if (!dateInfo) {
+            return null;
+        }
+        
+        const checkinInput = selectorRegistry.find('checkinInput', row);
+        const checkoutInput = selectorRegistry.find('checkoutInput', row);
+        const plan = {
+            date: dateInfo.date,
+            hebrewDay: dateInfo.hebrewDay,
+            action: 'skip',
+            reason: '',
+            existing: {
+                checkin: checkinInput ? checkinInput.value.trim() : '',
+                checkout: checkoutInput ? checkoutInput.value.trim() : ''
+            },
+            timeData: null,
+            changes: [],
+            dayPolicy: null
+        };
+        const overwritePolicy = options.overwritePolicy || { type: 'onlyEmpty' };
+        
+        // Dates outside the chosen fill scope are never touched
+        if (options.isInScope && !options.isInScope(dateInfo.date)) {
+            plan.action = 'outOfScope';
+            plan.reason = `Outside fill scope (${options.scopeLabel || 'custom'})`;
+            return plan;
+        }
+        
+        // Check if it's a working day
+        if (this.shouldSkipDate(dateInfo, options.dayRules)) {
+            plan.reason = dateInfo.skipReason;
+            return plan;
+        }
+        
+        // Dates marked as absent get the absence option instead of times
+        const absenceType = options.absences?.get(dateInfo.date);
+        if (absenceType) {
+            // Marking a date that already has clock times would leave the row holding both
+            if (overwritePolicy.type === 'onlyEmpty' && this.hasReportedTimes(row)) {
+                const absenceLabel = config.get('ABSENCE_TYPES', {})[absenceType]?.label || absenceType;
+                plan.reason = `Has reported times - not marked as ${absenceLabel} (only empty days are changed)`;
+                return plan;
+            }
+            return this.planAbsence(row, plan, absenceType);
+        }
+        
+        // Skip if row is already complete (unless the policy allows replacing existing values)
+        if (overwritePolicy.type === 'onlyEmpty' && this.isRowComplete(row)) {
+            plan.action = 'complete';
+            plan.reason = 'Already complete';
+            return plan;
+        }
+        
+        // Get time data for this date
+        let timeData = dataProvider.getTimeData(dateInfo.date, dateInfo);
+        if (!timeData) {
+            plan.reason = 'No time data from provider';
+            return plan;
+        }
+        
+        // Half days and custom holiday hours reshape whatever the provider returned
+        const dayPolicy = this.getDayPolicy(dateInfo);
+        if (dayPolicy) {
+            timeData = applyDayPolicy(timeData, dayPolicy.policy);
+            plan.dayPolicy = { name: dayPolicy.name, policy: dayPolicy.policy.type };
+            if (!timeData) {
+                plan.reason = `No hours left for ${dayPolicy.name}`;
+                return plan;
+            }
+        }
+        
+        // Split shifts and breaks must not overlap
+        const segmentProblem = findSegmentProblem(toSegments(timeData));
+        if (segmentProblem) {
+            plan.action = 'error';
+            plan.reason = segmentProblem;
+            plan.timeData = timeData;
+            return plan;
+        }
+        
+        plan.timeData = timeData;
+        plan.changes = this.planChanges(row, toSegments(timeData), overwritePolicy);
+        if (plan.changes.length === 0) {
+            plan.action = 'complete';
+            plan.reason = 'Nothing to change';
+            return plan;
+        }
+        
+        plan.action = 'fill';
+        return plan;
+    }
+
+    /**
+     * Decide whether an input's current value may be replaced under an overwrite policy
+     * @param {string} currentValue - Current input value
+     * @param {string} newValue - Value that would be written
+     * @param {object} policy - Overwrite policy
+     * @param {string} policy.type - 'onlyEmpty' (default), 'overwriteAll' or 'overwriteMatching'
+     * @param {string[]} policy.match - Values that may be replaced, for 'overwriteMatching' (9:00 matches 09:00)
+     * @returns {boolean} True if the value should be written
+     */
+    shouldWriteValue(currentValue, newValue, policy = { type: 'onlyEmpty' }) {
+        const current = (currentValue || '').trim();
+        
+        if (current === newValue) {
+            return false;
+        }
+        if (current === '') {
+            return true;
+        }
+        
+        switch (policy.type) {
+            case 'overwriteAll':
+                return true;
+            case 'overwriteMatching': {
+                const toComparable = value => isValidTimeFormat(value) ? normalizeTime(value) : value;
+                return (policy.match || []).some(value => toComparable(String(value).trim()) === toComparable(current));
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * List the input changes a fill would make to a date's report lines
+     * Lines that do not exist yet are treated as empty
+     * @param {HTMLElement} row - Dated table row element
+     * @param {object[]} segments - Planned {checkin, checkout} segments
+     * @param {object} policy - Overwrite policy (see shouldWriteValue)
+     * @returns {object[]} Changes as {segment, field, from, to}
+     */
+    planChanges(row, segments, policy) {
+        const segmentRows = this.getSegmentRows(row);
+        const changes = [];
+        
+        segments.forEach((segment, index) => {
+            const segmentRow = segmentRows[index];
+            for (const [field, element] of [['checkin', 'checkinInput'], ['checkout', 'checkoutInput']]) {
+                const input = segmentRow ? selectorRegistry.find(element, segmentRow) : null;
+                const from = input ? input.value.trim() : '';
+                if (this.shouldWriteValue(from, segment[field], policy)) {
+                    changes.push({ segment: index, field, from, to: segment[field] });
+                }
+            }
+        });
+        
+        return changes;
+    }
+
+    /**
+     * Complete a plan entry for a date marked as absent
+     * @param {HTMLElement} row - Table row element
+     * @param {object} plan - Plan entry being built by planRow
+     * @param {string} absenceType - Absence type key from ABSENCE_TYPES
+     * @returns {object} Plan entry with action 'absence' (or 'error' if the option cannot be found)
+     */
+    planAbsence(row, plan, absenceType) {
+        const absenceLabel = config.get('ABSENCE_TYPES', {})[absenceType]?.label || absenceType;
+        const select = this.getMissingEventSelect(row);
+        
+        if (!select) {
+            plan.action = 'error';
+            plan.reason = `No absence dropdown for ${absenceLabel}`;
+            return plan;
+        }
+        
+        const option = this.findAbsenceOption(select, absenceType);
+        if (!option) {
+            plan.action = 'error';
+            plan.reason = `No "${absenceLabel}" option in the absence dropdown`;
+            return plan;
+        }
+        
+        plan.action = 'absence';
+        plan.reason = option.label;
+        plan.absence = { type: absenceType, ...option };
+        return plan;
+    }
+
+    /**
+     * Build the fill plan for every row without writing to the form (dry run)
+     * @param {DataProvider} dataProvider - Provider for time data
+     * @param {object} options - Fill options (see planRow)
+     * @returns {object} Result object with success/error status, per-date plan and summary counts
+     */
+    previewFill(dataProvider, options = {}) {
+        logger.log('Building fill preview...');
         
         try {
-            // Find the dialog and time table
-            const dialog = document.getElementById('freeReporting-dialog');
-            if (!dialog) {
-                return { success: false, error: 'Dialog not found' };
+            const rowsResult = this.getDateRows();
+            if (!rowsResult.success) {
+                return rowsResult;
             }
             
-            const timeTable = dialog.querySelector('.hours-report');
-            if (!timeTable) {
-                return { success: false, error: 'Time table not found in dialog' };
+            const plan = [];
+            for (const row of rowsResult.rows) {
+                const entry = this.planRow(row, dataProvider, options);
+                if (entry) {
+                    plan.push(entry);
+                }
             }
             
-            // Find all date rows (excluding header)
-            const dateRows = timeTable.querySelectorAll('tr:not(:first-child)');
-            logger.log(`Found ${dateRows.length} date rows to process`);
+            const summary = {
+                fill: plan.filter(entry => entry.action === 'fill').length,
+                absence: plan.filter(entry => entry.action === 'absence').length,
+                skip: plan.filter(entry => entry.action === 'skip').length,
+                outOfScope: plan.filter(entry => entry.action === 'outOfScope').length,
+                complete: plan.filter(entry => entry.action === 'complete').length,
+                error: plan.filter(entry => entry.action === 'error').length,
+                overwrite: plan.filter(entry => entry.changes.some(change => change.from !== '')).length
+            };
+            
+            logger.log(`✅ Preview complete: ${summary.fill} to fill, ${summary.absence} absences, ${summary.skip} skipped, ${summary.outOfScope} out of scope, ${summary.complete} already complete, ${summary.error} errors`);
+            
+            return {
+                success: true,
+                plan,
+                summary
+            };
+            
+        } catch (error) {
+            logger.error('Error in previewFill:', error);
+            return {
+                success: false,
+                error: `Preview failed: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Fill time inputs for all working days in the timesheet
+     * @param {DataProvider} dataProvider - Provider for time data
+     * @param {FillJournal} journal - Optional journal recording previous input values for undo
+     * @param {object} options - Fill options (see planRow)
+     * @param {AbortSignal} options.signal - Stops the loop before the next date when aborted
+     * @param {Function} options.onProgress - Called before each date with {phase, current, total, date, action}
+     * @returns {Promise<object>} Result object with success/error status and the per-date FillReport
+     *                            (cancelled: true if the signal stopped the fill)
+     */
+    async fillTimeInputs(dataProvider, journal = null, options = {}) {
+        logger.log('Starting to fill time inputs...');
+        
+        try {
+            const rowsResult = this.getDateRows();
+            if (!rowsResult.success) {
+                return rowsResult;
+            }
             
-            let filledCount = 0;
-            let skippedCount = 0;
-            let errorCount = 0;
+            const report = new FillReport();
+            const dateRows = rowsResult.rows.filter(row => this.parseDateRow(row));
             
             // Process each date row
-            for (const row of dateRows) {
+            for (const [index, row] of dateRows.entries()) {
+                if (options.signal?.aborted) {
+                    logger.log(`⏹ Fill stopped after ${index} of ${dateRows.length} dates`);
+                    return {
+                        success: false,
+                        cancelled: true,
+                        error: `Fill stopped after ${index} of ${dateRows.length} dates`,
+                        report
+                    };
+                }
+                
+                let plan = null;
                 try {
-                    const dateInfo = this.parseDateRow(row);
-                    if (!dateInfo) {
+                    plan = this.planRow(row, dataProvider, options);
+                    if (!plan) {
                         logger.log('Skipping row - no date info found');
-                        skippedCount++;
                         continue;
                     }
                     
-                    logger.log(`Processing date: ${dateInfo.date} (${dateInfo.hebrewDay})`);
+                    options.onProgress?.({
+                        phase: 'fill',
+                        current: index + 1,
+                        total: dateRows.length,
+                        date: plan.date,
+                        action: plan.action
+                    });
                     
-                    // Check if it's a working day
-                    if (this.shouldSkipDate(dateInfo)) {
-                        logger.log(`⏭️ Skipping ${dateInfo.date} - ${dateInfo.skipReason}`);
-                        skippedCount++;
+                    if (plan.action === 'absence') {
+                        const select = this.getMissingEventSelect(row);
+                        const from = select.value === '0' ? '' : select.selectedOptions[0]?.textContent.trim() || select.value;
+                        const written = [{ segment: 0, field: 'missingEvent', from, to: plan.absence.label }];
+                        this.setAbsence(row, plan.absence, plan.date, journal);
+                        report.add(plan, { written });
                         continue;
                     }
                     
-                    // Skip if row is already complete
-                    if (this.isRowComplete(row)) {
-                        logger.log(`⏭️ Skipping ${dateInfo.date} - already complete`);
-                        skippedCount++;
+                    if (plan.action !== 'fill') {
+                        logger.log(`${plan.action === 'error' ? '❌ Not filling' : '⏭️ Skipping'} ${plan.date} - ${plan.reason}`);
+                        report.add(plan);
                         continue;
                     }
                     
-                    // Get time data for this date
-                    const timeData = dataProvider.getTimeData(dateInfo.date);
-                    if (!timeData) {
-                        logger.log(`❌ No time data available for ${dateInfo.date}`);
-                        errorCount++;
-                        continue;
-                    }
+                    logger.log(`Processing date: ${plan.date} (${plan.hebrewDay})`);
                     
-                    // Fill the inputs for this row (only missing ones)
-                    const fillResult = await this.fillRowInputs(row, timeData, dateInfo.date);
+                    // Fill the inputs for each segment of this date (as allowed by the overwrite policy)
+                    const fillResult = await this.fillSegments(row, plan.timeData, plan.date, journal, options.overwritePolicy);
                     if (fillResult.success) {
-                        filledCount++;
-                        logger.log(`✅ Successfully filled ${dateInfo.date}`);
+                        report.add(plan, { written: plan.changes });
+                        logger.log(`✅ Successfully filled ${plan.date}`);
                     } else {
-                        errorCount++;
-                        logger.log(`❌ Failed to fill ${dateInfo.date}: ${fillResult.error}`);
+                        report.add(plan, { error: fillResult.error });
+                        logger.log(`❌ Failed to fill ${plan.date}: ${fillResult.error}`);
                     }
                     
                     // Small delay between filling each row
@@ -91,21 +510,20 @@ export class FormManager {
                     
                 } catch (rowError) {
                     logger.error(`Error processing row:`, rowError);
-                    errorCount++;
+                    if (plan) {
+                        report.add(plan, { error: rowError.message });
+                    }
                 }
             }
             
             // Summary
-            logger.log(`✅ Form filling complete: ${filledCount} filled, ${skippedCount} skipped, ${errorCount} errors`);
+            const summary = report.getSummary();
+            logger.log(`✅ Form filling complete: ${summary.fill} filled, ${summary.absence} absences, ${summary.skip} skipped, ${summary.outOfScope} out of scope, ${summary.complete} already complete, ${summary.error} errors`);
             
             return {
                 success: true,
-                message: `Successfully filled ${filledCount} working days`,
-                details: {
-                    filled: filledCount,
-                    skipped: skippedCount,
-                    errors: errorCount
-                }
+                message: `Successfully filled ${summary.fill} working days`,
+                report
             };
             
         } catch (error) {
@@ -125,12 +543,12 @@ export class FormManager {
      */
     parseDateRow(row) {
         try {
-            const dateCell = row.querySelector('td.date');
+            const dateCell = selectorRegistry.find('dateCell', row);
             if (!dateCell) {
                 return null;
             }
             
-            const dateTextSpan = dateCell.querySelector('.dateText');
+            const dateTextSpan = selectorRegistry.find('dateText', dateCell);
             if (!dateTextSpan) {
                 return null;
             }
@@ -145,12 +563,11 @@ export class FormManager {
             const [, dateString, hebrewLetter] = match;
             
             // Check for special day description (holidays)
-            const specialSpan = dateCell.querySelector('.specialDayDescription');
+            const specialSpan = selectorRegistry.find('specialDayDescription', dateCell);
             const specialText = specialSpan ? specialSpan.textContent.trim() : '';
             
             // Check for missing events dropdown (vacation/sickness)
-            const missingCell = row.querySelector('td.missing');
-            const missingSelect = missingCell ? missingCell.querySelector('select.select-box') : null;
+            const missingSelect = this.getMissingEventSelect(row);
             const missingEventValue = missingSelect ? missingSelect.value : '0';
             
             // Debug log for missing event detection
@@ -173,29 +590,66 @@ export class FormManager {
     }
 
     /**
-     * Check if date should be skipped (weekends/holidays)
+     * Find the holiday a date falls on
+     * Meckano's own labels come first (they reflect the employer's calendar), then the computed Israeli calendar
      * @param {object} dateInfo - Date information object
-     * @returns {boolean} True if date should be skipped
+     * @returns {object|null} Holiday as {name, category} (category from HOLIDAY_CATEGORIES), or null
      */
-    shouldSkipDate(dateInfo) {
-        const skipPatterns = config.get('SKIP_PATTERNS', ['ו', 'ש', 'חג', 'ערב חג']);
+    getHoliday(dateInfo) {
+        const computed = findHoliday(dateInfo.date);
+        const specialText = dateInfo.specialText || '';
         
-        // Skip weekends: Friday (ו) and Saturday (ש)
-        if (dateInfo.hebrewDay === 'ו' || dateInfo.hebrewDay === 'ש') {
-            dateInfo.skipReason = `Weekend (${dateInfo.hebrewDay === 'ו' ? 'Friday' : 'Saturday'})`;
-            return true;
+        if (specialText.includes('ערב חג')) {
+            return { name: computed?.name || specialText, category: 'holidayEve' };
+        }
+        if (specialText.includes('חג')) {
+            return { name: computed?.name || specialText, category: 'holiday' };
         }
         
-        // Skip holidays: "חג" in special text
-        if (dateInfo.specialText.includes('חג') && !dateInfo.specialText.includes('ערב')) {
-            dateInfo.skipReason = 'Holiday';
+        return computed ? { name: computed.name, category: computed.category } : null;
+    }
+
+    /**
+     * Find the policy that shortens or replaces a worked day's hours, if any
+     * A holiday policy other than 'work' wins over a half-day weekday
+     * @param {object} dateInfo - Date information object, after shouldSkipDate
+     * @returns {object|null} {name, policy} or null for an ordinary working day
+     */
+    getDayPolicy(dateInfo) {
+        if (dateInfo.holiday && dateInfo.holidayPolicy.type !== 'work') {
+            return { name: dateInfo.holiday.name, policy: dateInfo.holidayPolicy };
+        }
+        if (dateInfo.workDayType === 'halfDay') {
+            return { name: getDayName(dateInfo.hebrewDay), policy: { type: 'halfDay' } };
+        }
+        return null;
+    }
+
+    /**
+     * Check if date should be skipped (days off/holidays)
+     * Sets skipReason on dateInfo, plus workDayType and holiday/holidayPolicy for the days that are still worked
+     * @param {object} dateInfo - Date information object
+     * @param {object} dayRules - Rules from the user's settings
+     * @param {object} dayRules.workWeek - Day letter to 'work'/'halfDay'/'off', overriding config.json WORK_WEEK
+     * @param {object} dayRules.holidayPolicies - Holiday category to policy, overriding config.json HOLIDAY_CALENDAR
+     * @returns {boolean} True if date should be skipped
+     */
+    shouldSkipDate(dateInfo, dayRules = {}) {
+        // Skip the days off of the work week (Friday and Saturday by default)
+        dateInfo.workDayType = getWorkDayType(dateInfo.hebrewDay, dayRules.workWeek);
+        if (dateInfo.workDayType === 'off') {
+            dateInfo.skipReason = `Day off (${getDayName(dateInfo.hebrewDay)})`;
             return true;
         }
         
-        // Skip holiday eves: "ערב חג" in special text
-        if (dateInfo.specialText.includes('ערב חג')) {
-            dateInfo.skipReason = 'Holiday Eve';
-            return true;
+        // Holidays, eves, Chol HaMoed and Memorial/Independence Day follow their category's policy
+        dateInfo.holiday = this.getHoliday(dateInfo);
+        if (dateInfo.holiday) {
+            dateInfo.holidayPolicy = getHolidayPolicy(dateInfo.holiday.category, dayRules.holidayPolicies);
+            if (dateInfo.holidayPolicy.type === 'skip') {
+                dateInfo.skipReason = `${HOLIDAY_CATEGORIES[dateInfo.holiday.category]} (${dateInfo.holiday.name})`;
+                return true;
+            }
         }
         
         // Skip days with missing events (vacation, sickness, etc.)
@@ -218,28 +672,97 @@ export class FormManager {
         return input && input.value.trim() !== '';
     }
 
+    /**
+     * Check if any report line of a date has a check-in or check-out time
+     * @param {HTMLElement} row - Dated table row element
+     * @returns {boolean} True if a time is reported
+     */
+    hasReportedTimes(row) {
+        return this.getSegmentRows(row).some(segmentRow =>
+            this.isInputFilled(selectorRegistry.find('checkinInput', segmentRow)) ||
+            this.isInputFilled(selectorRegistry.find('checkoutInput', segmentRow)));
+    }
+
     /**
      * Check if a row has both checkin and checkout filled
      * @param {HTMLElement} row - Table row element
      * @returns {boolean} True if row is complete
      */
     isRowComplete(row) {
-        const checkinInput = row.querySelector('input.checkIn');
-        const checkoutInput = row.querySelector('input.checkOut');
+        const checkinInput = selectorRegistry.find('checkinInput', row);
+        const checkoutInput = selectorRegistry.find('checkoutInput', row);
         return this.isInputFilled(checkinInput) && this.isInputFilled(checkoutInput);
     }
 
     /**
-     * Fill time inputs for a specific row (only fill missing ones)
+     * Set an input's value and notify Meckano's handlers
+     * @param {HTMLElement} input - Input element
+     * @param {string} value - New value
+     */
+    setInputValue(input, value) {
+        input.value = value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Select an absence option in a row's missing-event dropdown
+     * @param {HTMLElement} row - Table row element
+     * @param {object} absence - Absence option ({type, value, label}) from planAbsence
+     * @param {string} date - Date string for logging
+     * @param {FillJournal} journal - Optional journal recording the previous value for undo
+     */
+    setAbsence(row, absence, date, journal = null) {
+        const select = this.getMissingEventSelect(row);
+        journal?.record(date, 'missingEvent', select.value, absence.value);
+        this.setInputValue(select, absence.value);
+        logger.log(`🏖️ Marked ${date} as ${absence.label} (value ${absence.value})`);
+    }
+
+    /**
+     * Fill every segment of a date into its own report line, adding lines as needed
+     * @param {HTMLElement} row - Dated table row element
+     * @param {object|object[]} timeData - Single {checkin, checkout} or an array of segments
+     * @param {string} date - Date string for logging
+     * @param {FillJournal} journal - Optional journal recording previous input values for undo
+     * @param {object} overwritePolicy - Which filled inputs may be replaced (see shouldWriteValue)
+     * @returns {Promise<object>} Result object with success status
+     */
+    async fillSegments(row, timeData, date, journal = null, overwritePolicy = undefined) {
+        const segments = toSegments(timeData);
+        const segmentRows = await this.ensureSegmentRows(row, segments.length);
+        
+        if (segmentRows.length < segments.length) {
+            return {
+                success: false,
+                error: `Only ${segmentRows.length} of ${segments.length} report lines available for ${date}`
+            };
+        }
+        
+        for (let index = 0; index < segments.length; index++) {
+            const fillResult = await this.fillRowInputs(segmentRows[index], segments[index], date, journal, index, overwritePolicy);
+            if (!fillResult.success) {
+                return fillResult;
+            }
+        }
+        
+        return { success: true };
+    }
+
+    /**
+     * Fill time inputs for a specific row (by default only missing ones)
      * @param {HTMLElement} row - Table row element
      * @param {object} timeData - Time data with checkin and checkout
      * @param {string} date - Date string for logging
+     * @param {FillJournal} journal - Optional journal recording previous input values for undo
+     * @param {number} segment - Index of the report line within the date (0 for the dated row)
+     * @param {object} overwritePolicy - Which filled inputs may be replaced (see shouldWriteValue)
      * @returns {Promise<object>} Result object with success status
      */
-    async fillRowInputs(row, timeData, date) {
+    async fillRowInputs(row, timeData, date, journal = null, segment = 0, overwritePolicy = undefined) {
         try {
-            const checkinInput = row.querySelector('input.checkIn');
-            const checkoutInput = row.querySelector('input.checkOut');
+            const checkinInput = selectorRegistry.find('checkinInput', row);
+            const checkoutInput = selectorRegistry.find('checkoutInput', row);
             
             if (!checkinInput || !checkoutInput) {
                 return {
@@ -250,22 +773,20 @@ export class FormManager {
             
             const filledParts = [];
             
-            // Fill checkin time only if empty
-            if (!this.isInputFilled(checkinInput)) {
-                checkinInput.value = timeData.checkin;
-                checkinInput.dispatchEvent(new Event('input', { bubbles: true }));
-                checkinInput.dispatchEvent(new Event('change', { bubbles: true }));
+            // Fill checkin time only if empty (or replaceable under the overwrite policy)
+            if (this.shouldWriteValue(checkinInput.value, timeData.checkin, overwritePolicy)) {
+                journal?.record(date, 'checkin', checkinInput.value, timeData.checkin, segment);
+                this.setInputValue(checkinInput, timeData.checkin);
                 filledParts.push(`check-in: ${timeData.checkin}`);
                 
                 // Small delay between inputs
                 await sleep(50);
             }
             
-            // Fill checkout time only if empty
-            if (!this.isInputFilled(checkoutInput)) {
-                checkoutInput.value = timeData.checkout;
-                checkoutInput.dispatchEvent(new Event('input', { bubbles: true }));
-                checkoutInput.dispatchEvent(new Event('change', { bubbles: true }));
+            // Fill checkout time only if empty (or replaceable under the overwrite policy)
+            if (this.shouldWriteValue(checkoutInput.value, timeData.checkout, overwritePolicy)) {
+                journal?.record(date, 'checkout', checkoutInput.value, timeData.checkout, segment);
+                this.setInputValue(checkoutInput, timeData.checkout);
                 filledParts.push(`check-out: ${timeData.checkout}`);
             }
             
@@ -283,6 +804,180 @@ export class FormManager {
         }
     }
 
+    /**
+     * Index dated rows by their date for quick lookup
+     * @param {Element[]} rows - Table rows
+     * @returns {Map<string, HTMLElement>} Date (DD/MM/YYYY) to dated row
+     */
+    indexRowsByDate(rows) {
+        const rowsByDate = new Map();
+        for (const row of rows) {
+            const dateInfo = this.parseDateRow(row);
+            if (dateInfo) {
+                rowsByDate.set(dateInfo.date, row);
+            }
+        }
+        return rowsByDate;
+    }
+
+    /**
+     * Find the input a journal entry refers to
+     * @param {Map<string, HTMLElement>} rowsByDate - Dated rows by date (see indexRowsByDate)
+     * @param {object} entry - Journal entry ({date, field, segment})
+     * @returns {HTMLInputElement|HTMLSelectElement|null} Input element or null if the row or input is gone
+     */
+    findJournalInput(rowsByDate, entry) {
+        const inputElements = {
+            checkin: 'checkinInput',
+            checkout: 'checkoutInput',
+            missingEvent: 'missingEventSelect'
+        };
+        
+        const dateRow = rowsByDate.get(entry.date);
+        const row = dateRow ? this.getSegmentRows(dateRow)[entry.segment || 0] : null;
+        return row ? selectorRegistry.find(inputElements[entry.field], row) : null;
+    }
+
+    /**
+     * Compare the values stored in the (re-opened) dialog with the values a fill wrote
+     * @param {object[]} entries - Journal entries of the fill ({date, field, segment, newValue})
+     * @returns {object} Result object with per-date status ('verified', 'mismatch' or 'missing'),
+     *                   the compared fields and a count per status
+     */
+    verifyJournalEntries(entries) {
+        logger.log(`Verifying ${entries.length} written values...`);
+        
+        try {
+            const rowsResult = this.getDateRows();
+            if (!rowsResult.success) {
+                return rowsResult;
+            }
+            
+            const rowsByDate = this.indexRowsByDate(rowsResult.rows);
+            const datesByKey = new Map();
+            
+            for (const entry of entries) {
+                if (!datesByKey.has(entry.date)) {
+                    datesByKey.set(entry.date, { date: entry.date, status: 'verified', fields: [] });
+                }
+                const dateResult = datesByKey.get(entry.date);
+                
+                const input = this.findJournalInput(rowsByDate, entry);
+                const storedValue = input ? input.value.trim() : '';
+                let status = 'verified';
+                if (!input || storedValue === '' || (entry.field === 'missingEvent' && storedValue === '0')) {
+                    status = 'missing';
+                } else if (!this.isSameValue(storedValue, entry.newValue)) {
+                    status = 'mismatch';
+                }
+                
+                dateResult.fields.push({
+                    field: entry.field,
+                    segment: entry.segment || 0,
+                    expected: entry.newValue,
+                    stored: storedValue,
+                    status
+                });
+                
+                // A date is only as good as its worst field: missing > mismatch > verified
+                if (status === 'missing' || (status === 'mismatch' && dateResult.status === 'verified')) {
+                    dateResult.status = status;
+                }
+            }
+            
+            const dates = [...datesByKey.values()];
+            const summary = {
+                verified: dates.filter(result => result.status === 'verified').length,
+                mismatch: dates.filter(result => result.status === 'mismatch').length,
+                missing: dates.filter(result => result.status === 'missing').length
+            };
+            
+            logger.log(`✅ Verification complete: ${summary.verified} verified, ${summary.mismatch} mismatches, ${summary.missing} missing`);
+            
+            return {
+                success: true,
+                dates,
+                summary
+            };
+            
+        } catch (error) {
+            logger.error('Error verifying journal entries:', error);
+            return {
+                success: false,
+                error: `Verification failed: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Compare a stored value with the written one, ignoring how Meckano formats times (9:00 vs 09:00)
+     * @param {string} storedValue - Value read back from the form
+     * @param {string} writtenValue - Value the extension wrote
+     * @returns {boolean} True if both represent the same value
+     */
+    isSameValue(storedValue, writtenValue) {
+        const timePattern = /^\d{1,2}:\d{2}$/;
+        if (timePattern.test(storedValue) && timePattern.test(writtenValue)) {
+            return normalizeTime(storedValue) === normalizeTime(writtenValue);
+        }
+        return storedValue === writtenValue;
+    }
+
+    /**
+     * Restore input values recorded in a fill journal
+     * An input is only restored if it still holds the value the extension wrote
+     * @param {object[]} entries - Journal entries ({date, field, previousValue, newValue})
+     * @returns {object} Result object with success/error status, restored count and conflicts
+     */
+    restoreJournalEntries(entries) {
+        logger.log(`Restoring ${entries.length} journal entries...`);
+        
+        try {
+            const rowsResult = this.getDateRows();
+            if (!rowsResult.success) {
+                return rowsResult;
+            }
+            
+            const rowsByDate = this.indexRowsByDate(rowsResult.rows);
+            let restoredCount = 0;
+            const conflicts = [];
+            
+            for (const entry of entries) {
+                const input = this.findJournalInput(rowsByDate, entry);
+                
+                if (!input) {
+                    conflicts.push({ ...entry, reason: 'Row or input not found in dialog' });
+                    continue;
+                }
+                
+                const currentValue = input.value.trim();
+                if (currentValue !== entry.newValue) {
+                    conflicts.push({ ...entry, currentValue, reason: 'Value was changed after the fill' });
+                    continue;
+                }
+                
+                this.setInputValue(input, entry.previousValue);
+                restoredCount++;
+                logger.log(`↩️ Restored ${entry.field} for ${entry.date}: ${entry.newValue} → ${entry.previousValue || '(empty)'}`);
+            }
+            
+            logger.log(`✅ Restore complete: ${restoredCount} restored, ${conflicts.length} conflicts`);
+            
+            return {
+                success: true,
+                restored: restoredCount,
+                conflicts
+            };
+            
+        } catch (error) {
+            logger.error('Error restoring journal entries:', error);
+            return {
+                success: false,
+                error: `Restore failed: ${error.message}`
+            };
+        }
+    }
+
     /**
      * Submit the timesheet form
      * @returns {Promise<object>} Result object with success/error status
@@ -292,17 +987,17 @@ export class FormManager {
         
         try {
             // Find the dialog
-            const dialog = document.getElementById('freeReporting-dialog');
+            const dialog = selectorRegistry.find('dialog');
             if (!dialog) {
                 return { success: false, error: 'Dialog not found for submission' };
             }
             
             // Find the submit button
-            const submitButton = dialog.querySelector('.save.button-refresh-data.update-freeReporting');
+            const submitButton = selectorRegistry.find('saveButton', dialog);
             if (!submitButton) {
                 return { 
                     success: false, 
-                    error: 'Submit button not found. Button selector: .save.button-refresh-data.update-freeReporting' 
+                    error: `Submit button not found. Button selectors: ${selectorRegistry.describe('saveButton')}` 
                 };
             }
             
@@ -320,13 +1015,8 @@ export class FormManager {
             submitButton.click();
             logger.log('🖱️ Clicked submit button');
             
-            // Wait for form submission to process
-            await sleep(500);
-            
             // Wait for dialog to close (indicating successful submission)
-            const defaultRetries = config.get('DEFAULT_RETRY_COUNT', 15);
-            const defaultDelay = config.get('DEFAULT_DELAY_MS', 1000);
-            const closeSuccess = await this.waitForDialogClose(defaultRetries, defaultDelay);
+            const closeSuccess = await this.waitForDialogClose();
             
             if (closeSuccess.success) {
                 logger.log('✅ Form submitted successfully - dialog closed');
@@ -334,8 +1024,18 @@ export class FormManager {
                     success: true,
                     message: 'Form submitted successfully and dialog closed'
                 };
+            }
+            
+            const validationErrors = this.collectValidationErrors();
+            if (validationErrors.length > 0) {
+                logger.log(`❌ Meckano rejected the timesheet with ${validationErrors.length} validation errors`, validationErrors);
+                return {
+                    success: false,
+                    error: `Meckano rejected the timesheet: ${validationErrors.length} validation errors`,
+                    validationErrors
+                };
             } else {
-                logger.log('⚠️ Form clicked but dialog still open - may have validation errors');
+                logger.log('⚠️ Form clicked but dialog still open - no validation errors found');
                 return {
                     success: true,
                     message: 'Submit button clicked, but dialog remained open (check for validation errors)',
@@ -353,47 +1053,90 @@ export class FormManager {
     }
 
     /**
-     * Wait for dialog to close after submission
-     * @param {number} maxRetries - Maximum number of retry attempts
-     * @param {number} delayMs - Delay between retry attempts
-     * @returns {Promise<object>} Result object with success/error status
+     * Collect the validation errors Meckano shows in the open dialog after a rejected save
+     * Messages, highlighted rows and highlighted inputs are mapped back to the date of their row
+     * @returns {object[]} Errors as {date, field, message}; date is null for messages outside the table
      */
-    async waitForDialogClose(maxRetries = 15, delayMs = 1000) {
-        logger.log(`Waiting for dialog to close (${maxRetries} retries, ${delayMs}ms delay)...`);
+    collectValidationErrors() {
+        const dialog = selectorRegistry.find('dialog');
+        if (!dialog) {
+            return [];
+        }
         
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                const dialog = document.getElementById('freeReporting-dialog');
-                
-                if (!dialog) {
-                    logger.log(`✅ Dialog closed (removed from DOM) on attempt ${attempt}`);
-                    return { success: true, message: 'Dialog removed from DOM' };
-                }
-                
-                // Check if dialog is no longer visible
-                const isVisible = dialog.style.display === 'block' || 
-                                 window.getComputedStyle(dialog).display !== 'none';
-                
-                if (!isVisible) {
-                    logger.log(`✅ Dialog closed (hidden) on attempt ${attempt}`);
-                    return { success: true, message: 'Dialog hidden successfully' };
-                }
-                
-                logger.log(`Attempt ${attempt}/${maxRetries}: Dialog still open`);
-                
-                if (attempt < maxRetries) {
-                    await sleep(delayMs);
+        const timeTable = selectorRegistry.find('timeTable', dialog);
+        const errors = [];
+        const seen = new Set();
+        
+        const addError = (element, message, field = null) => {
+            const row = element.closest('tr');
+            const date = row && timeTable && timeTable.contains(row) ? this.getRowDate(row) : null;
+            const key = `${date}|${field}|${message}`;
+            if (message && !seen.has(key)) {
+                seen.add(key);
+                errors.push({ date, field, message });
+            }
+        };
+        
+        const isShown = element => element.getClientRects().length > 0;
+        
+        for (const element of selectorRegistry.findAll('validationMessage', dialog)) {
+            if (isShown(element)) {
+                addError(element, element.textContent.trim());
+            }
+        }
+        
+        if (timeTable) {
+            for (const input of selectorRegistry.findAll('invalidInput', timeTable)) {
+                const row = input.closest('tr');
+                const field = row && selectorRegistry.find('checkinInput', row) === input ? 'checkin'
+                    : row && selectorRegistry.find('checkoutInput', row) === input ? 'checkout'
+                    : null;
+                const fieldLabel = { checkin: 'Check-in', checkout: 'Check-out' }[field] || 'Input';
+                addError(input, input.title || input.dataset.error || `${fieldLabel} marked as invalid`, field);
+            }
+            
+            for (const row of selectorRegistry.findAll('invalidRow', timeTable)) {
+                // Rows that already produced a specific message do not need the generic one
+                const date = this.getRowDate(row);
+                if (!errors.some(error => error.date === date)) {
+                    addError(row, row.title || 'Row marked as invalid');
                 }
-                
-            } catch (error) {
-                logger.error(`Error checking dialog close on attempt ${attempt}:`, error);
             }
         }
         
-        logger.log(`⚠️ Dialog did not close after ${maxRetries} attempts`);
-        return {
-            success: false,
-            error: `Dialog did not close after ${maxRetries * delayMs}ms`
-        };
+        return errors;
+    }
+
+    /**
+     * Get the date a table row belongs to (extra report lines belong to the dated row above them)
+     * @param {HTMLElement} row - Table row element
+     * @returns {string|null} Date in DD/MM/YYYY format or null if no dated row precedes it
+     */
+    getRowDate(row) {
+        for (let current = row; current; current = current.previousElementSibling) {
+            const dateInfo = this.parseDateRow(current);
+            if (dateInfo) {
+                return dateInfo.date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Wait for dialog to close after submission
+     * @param {number} timeoutMs - Overall time limit
+     * @returns {Promise<object>} Result object with success/error status
+     */
+    async waitForDialogClose(timeoutMs = config.get('dialogManager', {}).waitForDialogCloseTimeoutMs) {
+        return waitForConditions([
+            {
+                name: 'dialog closed',
+                check: () => {
+                    const dialog = selectorRegistry.find('dialog');
+                    // Removed from the DOM or hidden both count as closed
+                    return !dialog || window.getComputedStyle(dialog).display === 'none';
+                }
+            }
+        ], { timeoutMs, description: 'Dialog close' });
     }
 }
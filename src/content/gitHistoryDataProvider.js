@@ -0,0 +1,149 @@
+// GitHistoryDataProvider class for Meckano Time Tracker Helper
+import { DataProvider } from './dataProvider.js';
+import { createLogger } from './logger.js';
+import { formatDateString, minutesToTime } from './utils.js';
+
+const logger = createLogger('GitHistoryDataProvider');
+
+/**
+ * Data provider that derives working hours from git commit timestamps
+ * Accepts `git log --format=%aI` output (one ISO 8601 timestamp per line) or a JSON export of it
+ * Check-in is the first commit of the day minus the lead-in, check-out the last commit plus the trail-out
+ */
+export class GitHistoryDataProvider extends DataProvider {
+    /**
+     * Create a GitHistoryDataProvider instance
+     * @param {string} content - git log output or JSON export
+     * @param {object} options - Provider options
+     * @param {number} options.leadInMinutes - Minutes worked before the first commit
+     * @param {number} options.trailOutMinutes - Minutes worked after the last commit
+     * @param {number} options.minimumDayMinutes - Shorter days fall back to the constant times
+     * @param {string} options.fallbackCheckin - Constant check-in time (HH:MM) for short days
+     * @param {string} options.fallbackCheckout - Constant check-out time (HH:MM) for short days
+     */
+    constructor(content, options = {}) {
+        super();
+        this.leadInMinutes = Number(options.leadInMinutes) || 0;
+        this.trailOutMinutes = Number(options.trailOutMinutes) || 0;
+        this.minimumDayMinutes = Number(options.minimumDayMinutes) || 0;
+        this.fallbackCheckin = options.fallbackCheckin;
+        this.fallbackCheckout = options.fallbackCheckout;
+        this.issues = [];
+
+        // Map of DD/MM/YYYY to {first, last} minutes since local midnight
+        this.days = new Map();
+        this.parse(content || '');
+
+        logger.log(`Initialized with commit activity on ${this.days.size} days`);
+    }
+
+    /**
+     * Parse timestamps from plain git log output or a JSON export
+     * JSON may be an array of timestamp strings or of objects with a date/authorDate/timestamp field
+     * @param {string} content - Raw content
+     */
+    parse(content) {
+        const trimmed = content.trim();
+
+        if (trimmed.startsWith('[')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                this.issues.push({ location: 'File', message: `Invalid JSON: ${error.message}` });
+                return;
+            }
+
+            data.forEach((item, index) => {
+                const value = typeof item === 'string' ? item : item?.authorDate ?? item?.date ?? item?.timestamp;
+                this.addTimestamp(value, `Entry ${index + 1}`);
+            });
+            return;
+        }
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            if (line.trim()) {
+                this.addTimestamp(line.trim(), `Line ${index + 1}`);
+            }
+        });
+    }
+
+    /**
+     * Record a single commit timestamp
+     * @param {string} value - ISO 8601 timestamp, e.g. "2025-08-25T09:14:03+03:00"
+     * @param {string} location - Human-readable location for issue reporting
+     */
+    addTimestamp(value, location) {
+        const isIso = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value);
+        const timestamp = isIso ? new Date(value) : null;
+
+        if (!timestamp || Number.isNaN(timestamp.getTime())) {
+            this.issues.push({ location, message: `Invalid timestamp "${value ?? ''}" (expected git log --format=%aI output)` });
+            return;
+        }
+
+        const date = formatDateString(timestamp);
+        const minutes = timestamp.getHours() * 60 + timestamp.getMinutes();
+
+        const day = this.days.get(date);
+        if (day) {
+            day.first = Math.min(day.first, minutes);
+            day.last = Math.max(day.last, minutes);
+            day.commits++;
+        } else {
+            this.days.set(date, { first: minutes, last: minutes, commits: 1 });
+        }
+    }
+
+    /**
+     * Report malformed timestamps and a history with no commits in the open month
+     * @param {string[]} dates - Dates (DD/MM/YYYY) of the rows in the open dialog
+     * @returns {object[]} Array of {location, message} issues
+     */
+    validate(dates) {
+        const issues = [...this.issues];
+
+        if (issues.length === 0 && !dates.some(date => this.days.has(date))) {
+            issues.push({ location: 'History', message: 'No commits found in the open month' });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Get time data for a specific date
+     * @param {string} date - Date string in DD/MM/YYYY format
+     * @returns {object|null} Object with {checkin, checkout} times or null if there were no commits
+     */
+    getTimeData(date) {
+        const day = this.days.get(date);
+        if (!day) {
+            logger.log(`No commits on ${date}`);
+            return null;
+        }
+
+        const checkinMinutes = Math.max(0, day.first - this.leadInMinutes);
+        const checkoutMinutes = Math.min(1439, day.last + this.trailOutMinutes);
+
+        if (checkoutMinutes - checkinMinutes < this.minimumDayMinutes && this.fallbackCheckin && this.fallbackCheckout) {
+            logger.log(`${date} has only ${checkoutMinutes - checkinMinutes} minutes of activity - using constant times`);
+            return {
+                checkin: this.fallbackCheckin,
+                checkout: this.fallbackCheckout
+            };
+        }
+
+        if (checkoutMinutes <= checkinMinutes) {
+            logger.log(`${date} has no measurable activity`);
+            return null;
+        }
+
+        const timeData = {
+            checkin: minutesToTime(checkinMinutes),
+            checkout: minutesToTime(checkoutMinutes)
+        };
+
+        logger.log(`Commit hours for ${date} from ${day.commits} commits: ${timeData.checkin} - ${timeData.checkout}`);
+        return timeData;
+    }
+}
@@ -0,0 +1,247 @@
+// Hebrew calendar and Israeli holidays for Meckano Time Tracker Helper
+// Pure computation without config or DOM access, so the background worker shares it with the content script
+import { parseDateString, formatDateString } from './utils.js';
+
+/**
+ * Holiday categories, each with its own policy
+ */
+export const HOLIDAY_CATEGORIES = {
+    holiday: 'Holiday',
+    holidayEve: 'Holiday eve',
+    cholHamoed: 'Chol HaMoed',
+    memorialDay: 'Memorial Day',
+    independenceDay: 'Independence Day'
+};
+
+/**
+ * What a category policy does to a working day (see getHolidayPolicy and applyDayPolicy in workWeek.js)
+ * 'work' fills as usual, 'skip' leaves the day empty, 'halfDay' keeps the first half of the provider's hours
+ * and 'customHours' replaces them with the policy's checkin/checkout
+ */
+export const HOLIDAY_POLICY_TYPES = ['work', 'skip', 'halfDay', 'customHours'];
+
+// Hebrew months, numbered from Nisan as in the calculations below
+const NISAN = 1;
+const IYAR = 2;
+const SIVAN = 3;
+const TISHREI = 7;
+
+// Fixed day number (days since 31/12/0000 on the proleptic Gregorian calendar) of 1 Tishrei AM 1
+const HEBREW_EPOCH = -1373427;
+
+// Fixed day number of 01/01/1970, to convert to JavaScript dates
+const UNIX_EPOCH_FIXED = 719163;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const holidaysByYear = new Map();
+
+/**
+ * Check whether a Hebrew year has a second Adar
+ * @param {number} year - Hebrew year
+ * @returns {boolean} True for leap years
+ */
+function isHebrewLeapYear(year) {
+    return (7 * year + 1) % 19 < 7;
+}
+
+/**
+ * Count the days from the epoch to the molad of Tishrei, applying the first postponement rule
+ * @param {number} year - Hebrew year
+ * @returns {number} Days elapsed before the year starts
+ */
+function getElapsedDays(year) {
+    const monthsElapsed = Math.floor((235 * year - 234) / 19);
+    const partsElapsed = 12084 + 13753 * monthsElapsed;
+    const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+    // Rosh Hashana never falls on Sunday, Wednesday or Friday
+    return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+}
+
+/**
+ * Get the fixed day number of 1 Tishrei
+ * @param {number} year - Hebrew year
+ * @returns {number} Fixed day number of the new year
+ */
+function getNewYear(year) {
+    const previous = getElapsedDays(year - 1);
+    const current = getElapsedDays(year);
+    const next = getElapsedDays(year + 1);
+
+    // Keep every year length within the allowed 353-355 / 383-385 days
+    let delay = 0;
+    if (next - current === 356) {
+        delay = 2;
+    } else if (current - previous === 382) {
+        delay = 1;
+    }
+
+    return HEBREW_EPOCH + current + delay;
+}
+
+/**
+ * Get the number of days in a Hebrew month
+ * @param {number} month - Month number (Nisan = 1 ... Adar = 12, Adar II = 13)
+ * @param {number} year - Hebrew year
+ * @returns {number} 29 or 30
+ */
+function getMonthLength(month, year) {
+    const yearLength = getNewYear(year + 1) - getNewYear(year);
+
+    if ([2, 4, 6, 10, 13].includes(month)) {
+        return 29;
+    }
+    if (month === 12 && !isHebrewLeapYear(year)) {
+        return 29;
+    }
+    // Cheshvan is long only in complete years (355/385 days), Kislev short only in deficient ones (353/383)
+    if (month === 8 && yearLength !== 355 && yearLength !== 385) {
+        return 29;
+    }
+    if (month === 9 && (yearLength === 353 || yearLength === 383)) {
+        return 29;
+    }
+    return 30;
+}
+
+/**
+ * Convert a Hebrew date to a fixed day number
+ * @param {number} year - Hebrew year
+ * @param {number} month - Month number (Nisan = 1)
+ * @param {number} day - Day of the month
+ * @returns {number} Fixed day number
+ */
+function hebrewToFixed(year, month, day) {
+    const lastMonth = isHebrewLeapYear(year) ? 13 : 12;
+    let fixed = getNewYear(year) + day - 1;
+
+    // The year starts in Tishrei, so months from Nisan come after the winter months
+    if (month < TISHREI) {
+        for (let current = TISHREI; current <= lastMonth; current++) {
+            fixed += getMonthLength(current, year);
+        }
+        for (let current = NISAN; current < month; current++) {
+            fixed += getMonthLength(current, year);
+        }
+    } else {
+        for (let current = TISHREI; current < month; current++) {
+            fixed += getMonthLength(current, year);
+        }
+    }
+
+    return fixed;
+}
+
+/**
+ * Convert a fixed day number to a local Date
+ * @param {number} fixed - Fixed day number
+ * @returns {Date} Local date at midnight
+ */
+function fixedToDate(fixed) {
+    const utc = new Date((fixed - UNIX_EPOCH_FIXED) * DAY_MS);
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+/**
+ * Compute Israeli holidays, holiday eves, Chol HaMoed and Memorial/Independence Day of a Gregorian year
+ * Dates follow the Israeli (single-day) observance
+ * @param {number} gregorianYear - Gregorian year
+ * @returns {object[]} Days as {date (DD/MM/YYYY), name, category}, sorted by date
+ */
+export function getIsraeliHolidays(gregorianYear) {
+    if (holidaysByYear.has(gregorianYear)) {
+        return holidaysByYear.get(gregorianYear);
+    }
+
+    const days = [];
+    const add = (fixed, name, category) => days.push({ fixed, name, category });
+
+    // Spring holidays belong to the Hebrew year that started the previous autumn,
+    // autumn holidays to the one starting this autumn
+    const springYear = gregorianYear + 3760;
+    const autumnYear = gregorianYear + 3761;
+
+    const pesach = hebrewToFixed(springYear, NISAN, 15);
+    add(pesach - 1, 'Erev Pesach', 'holidayEve');
+    add(pesach, 'Pesach', 'holiday');
+    for (let day = 1; day <= 4; day++) {
+        add(pesach + day, 'Chol HaMoed Pesach', 'cholHamoed');
+    }
+    add(pesach + 5, 'Erev Shvi\'i shel Pesach', 'holidayEve');
+    add(pesach + 6, 'Shvi\'i shel Pesach', 'holiday');
+
+    for (const entry of getIndependenceDays(springYear)) {
+        add(...entry);
+    }
+
+    const shavuot = hebrewToFixed(springYear, SIVAN, 6);
+    add(shavuot - 1, 'Erev Shavuot', 'holidayEve');
+    add(shavuot, 'Shavuot', 'holiday');
+
+    const roshHashana = hebrewToFixed(autumnYear, TISHREI, 1);
+    add(roshHashana - 1, 'Erev Rosh Hashana', 'holidayEve');
+    add(roshHashana, 'Rosh Hashana', 'holiday');
+    add(roshHashana + 1, 'Rosh Hashana', 'holiday');
+    add(roshHashana + 8, 'Erev Yom Kippur', 'holidayEve');
+    add(roshHashana + 9, 'Yom Kippur', 'holiday');
+
+    const sukkot = hebrewToFixed(autumnYear, TISHREI, 15);
+    add(sukkot - 1, 'Erev Sukkot', 'holidayEve');
+    add(sukkot, 'Sukkot', 'holiday');
+    for (let day = 1; day <= 5; day++) {
+        add(sukkot + day, 'Chol HaMoed Sukkot', 'cholHamoed');
+    }
+    add(sukkot + 6, 'Hoshana Raba', 'holidayEve');
+    add(sukkot + 7, 'Shemini Atzeret / Simchat Torah', 'holiday');
+
+    // Both Hebrew years also have days outside the requested Gregorian year in theory, so filter to it
+    const result = days
+        .map(({ fixed, name, category }) => ({ date: fixedToDate(fixed), name, category }))
+        .filter(({ date }) => date.getFullYear() === gregorianYear)
+        .sort((a, b) => a.date - b.date)
+        .map(({ date, name, category }) => ({ date: formatDateString(date), name, category }));
+
+    holidaysByYear.set(gregorianYear, result);
+    return result;
+}
+
+/**
+ * Get Memorial Day and Independence Day of a Hebrew year, moved as the law requires:
+ * away from Friday/Saturday to the Thursday before, and from Monday to Tuesday (so Memorial Day
+ * does not start right after Shabbat)
+ * @param {number} hebrewYear - Hebrew year
+ * @returns {Array[]} Two [fixed, name, category] entries
+ */
+function getIndependenceDays(hebrewYear) {
+    let independence = hebrewToFixed(hebrewYear, IYAR, 5);
+    const weekday = fixedToDate(independence).getDay();
+
+    if (weekday === 5) {
+        independence -= 1;
+    } else if (weekday === 6) {
+        independence -= 2;
+    } else if (weekday === 1) {
+        independence += 1;
+    }
+
+    return [
+        [independence - 1, 'Yom HaZikaron', 'memorialDay'],
+        [independence, 'Yom HaAtzmaut', 'independenceDay']
+    ];
+}
+
+/**
+ * Find the computed holiday falling on a date
+ * Ignores HOLIDAY_CALENDAR.enabled; use findHoliday from workWeek.js to honour it
+ * @param {string} dateString - Date in DD/MM/YYYY format
+ * @returns {object|null} {date, name, category} or null if the date is an ordinary day
+ */
+export function getHolidayOn(dateString) {
+    const date = parseDateString(dateString);
+    if (!date) {
+        return null;
+    }
+
+    const normalized = formatDateString(date);
+    return getIsraeliHolidays(date.getFullYear()).find(holiday => holiday.date === normalized) || null;
+}
+
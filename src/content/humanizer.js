@@ -0,0 +1,137 @@
+// Humanizer for Meckano Time Tracker Helper
+import { createLogger } from './logger.js';
+import { timeToMinutes, minutesToTime } from './utils.js';
+
+const logger = createLogger('Humanizer');
+
+// Last minute of the day; humanized times never leave 00:00-23:59
+const LAST_MINUTE = 24 * 60 - 1;
+
+/**
+ * Humanization strategies
+ * Each takes the day's window in minutes, a random source and the maximum offset,
+ * and returns the humanized [checkin, checkout] in minutes (clamped to the day afterwards)
+ */
+export const HUMANIZE_STRATEGIES = {
+    // Each time moves uniformly within ±max, but the day's duration changes by at most ±max
+    uniform: (checkin, checkout, random, max) => {
+        const checkinOffset = uniformOffset(random, max);
+        const low = Math.max(-max, checkinOffset - max);
+        const high = Math.min(max, checkinOffset + max);
+        return [checkin + checkinOffset, checkout + low + Math.floor(random() * (high - low + 1))];
+    },
+
+    // Offsets cluster around the planned times (σ = max / 3), cut off at ±max, with the same duration bound as uniform
+    normal: (checkin, checkout, random, max) => {
+        const checkinOffset = normalOffset(random, max);
+        const checkoutOffset = Math.min(checkinOffset + max, Math.max(checkinOffset - max, normalOffset(random, max)));
+        return [checkin + checkinOffset, checkout + checkoutOffset];
+    },
+
+    // The whole window moves by one offset, so the day keeps its exact duration
+    shiftWindow: (checkin, checkout, random, max) => {
+        const offset = Math.min(LAST_MINUTE - checkout, Math.max(-checkin, uniformOffset(random, max)));
+        return [checkin + offset, checkout + offset];
+    },
+
+    // Like uniform, with both times rounded to the nearest 5 minutes as people tend to report them
+    roundTo5: (checkin, checkout, random, max) => {
+        return HUMANIZE_STRATEGIES.uniform(checkin, checkout, random, max).map(minutes => Math.round(minutes / 5) * 5);
+    }
+};
+
+export const DEFAULT_HUMANIZE_STRATEGY = 'uniform';
+export const DEFAULT_HUMANIZE_MAX_MINUTES = 20;
+
+/**
+ * Randomizes a day's check-in and check-out times with a pluggable strategy
+ * With a seed, every date gets its own random sequence derived from the seed and the date,
+ * so a month comes out the same on every run (and in the preview and the fill) regardless of order.
+ */
+export class Humanizer {
+    /**
+     * Create a Humanizer instance
+     * @param {object} options - Humanizer options
+     * @param {string} options.strategy - Key of HUMANIZE_STRATEGIES
+     * @param {number} options.maxOffsetMinutes - Largest offset applied to a time
+     * @param {string|number|null} options.seed - Seed for reproducible output (empty for Math.random)
+     */
+    constructor({ strategy = DEFAULT_HUMANIZE_STRATEGY, maxOffsetMinutes = DEFAULT_HUMANIZE_MAX_MINUTES, seed = null } = {}) {
+        if (!HUMANIZE_STRATEGIES[strategy]) {
+            logger.warn(`Unknown humanize strategy "${strategy}", using ${DEFAULT_HUMANIZE_STRATEGY}`);
+            strategy = DEFAULT_HUMANIZE_STRATEGY;
+        }
+
+        const maxOffset = Number(maxOffsetMinutes);
+        this.strategy = strategy;
+        this.maxOffsetMinutes = Number.isFinite(maxOffset) && maxOffset >= 0 ? Math.round(maxOffset) : DEFAULT_HUMANIZE_MAX_MINUTES;
+        this.seed = seed === null || seed === undefined || seed === '' ? null : String(seed);
+
+        logger.log(`Initialized with strategy ${this.strategy}, ±${this.maxOffsetMinutes} min` +
+            (this.seed !== null ? `, seed "${this.seed}"` : ''));
+    }
+
+    /**
+     * Humanize one day's times
+     * @param {string} checkin - Check-in time in HH:MM format
+     * @param {string} checkout - Check-out time in HH:MM format
+     * @param {string} date - Date the times are for; selects the seeded sequence
+     * @returns {object} Object with humanized {checkin, checkout} times in HH:MM format
+     */
+    humanize(checkin, checkout, date = '') {
+        const random = this.seed !== null ? createSeededRandom(`${this.seed}|${date}`) : Math.random;
+        const [start, end] = HUMANIZE_STRATEGIES[this.strategy](
+            timeToMinutes(checkin), timeToMinutes(checkout), random, this.maxOffsetMinutes
+        );
+
+        // Stay inside the day and never let check-out reach check-in
+        const humanizedCheckin = Math.min(LAST_MINUTE - 1, Math.max(0, start));
+        const humanizedCheckout = Math.min(LAST_MINUTE, Math.max(humanizedCheckin + 1, end));
+
+        return {
+            checkin: minutesToTime(humanizedCheckin),
+            checkout: minutesToTime(humanizedCheckout)
+        };
+    }
+}
+
+/**
+ * Create a deterministic random source (mulberry32) from a seed
+ * @param {string|number} seed - Any seed; strings are hashed with FNV-1a
+ * @returns {function(): number} Function returning numbers in [0, 1) like Math.random
+ */
+export function createSeededRandom(seed) {
+    let state = 0x811c9dc5;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.codePointAt(0), 0x01000193);
+    }
+
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let value = Math.imul(state ^ (state >>> 15), 1 | state);
+        value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a whole-minute offset uniformly from [-max, max]
+ * @param {function(): number} random - Random source
+ * @param {number} max - Largest offset in minutes
+ * @returns {number} Offset in minutes
+ */
+function uniformOffset(random, max) {
+    return Math.floor(random() * (2 * max + 1)) - max;
+}
+
+/**
+ * Draw a whole-minute offset from a normal distribution (σ = max / 3) cut off at ±max
+ * @param {function(): number} random - Random source
+ * @param {number} max - Largest offset in minutes
+ * @returns {number} Offset in minutes
+ */
+function normalOffset(random, max) {
+    // Box-Muller transform; 1 - random() keeps the logarithm finite
+    const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    return Math.max(-max, Math.min(max, Math.round(gaussian * max / 3)));
+}
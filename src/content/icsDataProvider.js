@@ -0,0 +1,107 @@
+// IcsDataProvider class for Meckano Time Tracker Helper
+import { DataProvider } from './dataProvider.js';
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+import { parseIcs, expandEvent, describeUnsupportedRules } from './icsParser.js';
+import { parseDateString, minutesToTime } from './utils.js';
+
+const logger = createLogger('IcsDataProvider');
+
+/**
+ * Data provider that derives office hours from calendar events in an .ics file
+ * Check-in is the first timed event of the day minus padding, check-out the last one plus padding
+ * All-day events whose title matches a skip keyword (e.g. "OOO", "Vacation") skip the day
+ */
+export class IcsDataProvider extends DataProvider {
+    /**
+     * Create an IcsDataProvider instance
+     * @param {string} content - Raw .ics file content
+     * @param {number} paddingBeforeMinutes - Minutes to subtract from the first event start
+     * @param {number} paddingAfterMinutes - Minutes to add to the last event end
+     */
+    constructor(content, paddingBeforeMinutes = 0, paddingAfterMinutes = 0) {
+        super();
+        this.paddingBeforeMinutes = Number(paddingBeforeMinutes) || 0;
+        this.paddingAfterMinutes = Number(paddingAfterMinutes) || 0;
+        this.skipKeywords = (config.get('icsDataProvider', {}).skipKeywords || ['OOO', 'Vacation']).map(keyword => keyword.toLowerCase());
+
+        const { events, issues } = parseIcs(content);
+        this.events = events;
+        this.issues = [...issues, ...describeUnsupportedRules(events)];
+
+        logger.log(`Initialized with ${events.length} events, padding ${this.paddingBeforeMinutes}/${this.paddingAfterMinutes} minutes`);
+    }
+
+    /**
+     * Report parse problems and an empty calendar before filling
+     * @param {string[]} dates - Dates (DD/MM/YYYY) of the rows in the open dialog
+     * @returns {object[]} Array of {location, message} issues
+     */
+    validate(dates) {
+        if (this.events.length === 0 && this.issues.length === 0) {
+            return [{ location: 'File', message: 'The calendar file contains no events' }];
+        }
+
+        return [...this.issues];
+    }
+
+    /**
+     * Check whether an all-day occurrence marks the day as a day off
+     * @param {object} occurrence - Expanded occurrence
+     * @returns {boolean} True if the title matches a skip keyword
+     */
+    isSkipEvent(occurrence) {
+        const summary = occurrence.summary.toLowerCase();
+        return occurrence.allDay && this.skipKeywords.some(keyword => summary.includes(keyword));
+    }
+
+    /**
+     * Get time data for a specific date
+     * @param {string} date - Date string in DD/MM/YYYY format
+     * @returns {object|null} Object with {checkin, checkout} times or null to skip
+     */
+    getTimeData(date) {
+        const dayStart = parseDateString(date);
+        if (!dayStart) {
+            logger.warn(`Invalid date ${date}`);
+            return null;
+        }
+
+        const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1);
+        const occurrences = this.events.flatMap(event => expandEvent(event, dayStart, dayEnd));
+
+        const skipEvent = occurrences.find(occurrence => this.isSkipEvent(occurrence));
+        if (skipEvent) {
+            logger.log(`${date} skipped by all-day event "${skipEvent.summary}"`);
+            return null;
+        }
+
+        const timed = occurrences.filter(occurrence => !occurrence.allDay);
+        if (timed.length === 0) {
+            logger.log(`No timed events on ${date}`);
+            return null;
+        }
+
+        // Clip events crossing midnight to this day, in minutes since midnight
+        const toDayMinutes = time => Math.round((Math.min(Math.max(time, dayStart.getTime()), dayEnd.getTime()) -
+            dayStart.getTime()) / 60000);
+        const firstStart = Math.min(...timed.map(occurrence => toDayMinutes(occurrence.start.getTime())));
+        const lastEnd = Math.max(...timed.map(occurrence => toDayMinutes(occurrence.end.getTime())));
+
+        const checkinMinutes = Math.max(0, firstStart - this.paddingBeforeMinutes);
+        const checkoutMinutes = Math.min(1439, lastEnd + this.paddingAfterMinutes);
+
+        if (checkoutMinutes <= checkinMinutes) {
+            logger.log(`Events on ${date} have no duration`);
+            return null;
+        }
+
+        const timeData = {
+            checkin: minutesToTime(checkinMinutes),
+            checkout: minutesToTime(checkoutMinutes)
+        };
+
+        logger.log(`Calendar hours for ${date} from ${timed.length} events: ${timeData.checkin} - ${timeData.checkout}`);
+        return timeData;
+    }
+}
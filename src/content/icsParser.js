@@ -0,0 +1,479 @@
+// iCalendar (.ics) parsing helpers for Meckano Time Tracker Helper
+import { createLogger } from './logger.js';
+
+const logger = createLogger('IcsParser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Upper bound on generated occurrences per event, protects against endless rules
+const MAX_OCCURRENCES = 5000;
+
+/**
+ * Parse iCalendar text into a list of events
+ * Supports DTSTART/DTEND (UTC, TZID and floating times, VALUE=DATE all-day events), DURATION,
+ * SUMMARY, STATUS, RRULE, EXDATE and RECURRENCE-ID overrides
+ * @param {string} text - Raw .ics content
+ * @returns {object} Object with events array and issues array ({location, message})
+ */
+export function parseIcs(text) {
+    const events = [];
+    const issues = [];
+
+    // Unfold continuation lines (RFC 5545 §3.1)
+    const lines = (text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    if (!lines.some(line => line.trim() === 'BEGIN:VCALENDAR')) {
+        issues.push({ location: 'File', message: 'Not an iCalendar file (missing BEGIN:VCALENDAR)' });
+        return { events, issues };
+    }
+
+    let current = null;
+    let depth = 0;
+
+    lines.forEach((line, index) => {
+        if (line === 'BEGIN:VEVENT') {
+            current = { properties: [], line: index + 1 };
+            depth = 0;
+            return;
+        }
+
+        if (!current) {
+            return;
+        }
+
+        // Ignore nested components such as VALARM
+        if (line.startsWith('BEGIN:')) {
+            depth++;
+            return;
+        }
+        if (line.startsWith('END:') && line !== 'END:VEVENT') {
+            depth--;
+            return;
+        }
+
+        if (line === 'END:VEVENT') {
+            const result = buildEvent(current.properties);
+            if (result.error) {
+                issues.push({ location: `Line ${current.line}`, message: result.error });
+            } else {
+                events.push(result.event);
+            }
+            current = null;
+            return;
+        }
+
+        if (depth === 0) {
+            const property = parseProperty(line);
+            if (property) {
+                current.properties.push(property);
+            }
+        }
+    });
+
+    applyRecurrenceOverrides(events);
+
+    logger.log(`Parsed ${events.length} events with ${issues.length} issues`);
+    return { events, issues };
+}
+
+/**
+ * Parse a single content line ("NAME;PARAM=VALUE:value")
+ * @param {string} line - Unfolded content line
+ * @returns {object|null} Object with name, params and value, or null if malformed
+ */
+function parseProperty(line) {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, name, rawParams, value] = match;
+    const params = {};
+    for (const param of rawParams.split(';').filter(Boolean)) {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value };
+}
+
+/**
+ * Build an event object from its properties
+ * @param {object[]} properties - Parsed properties of a VEVENT
+ * @returns {object} Object with event or error
+ */
+function buildEvent(properties) {
+    const get = name => properties.find(property => property.name === name);
+
+    const dtStart = get('DTSTART');
+    if (!dtStart) {
+        return { error: 'Event without DTSTART' };
+    }
+
+    const start = parseDateValue(dtStart);
+    if (!start) {
+        return { error: `Invalid DTSTART "${dtStart.value}"` };
+    }
+
+    let end = null;
+    const dtEnd = get('DTEND');
+    const duration = get('DURATION');
+    if (dtEnd) {
+        end = parseDateValue(dtEnd);
+    } else if (duration) {
+        const durationMs = parseDuration(duration.value);
+        end = durationMs === null ? null : { ...start, date: new Date(start.date.getTime() + durationMs) };
+    } else {
+        // RFC 5545: all-day events default to one day, timed events to zero length
+        end = { ...start, date: new Date(start.date.getTime() + (start.allDay ? DAY_MS : 0)) };
+    }
+
+    if (!end) {
+        return { error: `Invalid end of event "${get('SUMMARY')?.value || ''}"` };
+    }
+
+    const exdates = properties
+        .filter(property => property.name === 'EXDATE')
+        .flatMap(property => property.value.split(',').map(value => parseDateValue({ ...property, value })))
+        .filter(Boolean)
+        .map(exdate => exdate.date.getTime());
+
+    const rruleProperty = get('RRULE');
+    const recurrenceId = get('RECURRENCE-ID');
+
+    return {
+        event: {
+            uid: get('UID')?.value || '',
+            summary: unescapeText(get('SUMMARY')?.value || ''),
+            status: (get('STATUS')?.value || '').toUpperCase(),
+            allDay: start.allDay,
+            start: start.date,
+            end: end.date,
+            rrule: rruleProperty ? parseRrule(rruleProperty.value) : null,
+            exdates: new Set(exdates),
+            recurrenceId: recurrenceId ? parseDateValue(recurrenceId)?.date.getTime() ?? null : null
+        }
+    };
+}
+
+/**
+ * Parse a DATE or DATE-TIME property value into a Date
+ * UTC values ("Z") are absolute, TZID values are converted from that zone, floating values are local
+ * @param {object} property - Property with params and value
+ * @returns {object|null} Object with date (Date) and allDay flag, or null if invalid
+ */
+function parseDateValue(property) {
+    const value = property.value.trim();
+
+    const dateMatch = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (dateMatch || property.params.VALUE === 'DATE') {
+        if (!dateMatch) {
+            return null;
+        }
+        const [, year, month, day] = dateMatch.map(Number);
+        return { date: new Date(year, month - 1, day), allDay: true };
+    }
+
+    const dateTimeMatch = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+    if (!dateTimeMatch) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds] = dateTimeMatch.slice(0, 7).map(Number);
+    const isUtc = dateTimeMatch[7] === 'Z';
+
+    if (isUtc) {
+        return { date: new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)), allDay: false };
+    }
+
+    const tzid = property.params.TZID;
+    if (tzid) {
+        const zoned = zonedTimeToDate(year, month, day, hours, minutes, seconds, tzid);
+        if (zoned) {
+            return { date: zoned, allDay: false };
+        }
+    }
+
+    // Floating time (or unknown TZID): treat as local wall time
+    return { date: new Date(year, month - 1, day, hours, minutes, seconds), allDay: false };
+}
+
+/**
+ * Convert a wall-clock time in an IANA time zone to a Date
+ * @returns {Date|null} Date or null if the time zone is not known to Intl
+ */
+function zonedTimeToDate(year, month, day, hours, minutes, seconds, timeZone) {
+    let formatter;
+    try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+    } catch (error) {
+        logger.warn(`Unknown time zone "${timeZone}", using local time`);
+        return null;
+    }
+
+    const wallClockUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const offsetAt = instant => {
+        const parts = Object.fromEntries(formatter.formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - instant;
+    };
+
+    // Two passes settle the offset around DST transitions
+    let instant = wallClockUtc - offsetAt(wallClockUtc);
+    instant = wallClockUtc - offsetAt(instant);
+    return new Date(instant);
+}
+
+/**
+ * Parse an ISO 8601 duration such as "PT1H30M" or "P1D"
+ * @param {string} value - Duration value
+ * @returns {number|null} Duration in milliseconds or null if invalid
+ */
+function parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const totalMs = ((Number(weeks) * 7 + Number(days)) * 24 * 3600 +
+        Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+    return sign === '-' ? -totalMs : totalMs;
+}
+
+/**
+ * Parse an RRULE value into an object
+ * BYDAY entries keep their ordinal (e.g. "2TU", "-1FR"); BYMONTHDAY may count from the month end (e.g. -1)
+ * @param {string} value - RRULE value, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20251231T000000Z"
+ * @returns {object} Rule with freq, interval, count, until, byDay ({weekday, ordinal}), byMonthDay and unsupported parts
+ */
+function parseRrule(value) {
+    const parts = Object.fromEntries(value.split(';').map(part => part.split('=')));
+    const known = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'WKST'];
+    const unsupported = Object.keys(parts).filter(key => !known.includes(key));
+
+    let byDay = null;
+    if (parts.BYDAY) {
+        const entries = parts.BYDAY.split(',').map(code => code.trim().toUpperCase().match(/^([+-]?\d{1,2})?([A-Z]{2})$/));
+        byDay = entries
+            .filter(match => match && WEEKDAY_CODES.includes(match[2]) && Number(match[1] || 1) !== 0)
+            .map(match => ({ weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal: match[1] ? Number(match[1]) : null }));
+        if (byDay.length < entries.length) {
+            logger.warn(`Ignoring invalid BYDAY entries in "${parts.BYDAY}"`);
+            unsupported.push(`BYDAY=${parts.BYDAY}`);
+        }
+    }
+
+    let byMonthDay = null;
+    if (parts.BYMONTHDAY) {
+        const days = parts.BYMONTHDAY.split(',').map(Number);
+        byMonthDay = days.filter(day => Number.isInteger(day) && day !== 0 && Math.abs(day) <= 31);
+        if (byMonthDay.length < days.length) {
+            logger.warn(`Ignoring invalid BYMONTHDAY entries in "${parts.BYMONTHDAY}"`);
+            unsupported.push(`BYMONTHDAY=${parts.BYMONTHDAY}`);
+        }
+    }
+
+    return {
+        freq: (parts.FREQ || '').toUpperCase(),
+        interval: Math.max(1, Number(parts.INTERVAL) || 1),
+        count: parts.COUNT ? Number(parts.COUNT) : null,
+        until: parts.UNTIL ? parseDateValue({ params: {}, value: parts.UNTIL })?.date ?? null : null,
+        byDay,
+        byMonthDay,
+        unsupported
+    };
+}
+
+/**
+ * Replace recurring instances that have a RECURRENCE-ID override with the override event
+ * @param {object[]} events - Parsed events (modified in place)
+ */
+function applyRecurrenceOverrides(events) {
+    for (const override of events.filter(event => event.recurrenceId !== null)) {
+        const master = events.find(event => event.uid === override.uid && event.rrule && event.recurrenceId === null);
+        if (master) {
+            master.exdates.add(override.recurrenceId);
+        }
+    }
+}
+
+/**
+ * Describe rule parts this parser cannot honor, so callers can warn the user
+ * @param {object[]} events - Parsed events
+ * @returns {object[]} Array of {location, message} issues
+ */
+export function describeUnsupportedRules(events) {
+    return events
+        .filter(event => event.rrule &&
+            (!SUPPORTED_FREQUENCIES.includes(event.rrule.freq) || event.rrule.unsupported.length > 0))
+        .map(event => ({
+            location: event.summary || event.uid || 'Event',
+            message: `Recurrence rule only partially supported (${[event.rrule.freq, ...event.rrule.unsupported].join(', ')})`
+        }));
+}
+
+/**
+ * Expand an event into its occurrences overlapping a time range
+ * @param {object} event - Parsed event
+ * @param {Date} rangeStart - Range start (inclusive)
+ * @param {Date} rangeEnd - Range end (exclusive)
+ * @returns {object[]} Occurrences as {start, end, allDay, summary}
+ */
+export function expandEvent(event, rangeStart, rangeEnd) {
+    if (event.status === 'CANCELLED') {
+        return [];
+    }
+
+    const durationMs = event.end.getTime() - event.start.getTime();
+    const occurrences = [];
+    const overlaps = start => start.getTime() < rangeEnd.getTime() &&
+        start.getTime() + Math.max(durationMs, 1) > rangeStart.getTime();
+
+    for (const start of generateStarts(event, rangeEnd)) {
+        if (event.exdates.has(start.getTime()) || !overlaps(start)) {
+            continue;
+        }
+        occurrences.push({
+            start,
+            end: new Date(start.getTime() + durationMs),
+            allDay: event.allDay,
+            summary: event.summary
+        });
+    }
+
+    return occurrences;
+}
+
+/**
+ * Generate occurrence start times of an event up to a limit
+ * Wall-clock time of DTSTART is kept across DST changes
+ * @param {object} event - Parsed event
+ * @param {Date} limit - Stop generating at this time
+ * @returns {Date[]} Occurrence start times
+ */
+function generateStarts(event, limit) {
+    const rule = event.rrule;
+    if (!rule || !SUPPORTED_FREQUENCIES.includes(rule.freq)) {
+        return [event.start];
+    }
+
+    const starts = [];
+    const first = event.start;
+    const withDate = (year, month, day) => new Date(year, month, day,
+        first.getHours(), first.getMinutes(), first.getSeconds());
+
+    const accept = candidate => {
+        if (candidate.getTime() < first.getTime()) {
+            return true;
+        }
+        if (rule.until && candidate.getTime() > rule.until.getTime()) {
+            return false;
+        }
+        if (rule.count !== null && starts.length >= rule.count) {
+            return false;
+        }
+        starts.push(candidate);
+        return true;
+    };
+
+    for (let period = 0; starts.length < MAX_OCCURRENCES; period += rule.interval) {
+        let periodStart;
+        let candidates;
+
+        if (rule.freq === 'DAILY') {
+            periodStart = withDate(first.getFullYear(), first.getMonth(), first.getDate() + period);
+            candidates = [periodStart];
+        } else if (rule.freq === 'WEEKLY') {
+            const weekStart = first.getDate() - first.getDay() + period * 7;
+            // Ordinals are meaningless in a weekly rule, so "1MO" counts as every Monday
+            const days = rule.byDay ? [...new Set(rule.byDay.map(({ weekday }) => weekday))] : [first.getDay()];
+            periodStart = withDate(first.getFullYear(), first.getMonth(), weekStart);
+            candidates = days.sort((a, b) => a - b)
+                .map(day => withDate(first.getFullYear(), first.getMonth(), weekStart + day));
+        } else if (rule.freq === 'MONTHLY') {
+            periodStart = new Date(first.getFullYear(), first.getMonth() + period, 1);
+            candidates = getMonthlyDays(rule, periodStart.getFullYear(), periodStart.getMonth(), first.getDate())
+                .map(day => withDate(periodStart.getFullYear(), periodStart.getMonth(), day));
+        } else {
+            periodStart = new Date(first.getFullYear() + period, 0, 1);
+            candidates = [withDate(first.getFullYear() + period, first.getMonth(), first.getDate())]
+                .filter(date => date.getMonth() === first.getMonth());
+        }
+
+        // Checked before the candidates so rules producing none in a period (e.g. the 31st) still end
+        if (periodStart.getTime() >= limit.getTime()) {
+            break;
+        }
+
+        if (!candidates.every(accept)) {
+            break;
+        }
+    }
+
+    return starts;
+}
+
+/**
+ * Get the days of one month a MONTHLY rule selects
+ * BYMONTHDAY and BYDAY both narrow the month; with neither, the DTSTART day of month is used
+ * @param {object} rule - Parsed rule
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} startDay - Day of month of DTSTART
+ * @returns {number[]} Days of month in ascending order
+ */
+function getMonthlyDays(rule, year, month, startDay) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const weekdayOf = day => new Date(year, month, day).getDay();
+    let days;
+
+    if (rule.byMonthDay) {
+        // Negative days count from the month end (-1 is the last day); days the month lacks are skipped
+        days = rule.byMonthDay
+            .map(day => day > 0 ? day : daysInMonth + day + 1)
+            .filter(day => day >= 1 && day <= daysInMonth);
+    } else if (!rule.byDay) {
+        days = startDay <= daysInMonth ? [startDay] : [];
+    } else {
+        days = [];
+        for (const { weekday, ordinal } of rule.byDay) {
+            const matching = [];
+            for (let day = 1; day <= daysInMonth; day++) {
+                if (weekdayOf(day) === weekday) {
+                    matching.push(day);
+                }
+            }
+            if (ordinal === null) {
+                days.push(...matching);
+            } else {
+                const day = matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal];
+                if (day !== undefined) {
+                    days.push(day);
+                }
+            }
+        }
+    }
+
+    if (rule.byMonthDay && rule.byDay) {
+        const weekdays = rule.byDay.map(({ weekday }) => weekday);
+        days = days.filter(day => weekdays.includes(weekdayOf(day)));
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Unescape TEXT values (RFC 5545 §3.3.11)
+ * @param {string} value - Escaped text
+ * @returns {string} Unescaped text
+ */
+function unescapeText(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
@@ -0,0 +1,198 @@
+// MonthlyTargetDataProvider class for Meckano Time Tracker Helper
+import { DataProvider } from './dataProvider.js';
+import { createLogger } from './logger.js';
+import { timeToMinutes, minutesToTime, isValidTimeFormat } from './utils.js';
+
+const logger = createLogger('MonthlyTargetDataProvider');
+
+// Planned day lengths are multiples of this many minutes
+const GRANULARITY_MINUTES = 5;
+
+/**
+ * Data provider that spreads the hours still missing from a monthly target across unfilled working days
+ * Hours already reported in the timesheet count towards the target. Only days the coming fill will write
+ * get hours (in scope, not marked absent), and day policies are planned as FormManager applies them:
+ * custom-hours days count their fixed hours and half days take half a day's share.
+ */
+export class MonthlyTargetDataProvider extends DataProvider {
+    /**
+     * Create a MonthlyTargetDataProvider instance
+     * @param {number} targetHours - Total hours required for the month
+     * @param {string} dayStartTime - Check-in time (HH:MM) for planned days
+     * @param {number} minDayHours - Minimum planned day length in hours
+     * @param {number} maxDayHours - Maximum planned day length in hours
+     */
+    constructor(targetHours, dayStartTime, minDayHours, maxDayHours) {
+        super();
+        this.targetMinutes = Math.round((Number(targetHours) || 0) * 60);
+        this.dayStartTime = dayStartTime;
+        this.minDayMinutes = Math.round((Number(minDayHours) || 0) * 60);
+        this.maxDayMinutes = Math.round((Number(maxDayHours) || 24) * 60);
+
+        this.existingMinutes = 0;
+        this.remainingMinutes = 0;
+        this.plannedDays = new Map();
+        this.issues = [];
+
+        logger.log(`Initialized with target ${targetHours}h, day ${minDayHours}-${maxDayHours}h starting ${dayStartTime}`);
+    }
+
+    /**
+     * Compute the distribution from the current timesheet
+     * @param {object[]} rows - Timesheet snapshot ({date, isWorkingDay, isComplete, checkin, segments, dayPolicy})
+     * @param {object} options - Fill options ({isInScope, absences})
+     */
+    prepare(rows, options = {}) {
+        this.plannedDays.clear();
+        this.issues = [];
+
+        if (!isValidTimeFormat(this.dayStartTime)) {
+            this.issues.push({ location: 'Settings', message: `Invalid day start time "${this.dayStartTime}"` });
+            return;
+        }
+        if (this.minDayMinutes > this.maxDayMinutes) {
+            this.issues.push({ location: 'Settings', message: 'Minimum day length is longer than the maximum' });
+            return;
+        }
+
+        // Hours already reported (on every report line of a day) count towards the target
+        this.existingMinutes = rows
+            .filter(row => row.isComplete)
+            .reduce((total, row) => total + getReportedMinutes(row), 0);
+
+        const openDays = rows.filter(row => row.isWorkingDay && !row.isComplete &&
+            (!options.isInScope || options.isInScope(row.date)) && !options.absences?.has(row.date));
+        const remainingMinutes = Math.max(0, this.targetMinutes - this.existingMinutes);
+        this.remainingMinutes = remainingMinutes;
+
+        if (openDays.length === 0) {
+            logger.log('No unfilled working days left in the fill scope');
+            return;
+        }
+
+        // Custom-hours days get their policy's hours whatever is planned, so they only reduce what is left
+        let flexibleMinutes = remainingMinutes;
+        const flexibleDays = [];
+        for (const row of openDays) {
+            if (row.dayPolicy?.type === 'customHours') {
+                const { checkin, checkout } = row.dayPolicy;
+                const minutes = Math.max(0, timeToMinutes(checkout) - timeToMinutes(checkin));
+                this.plannedDays.set(row.date, { checkin, checkout, minutes });
+                flexibleMinutes -= minutes;
+            } else {
+                flexibleDays.push({ row, halves: row.dayPolicy?.type === 'halfDay' ? 1 : 2 });
+            }
+        }
+
+        // Equal share per half day in whole granularity steps; leftover steps go to the earliest days
+        const totalHalves = flexibleDays.reduce((total, { halves }) => total + halves, 0);
+        const totalSteps = Math.round(Math.max(0, flexibleMinutes) / GRANULARITY_MINUTES);
+        const baseSteps = totalHalves > 0 ? Math.floor(totalSteps / totalHalves) : 0;
+        let extraSteps = totalSteps - baseSteps * totalHalves;
+
+        for (const { row, halves } of flexibleDays) {
+            const extra = Math.min(halves, Math.max(0, extraSteps));
+            extraSteps -= extra;
+
+            // Length actually written: half days are limited to half the day length bounds
+            let dayMinutes = (baseSteps * halves + extra) * GRANULARITY_MINUTES;
+            dayMinutes = Math.min(this.maxDayMinutes * halves / 2, Math.max(this.minDayMinutes * halves / 2, dayMinutes));
+            dayMinutes = Math.round(dayMinutes);
+            if (dayMinutes === 0) {
+                continue;
+            }
+
+            // A partially filled row keeps its existing check-in
+            const startMinutes = row.checkin && isValidTimeFormat(row.checkin)
+                ? timeToMinutes(row.checkin)
+                : timeToMinutes(this.dayStartTime);
+            // FormManager keeps the first half of a half day's hours, so plan the full-day equivalent
+            const endMinutes = Math.min(1439, startMinutes + dayMinutes * 2 / halves);
+
+            this.plannedDays.set(row.date, {
+                checkin: minutesToTime(startMinutes),
+                checkout: minutesToTime(endMinutes),
+                minutes: Math.round((endMinutes - startMinutes) * halves / 2)
+            });
+        }
+
+        logger.log(`Planned ${this.plannedDays.size} days for ${formatHours(remainingMinutes)} remaining`, this.getSummary());
+    }
+
+    /**
+     * Report settings problems before filling
+     * @returns {object[]} Array of {location, message} issues
+     */
+    validate() {
+        return [...this.issues];
+    }
+
+    /**
+     * Summarize the projected monthly total
+     * The warning is set when the day length limits keep the projection off target
+     * @returns {object} Object with text, targetMinutes, existingMinutes, plannedMinutes, projectedMinutes,
+     *                   plannedDays and warning
+     */
+    getSummary() {
+        const plannedMinutes = [...this.plannedDays.values()].reduce((total, day) => total + day.minutes, 0);
+        const projectedMinutes = this.existingMinutes + plannedMinutes;
+
+        let warning = null;
+        if (projectedMinutes < this.targetMinutes) {
+            warning = 'Target cannot be met within the maximum day length';
+        } else if (projectedMinutes > this.targetMinutes && plannedMinutes > this.remainingMinutes) {
+            warning = 'Minimum day length pushes the month past the target';
+        }
+
+        return {
+            text: `Projected total ${formatHours(projectedMinutes)} of ${formatHours(this.targetMinutes)} ` +
+                `(${formatHours(this.existingMinutes)} reported + ${formatHours(plannedMinutes)} over ${this.plannedDays.size} days)`,
+            targetMinutes: this.targetMinutes,
+            existingMinutes: this.existingMinutes,
+            plannedMinutes,
+            projectedMinutes,
+            plannedDays: this.plannedDays.size,
+            warning
+        };
+    }
+
+    /**
+     * Get time data for a specific date
+     * @param {string} date - Date string in DD/MM/YYYY format
+     * @returns {object|null} Planned {checkin, checkout} times or null if nothing is planned
+     */
+    getTimeData(date) {
+        const day = this.plannedDays.get(date);
+        if (!day) {
+            logger.log(`Nothing planned for ${date}`);
+            return null;
+        }
+
+        return {
+            checkin: day.checkin,
+            checkout: day.checkout
+        };
+    }
+}
+
+/**
+ * Sum the minutes reported on a row's report lines
+ * @param {object} row - Snapshot row ({checkin, checkout, segments})
+ * @returns {number} Reported minutes
+ */
+function getReportedMinutes(row) {
+    return (row.segments || [row])
+        .filter(({ checkin, checkout }) => isValidTimeFormat(checkin) && isValidTimeFormat(checkout))
+        .reduce((total, { checkin, checkout }) => total + Math.max(0, timeToMinutes(checkout) - timeToMinutes(checkin)), 0);
+}
+
+/**
+ * Format minutes as "Xh" or "Xh YYm"
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+function formatHours(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest ? `${hours}h ${String(rest).padStart(2, '0')}m` : `${hours}h`;
+}
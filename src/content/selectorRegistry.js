@@ -0,0 +1,153 @@
+// SelectorRegistry class for Meckano Time Tracker Helper
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+
+const logger = createLogger('SelectorRegistry');
+
+/**
+ * Resolves logical page elements (dialog, save button, time inputs...) through ordered fallback selectors
+ * The selectors live in config.json under SELECTORS, so a Meckano markup change only needs a config patch:
+ * each entry is {selectors: [...], within?: parent element name, optional?: true}
+ */
+export class SelectorRegistry {
+    #entries;
+    #reportedFallbacks = new Set();
+
+    /**
+     * @param {object} entries - Logical element name to {selectors, within, optional}
+     */
+    constructor(entries = {}) {
+        this.#entries = entries;
+        logger.log(`SelectorRegistry initialized with ${Object.keys(entries).length} elements`);
+    }
+
+    /**
+     * Replace the registry entries, e.g. after the user's selector overrides were loaded
+     * @param {object} entries - Logical element name to {selectors, within, optional}
+     */
+    setEntries(entries = {}) {
+        this.#entries = entries;
+        this.#reportedFallbacks.clear();
+        logger.log(`SelectorRegistry updated with ${Object.keys(entries).length} elements`);
+    }
+
+    /**
+     * Get the registry entry of a logical element
+     * @param {string} name - Logical element name
+     * @returns {object} Registry entry
+     */
+    getEntry(name) {
+        const entry = this.#entries[name];
+        if (!entry) {
+            throw new Error(`Unknown page element: ${name}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Describe the selectors of an element, for error messages
+     * @param {string} name - Logical element name
+     * @returns {string} Fallback selectors in order
+     */
+    describe(name) {
+        return this.getEntry(name).selectors.join(' | ');
+    }
+
+    /**
+     * Find all matches of the first selector that matches anything
+     * @param {string} name - Logical element name
+     * @param {ParentNode} root - Element or document to search in
+     * @returns {object} {elements, selector, index} where index is the position of the selector used (-1 if none matched)
+     */
+    resolve(name, root = document) {
+        const { selectors } = this.getEntry(name);
+
+        for (let index = 0; index < selectors.length; index++) {
+            const elements = root.querySelectorAll(selectors[index]);
+            if (elements.length > 0) {
+                if (index > 0 && !this.#reportedFallbacks.has(name)) {
+                    this.#reportedFallbacks.add(name);
+                    logger.log(`⚠️ "${name}" resolved by fallback selector #${index + 1}: ${selectors[index]}`);
+                }
+                return { elements: [...elements], selector: selectors[index], index };
+            }
+        }
+
+        return { elements: [], selector: null, index: -1 };
+    }
+
+    /**
+     * Find the first element for a logical name
+     * @param {string} name - Logical element name
+     * @param {ParentNode} root - Element or document to search in
+     * @returns {Element|null} Matching element or null
+     */
+    find(name, root = document) {
+        return this.resolve(name, root).elements[0] || null;
+    }
+
+    /**
+     * Find all elements for a logical name (all matches of the first matching selector)
+     * @param {string} name - Logical element name
+     * @param {ParentNode} root - Element or document to search in
+     * @returns {Element[]} Matching elements
+     */
+    findAll(name, root = document) {
+        return this.resolve(name, root).elements;
+    }
+
+    /**
+     * Check which logical elements resolve on the current page
+     * Elements are searched within their parent element, so dialog elements need the dialog to be open
+     * @returns {object[]} Per element: {name, found, optional, selector, fallbackIndex, count, reason}
+     */
+    selfTest() {
+        const roots = new Map();
+        const results = [];
+
+        // Resolve a parent once and reuse it for every element inside it
+        const getRoot = parentName => {
+            if (!parentName) {
+                return document;
+            }
+            if (!roots.has(parentName)) {
+                const parentRoot = getRoot(this.getEntry(parentName).within);
+                roots.set(parentName, parentRoot ? this.find(parentName, parentRoot) : null);
+            }
+            return roots.get(parentName);
+        };
+
+        for (const [name, entry] of Object.entries(this.#entries)) {
+            const result = {
+                name,
+                found: false,
+                optional: Boolean(entry.optional),
+                selector: null,
+                fallbackIndex: -1,
+                count: 0,
+                reason: ''
+            };
+
+            const root = getRoot(entry.within);
+            if (!root) {
+                result.reason = `Parent element "${entry.within}" not found`;
+                results.push(result);
+                continue;
+            }
+
+            const { elements, selector, index } = this.resolve(name, root);
+            result.found = elements.length > 0;
+            result.selector = selector;
+            result.fallbackIndex = index;
+            result.count = elements.length;
+            result.reason = result.found ? '' : `No match for ${this.describe(name)}`;
+            results.push(result);
+        }
+
+        return results;
+    }
+}
+
+// Export the registry built from config.json and the user's selector overrides, following later edits
+export const selectorRegistry = new SelectorRegistry(config.get('SELECTORS', {}));
+config.onChange('SELECTORS', entries => selectorRegistry.setEntries(entries));
@@ -0,0 +1,357 @@
+// Shared settings definitions for Meckano Time Tracker Helper
+// Defaults, labels and editors of the settings stored in chrome.storage.sync, used by the popup,
+// the options page, the content script (floating panel and stored time data) and the background worker alike.
+import configData from './config.json' with { type: 'json' };
+import { HOLIDAY_CATEGORIES } from './hebrewCalendar.js';
+
+/**
+ * Hebrew day letters (as shown in Meckano) with their display names, Sunday first
+ */
+export const WEEK_DAYS = [
+    { letter: 'א', name: 'Sunday' },
+    { letter: 'ב', name: 'Monday' },
+    { letter: 'ג', name: 'Tuesday' },
+    { letter: 'ד', name: 'Wednesday' },
+    { letter: 'ה', name: 'Thursday' },
+    { letter: 'ו', name: 'Friday' },
+    { letter: 'ש', name: 'Saturday' }
+];
+
+/**
+ * Default weekly schedule: Sunday-Thursday 09:00-18:00, Friday and Saturday off
+ */
+export const DEFAULT_WEEKLY_SCHEDULE = {
+    'א': { checkin: '09:00', checkout: '18:00' },
+    'ב': { checkin: '09:00', checkout: '18:00' },
+    'ג': { checkin: '09:00', checkout: '18:00' },
+    'ד': { checkin: '09:00', checkout: '18:00' },
+    'ה': { checkin: '09:00', checkout: '18:00' },
+    'ו': null,
+    'ש': null
+};
+
+/**
+ * Defaults of every stored setting
+ * workWeek and holidayPolicies are left out: when unset, the content script and the background worker
+ * use the (possibly overridden) config values, so only the editors show DEFAULT_WORK_WEEK/DEFAULT_HOLIDAY_POLICIES
+ */
+export const DEFAULT_SETTINGS = {
+    scheduleMode: 'constant',
+    startTime: '09:00',
+    endTime: '18:00',
+    weeklySchedule: DEFAULT_WEEKLY_SCHEDULE,
+    breakStart: '13:00',
+    breakMinutes: 0,
+    humanize: false,
+    humanizeStrategy: 'uniform',
+    humanizeMaxMinutes: 20,
+    humanizeSeed: '',
+    icsPaddingBefore: 15,
+    icsPaddingAfter: 15,
+    gitLeadIn: 30,
+    gitTrailOut: 30,
+    gitMinimumDay: 240,
+    targetHours: 182,
+    minDayHours: 6,
+    maxDayHours: 10,
+    absences: [],
+    scope: { type: 'all', from: '', to: '', dates: [] },
+    overwritePolicy: { type: 'onlyEmpty', match: [] },
+    showFloatingPanel: false,
+    remindersEnabled: false,
+    reminderTime: '17:30',
+    dailyReminder: true,
+    monthEndReminderDays: 3,
+    reminderAutoFill: false
+};
+
+// Work week day types; the default week is config.json WORK_WEEK
+export const WORK_DAY_TYPE_LABELS = {
+    work: 'Full day',
+    halfDay: 'Half day',
+    off: 'Off'
+};
+
+export const DEFAULT_WORK_WEEK = configData.WORK_WEEK;
+
+// Holiday policies; categories come from the holiday calendar, default policies from config.json HOLIDAY_CALENDAR
+export const HOLIDAY_POLICY_LABELS = {
+    work: 'Work',
+    skip: 'Skip',
+    halfDay: 'Half day',
+    customHours: 'Custom hours'
+};
+
+export const DEFAULT_HOLIDAY_POLICIES = configData.HOLIDAY_CALENDAR.policies;
+
+// Absence types; keys match ABSENCE_TYPES in the content script config
+export const ABSENCE_TYPE_LABELS = {
+    vacation: 'Vacation',
+    sick: 'Sick day',
+    reserve: 'Reserve duty'
+};
+
+// chrome.storage.sync limits, with Chrome's documented values where the API is not available
+const syncStorage = globalThis.chrome?.storage?.sync || {};
+export const SYNC_QUOTA = {
+    bytes: syncStorage.QUOTA_BYTES || 102400,
+    bytesPerItem: syncStorage.QUOTA_BYTES_PER_ITEM || 8192,
+    maxItems: syncStorage.MAX_ITEMS || 512
+};
+
+/**
+ * Measure a sync storage item the way Chrome counts it: its key plus its JSON-serialized value
+ * @param {string} key - Storage key
+ * @param {*} value - Stored value
+ * @returns {number} Size in bytes
+ */
+export function getSyncItemSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Check items against the sync storage quotas before writing them
+ * @param {object} items - Storage key to value, as passed to chrome.storage.sync.set
+ * @returns {string|null} Description of the first limit the items break, or null if they fit
+ */
+export function findSyncQuotaProblem(items) {
+    const entries = Object.entries(items);
+    if (entries.length > SYNC_QUOTA.maxItems) {
+        return `${entries.length} settings, the limit is ${SYNC_QUOTA.maxItems}`;
+    }
+
+    let total = 0;
+    for (const [key, value] of entries) {
+        if (!key) {
+            return 'a setting has an empty name';
+        }
+        const size = getSyncItemSize(key, value);
+        if (size > SYNC_QUOTA.bytesPerItem) {
+            return `"${key}" is ${size} bytes, the limit per setting is ${SYNC_QUOTA.bytesPerItem}`;
+        }
+        total += size;
+    }
+    if (total > SYNC_QUOTA.bytes) {
+        return `${total} bytes in total, the limit is ${SYNC_QUOTA.bytes}`;
+    }
+
+    return null;
+}
+
+/**
+ * Create a table cell holding an element
+ * @param {HTMLElement} element - Cell content
+ * @returns {HTMLTableCellElement} Table cell
+ */
+function createCell(element) {
+    const cell = document.createElement('td');
+    cell.appendChild(element);
+    return cell;
+}
+
+/**
+ * Create an input element
+ * @param {string} type - Input type
+ * @param {string} title - Tooltip
+ * @returns {HTMLInputElement} Input element
+ */
+function createInput(type, title) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.title = title;
+    return input;
+}
+
+/**
+ * Weekly schedule editor: one row (off toggle, start, end) per weekday in a table body
+ */
+export class WeeklyScheduleEditor {
+    /**
+     * Build the editor rows
+     * @param {HTMLElement} body - Table body receiving the rows
+     * @param {object} options - Editor options
+     * @param {boolean} options.shortNames - Show three-letter day names (for narrow layouts)
+     */
+    constructor(body, { shortNames = false } = {}) {
+        this.rows = {};
+
+        for (const { letter, name } of WEEK_DAYS) {
+            const tr = document.createElement('tr');
+
+            const dayCell = document.createElement('td');
+            dayCell.textContent = `${letter} ${shortNames ? name.slice(0, 3) : name}`;
+
+            const row = {
+                offInput: createInput('checkbox', 'Day off'),
+                checkinInput: createInput('time', 'Start time'),
+                checkoutInput: createInput('time', 'End time')
+            };
+
+            tr.append(dayCell, createCell(row.offInput), createCell(row.checkinInput), createCell(row.checkoutInput));
+            body.appendChild(tr);
+            this.rows[letter] = row;
+        }
+    }
+
+    /**
+     * Populate the editor from a stored schedule
+     * @param {object} schedule - Map of Hebrew day letter to {checkin, checkout} or null
+     * @param {object} defaults - {checkin, checkout} shown for days off
+     */
+    setSchedule(schedule, defaults = DEFAULT_WEEKLY_SCHEDULE['א']) {
+        for (const [letter, row] of Object.entries(this.rows)) {
+            const dayTimes = schedule?.[letter];
+
+            row.offInput.checked = !dayTimes;
+            row.checkinInput.value = dayTimes?.checkin || defaults.checkin;
+            row.checkoutInput.value = dayTimes?.checkout || defaults.checkout;
+        }
+
+        this.updateRowsState();
+    }
+
+    /**
+     * Read the editor into a schedule object
+     * @returns {object} Map of Hebrew day letter to {checkin, checkout} or null (day off)
+     */
+    getSchedule() {
+        const schedule = {};
+
+        for (const [letter, row] of Object.entries(this.rows)) {
+            schedule[letter] = row.offInput.checked ? null : {
+                checkin: row.checkinInput.value,
+                checkout: row.checkoutInput.value
+            };
+        }
+
+        return schedule;
+    }
+
+    updateRowsState() {
+        for (const row of Object.values(this.rows)) {
+            row.checkinInput.disabled = row.offInput.checked;
+            row.checkoutInput.disabled = row.offInput.checked;
+        }
+    }
+}
+
+/**
+ * Work week editor: one day type selector per weekday in a table body
+ */
+export class WorkWeekEditor {
+    /**
+     * Build the editor rows
+     * @param {HTMLElement} body - Table body receiving the rows
+     */
+    constructor(body) {
+        this.inputs = {};
+
+        for (const { letter, name } of WEEK_DAYS) {
+            const tr = document.createElement('tr');
+
+            const dayCell = document.createElement('td');
+            dayCell.textContent = `${letter} ${name}`;
+
+            const typeInput = document.createElement('select');
+            for (const [type, label] of Object.entries(WORK_DAY_TYPE_LABELS)) {
+                typeInput.add(new Option(label, type));
+            }
+
+            tr.append(dayCell, createCell(typeInput));
+            body.appendChild(tr);
+            this.inputs[letter] = typeInput;
+        }
+    }
+
+    /**
+     * Populate the editor from a stored work week
+     * @param {object} workWeek - Map of Hebrew day letter to 'work', 'halfDay' or 'off'
+     */
+    setWorkWeek(workWeek) {
+        for (const [letter, input] of Object.entries(this.inputs)) {
+            input.value = workWeek?.[letter] || DEFAULT_WORK_WEEK[letter];
+        }
+    }
+
+    /**
+     * Read the editor
+     * @returns {object} Map of Hebrew day letter to 'work', 'halfDay' or 'off'
+     */
+    getWorkWeek() {
+        return Object.fromEntries(Object.entries(this.inputs).map(([letter, input]) => [letter, input.value]));
+    }
+}
+
+/**
+ * Holiday policy editor: one row (policy, custom start, custom end) per holiday category in a table body
+ */
+export class HolidayPolicyEditor {
+    /**
+     * Build the editor rows
+     * @param {HTMLElement} body - Table body receiving the rows
+     */
+    constructor(body) {
+        this.rows = {};
+
+        for (const [category, label] of Object.entries(HOLIDAY_CATEGORIES)) {
+            const tr = document.createElement('tr');
+
+            const categoryCell = document.createElement('td');
+            categoryCell.textContent = label;
+
+            const row = {
+                typeInput: document.createElement('select'),
+                checkinInput: createInput('time', 'Custom start time'),
+                checkoutInput: createInput('time', 'Custom end time')
+            };
+            for (const [type, typeLabel] of Object.entries(HOLIDAY_POLICY_LABELS)) {
+                row.typeInput.add(new Option(typeLabel, type));
+            }
+
+            tr.append(categoryCell, createCell(row.typeInput), createCell(row.checkinInput), createCell(row.checkoutInput));
+            body.appendChild(tr);
+            this.rows[category] = row;
+        }
+    }
+
+    /**
+     * Populate the editor from stored policies
+     * @param {object} policies - Map of holiday category to {type, checkin, checkout}
+     */
+    setPolicies(policies) {
+        for (const [category, row] of Object.entries(this.rows)) {
+            const policy = policies?.[category] || DEFAULT_HOLIDAY_POLICIES[category];
+
+            row.typeInput.value = policy.type;
+            row.checkinInput.value = policy.checkin || '09:00';
+            row.checkoutInput.value = policy.checkout || '13:00';
+        }
+
+        this.updateRowsState();
+    }
+
+    /**
+     * Read the editor into a policies object
+     * @returns {object} Map of holiday category to {type} or, for custom hours, {type, checkin, checkout}
+     */
+    getPolicies() {
+        const policies = {};
+
+        for (const [category, row] of Object.entries(this.rows)) {
+            policies[category] = row.typeInput.value === 'customHours' ? {
+                type: 'customHours',
+                checkin: row.checkinInput.value,
+                checkout: row.checkoutInput.value
+            } : { type: row.typeInput.value };
+        }
+
+        return policies;
+    }
+
+    updateRowsState() {
+        for (const row of Object.values(this.rows)) {
+            row.checkinInput.disabled = row.typeInput.value !== 'customHours';
+            row.checkoutInput.disabled = row.typeInput.value !== 'customHours';
+        }
+    }
+}
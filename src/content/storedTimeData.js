@@ -0,0 +1,23 @@
+// Stored time data loader for Meckano Time Tracker Helper
+import { DEFAULT_SETTINGS } from './settings.js';
+
+// Picked files are kept in local storage by the popup
+const FILE_KEYS = ['importFile', 'icsFile', 'gitLogFile'];
+
+/**
+ * Build the time data the popup would send, from the settings and files the popup stored
+ * Used by fills that do not start from the popup (floating panel, reminder auto-fill)
+ * @param {object} overrides - Values taking precedence over the stored settings
+ * @returns {Promise<object>} Time data for MeckanoFormFiller
+ */
+export async function loadStoredTimeData(overrides = {}) {
+    const settings = await chrome.storage.sync.get(null);
+    const files = await chrome.storage.local.get(FILE_KEYS);
+
+    return {
+        ...DEFAULT_SETTINGS,
+        ...settings,
+        ...files,
+        ...overrides
+    };
+}
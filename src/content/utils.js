@@ -1,5 +1,8 @@
 // Utility functions for Meckano Time Tracker Helper
 
+// Hebrew day letters indexed by Date.getDay() (0 = Sunday)
+const HEBREW_DAY_LETTERS = ['א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ש'];
+
 /**
  * Sleep function - pauses execution for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -9,40 +12,6 @@ export function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-/**
- * Generate random time within ±20 minutes of base time
- * Used for humanizing time entries
- * @param {string} baseTime - Base time in HH:MM format
- * @returns {string} Randomized time in HH:MM format
- */
-export function humanizeTime(baseTime) {
-    const [hours, minutes] = baseTime.split(':').map(Number);
-    
-    // Convert to total minutes
-    const totalMinutes = hours * 60 + minutes;
-    
-    // Add random offset: -20 to +20 minutes
-    const randomOffset = Math.floor(Math.random() * 41) - 20;
-    const newTotalMinutes = totalMinutes + randomOffset;
-    
-    // Convert back to hours and minutes
-    const newHours = Math.floor(newTotalMinutes / 60);
-    const newMinutes = newTotalMinutes % 60;
-    
-    // Format with leading zeros
-    return `${String(newHours).padStart(2, '0')}:${String(newMinutes).padStart(2, '0')}`;
-}
-
-/**
- * Check if a string contains any of the skip patterns
- * @param {string} text - Text to check
- * @param {string[]} skipPatterns - Array of patterns to check for
- * @returns {boolean} True if text contains any skip pattern
- */
-export function containsSkipPattern(text, skipPatterns) {
-    return skipPatterns.some(pattern => text.includes(pattern));
-}
-
 /**
  * Parse Hebrew date string and extract date and day information
  * @param {string} dateString - Date string in format "DD/MM/YYYY ה" (Hebrew day)
@@ -85,3 +54,105 @@ export function isValidTimeFormat(timeString) {
 }
 
 
+
+/**
+ * Parse a DD/MM/YYYY date string into a local Date object
+ * @param {string} dateString - Date string in DD/MM/YYYY format
+ * @returns {Date|null} Date object or null if invalid
+ */
+export function parseDateString(dateString) {
+    const match = typeof dateString === 'string' && dateString.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+
+    // Reject overflowed dates such as 31/02/2025
+    if (date.getDate() !== day || date.getMonth() !== month - 1) {
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * Format a Date as a zero-padded DD/MM/YYYY string (the format parseDateRow produces)
+ * @param {Date} date - Date object
+ * @returns {string} Date string in DD/MM/YYYY format
+ */
+export function formatDateString(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${date.getFullYear()}`;
+}
+
+/**
+ * List every date of an inclusive range given as ISO (YYYY-MM-DD) strings, as used by <input type="date">
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD); defaults to the first date
+ * @returns {string[]} Dates in DD/MM/YYYY format (empty if the range is invalid)
+ */
+export function expandIsoDateRange(from, to = from) {
+    const toLocalDate = iso => {
+        const match = typeof iso === 'string' && iso.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    };
+
+    const start = toLocalDate(from);
+    const end = toLocalDate(to || from);
+    if (!start || !end || end < start) {
+        return [];
+    }
+
+    const dates = [];
+    for (const current = new Date(start); current <= end; current.setDate(current.getDate() + 1)) {
+        dates.push(formatDateString(current));
+    }
+    return dates;
+}
+
+/**
+ * Get the Hebrew day letter (א-ש) for a DD/MM/YYYY date string
+ * @param {string} dateString - Date string in DD/MM/YYYY format
+ * @returns {string|null} Hebrew day letter or null if the date is invalid
+ */
+export function getHebrewDayFromDate(dateString) {
+    const date = parseDateString(dateString);
+    if (!date) {
+        return null;
+    }
+
+    return HEBREW_DAY_LETTERS[date.getDay()];
+}
+
+/**
+ * Convert an HH:MM time string to minutes since midnight
+ * @param {string} timeString - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+export function timeToMinutes(timeString) {
+    const [hours, minutes] = timeString.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to a zero-padded HH:MM time string
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} Time in HH:MM format
+ */
+export function minutesToTime(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a valid H:MM or HH:MM time string to zero-padded HH:MM
+ * @param {string} timeString - Time string
+ * @returns {string} Time in HH:MM format
+ */
+export function normalizeTime(timeString) {
+    return minutesToTime(timeToMinutes(timeString));
+}
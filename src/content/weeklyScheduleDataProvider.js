@@ -0,0 +1,61 @@
+// WeeklyScheduleDataProvider class for Meckano Time Tracker Helper
+import { DataProvider } from './dataProvider.js';
+import { createLogger } from './logger.js';
+import { config } from './config.js';
+import { getHebrewDayFromDate } from './utils.js';
+
+const logger = createLogger('WeeklyScheduleDataProvider');
+
+/**
+ * Data provider that returns per-weekday times
+ * Each Hebrew day letter maps to its own {checkin, checkout} pair or to null for a day off
+ */
+export class WeeklyScheduleDataProvider extends DataProvider {
+    /**
+     * Create a WeeklyScheduleDataProvider instance
+     * @param {object} schedule - Map of Hebrew day letter to {checkin, checkout} or null (day off)
+     * @param {Humanizer|null} humanizer - Humanizer adding random variation to times (null for exact times)
+     */
+    constructor(schedule, humanizer = null) {
+        super();
+        this.schedule = schedule || {};
+        this.humanizer = humanizer;
+
+        logger.log(`Initialized with ${humanizer ? `humanized (${humanizer.strategy})` : 'constant'} weekly schedule:`, this.schedule);
+    }
+
+    /**
+     * Get time data for a specific date
+     * Uses the Hebrew day letter from the parsed row when available, otherwise derives it from the date
+     * @param {string} date - Date string in DD/MM/YYYY format
+     * @param {object} dateInfo - Optional parsed row info from FormManager.parseDateRow
+     * @returns {object|null} Object with {checkin, checkout} times or null if the day is off
+     */
+    getTimeData(date, dateInfo = null) {
+        const hebrewDay = dateInfo?.hebrewDay || getHebrewDayFromDate(date);
+        const dayName = config.get('HEBREW_DAYS', {})[hebrewDay] || hebrewDay;
+        const dayTimes = this.schedule[hebrewDay];
+
+        if (!dayTimes || !dayTimes.checkin || !dayTimes.checkout) {
+            logger.log(`${date} (${dayName}) is off in the weekly schedule`);
+            return null;
+        }
+
+        if (!this.humanizer) {
+            return {
+                checkin: dayTimes.checkin,
+                checkout: dayTimes.checkout
+            };
+        }
+
+        const { checkin: checkinHumanized, checkout: checkoutHumanized } =
+            this.humanizer.humanize(dayTimes.checkin, dayTimes.checkout, date);
+
+        logger.log(`Humanized times for ${date} (${dayName}): ${checkinHumanized} - ${checkoutHumanized}`);
+
+        return {
+            checkin: checkinHumanized,
+            checkout: checkoutHumanized
+        };
+    }
+}
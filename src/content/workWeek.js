@@ -0,0 +1,113 @@
+// Work week and day policy helpers for Meckano Time Tracker Helper
+// Also imported by the background worker, so reminders and the badge follow the same day rules as a fill
+import { config } from './config.js';
+import { timeToMinutes, minutesToTime, getHebrewDayFromDate } from './utils.js';
+import { HOLIDAY_POLICY_TYPES, getHolidayOn } from './hebrewCalendar.js';
+
+/**
+ * What a weekday is in the user's work week
+ * 'work' is a full day, 'halfDay' keeps the first half of the provider's hours and 'off' is skipped
+ */
+export const WORK_DAY_TYPES = ['work', 'halfDay', 'off'];
+
+/**
+ * Get the type of a weekday in the user's work week
+ * @param {string} hebrewDay - Hebrew day letter (א-ש)
+ * @param {object} workWeek - Day letter to type map from the user's settings, taking precedence over config.json WORK_WEEK
+ * @returns {string} One of WORK_DAY_TYPES
+ */
+export function getWorkDayType(hebrewDay, workWeek = {}) {
+    const type = workWeek?.[hebrewDay] || config.get('WORK_WEEK', {})[hebrewDay];
+    return WORK_DAY_TYPES.includes(type) ? type : 'work';
+}
+
+/**
+ * Get the English name of a weekday
+ * @param {string} hebrewDay - Hebrew day letter (א-ש)
+ * @returns {string} Day name from config.json HEBREW_DAYS, or the letter itself
+ */
+export function getDayName(hebrewDay) {
+    return config.get('HEBREW_DAYS', {})[hebrewDay] || hebrewDay;
+}
+
+/**
+ * Find the computed holiday falling on a date, unless config.json HOLIDAY_CALENDAR.enabled is false
+ * @param {string} dateString - Date in DD/MM/YYYY format
+ * @returns {object|null} {date, name, category} or null if the date is an ordinary day (or the calendar is disabled)
+ */
+export function findHoliday(dateString) {
+    if (config.get('HOLIDAY_CALENDAR', {}).enabled === false) {
+        return null;
+    }
+    return getHolidayOn(dateString);
+}
+
+/**
+ * Get the policy of a holiday category
+ * @param {string} category - Category key from HOLIDAY_CATEGORIES
+ * @param {object} overrides - Category to policy map from the user's settings, taking precedence over config.json
+ * @returns {object} Policy as {type, checkin, checkout}
+ */
+export function getHolidayPolicy(category, overrides = {}) {
+    const policy = overrides?.[category] || config.get('HOLIDAY_CALENDAR', {}).policies?.[category];
+    return policy && HOLIDAY_POLICY_TYPES.includes(policy.type) ? policy : { type: 'work' };
+}
+
+/**
+ * Check whether the day rules make a date a working day, without looking at the timesheet page
+ * A day is off when the work week says so or when its holiday's policy is 'skip'
+ * (half-day and custom-hours holidays are still worked)
+ * @param {string} dateString - Date in DD/MM/YYYY format
+ * @param {object} dayRules - {workWeek, holidayPolicies} from the user's settings
+ * @returns {boolean} True for working days
+ */
+export function isScheduledWorkDay(dateString, dayRules = {}) {
+    if (getWorkDayType(getHebrewDayFromDate(dateString), dayRules.workWeek) === 'off') {
+        return false;
+    }
+
+    const holiday = findHoliday(dateString);
+    return !holiday || getHolidayPolicy(holiday.category, dayRules.holidayPolicies).type !== 'skip';
+}
+
+/**
+ * Apply a day policy (holiday policy or half-day weekday) to a provider's time data
+ * @param {object|object[]|null} timeData - Result of DataProvider.getTimeData
+ * @param {object} policy - Policy as {type: 'work'|'skip'|'halfDay'|'customHours', checkin, checkout}
+ * @returns {object|object[]|null} Adjusted time data (null when the day is skipped or there were no hours)
+ */
+export function applyDayPolicy(timeData, policy) {
+    switch (policy.type) {
+        case 'skip':
+            return null;
+        case 'customHours':
+            return { checkin: policy.checkin, checkout: policy.checkout };
+        case 'halfDay':
+            return getHalfDay(Array.isArray(timeData) ? timeData : [timeData].filter(Boolean));
+        default:
+            return timeData;
+    }
+}
+
+/**
+ * Keep the first half of the worked minutes of a day's segments
+ * @param {object[]} segments - Array of {checkin, checkout} segments
+ * @returns {object[]|null} Shortened segments, or null if there were none
+ */
+function getHalfDay(segments) {
+    const total = segments.reduce((sum, { checkin, checkout }) => sum + timeToMinutes(checkout) - timeToMinutes(checkin), 0);
+    let remaining = Math.round(total / 2);
+    const result = [];
+
+    for (const { checkin, checkout } of segments) {
+        if (remaining <= 0) {
+            break;
+        }
+        const start = timeToMinutes(checkin);
+        const length = Math.min(timeToMinutes(checkout) - start, remaining);
+        result.push({ checkin, checkout: minutesToTime(start + length) });
+        remaining -= length;
+    }
+
+    return result.length > 0 ? result : null;
+}
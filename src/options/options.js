@@ -0,0 +1,465 @@
+// Options page script for Meckano Time Tracker Helper
+import { CONFIG_OVERRIDES_KEY, CONFIG_ERRORS_KEY } from '../content/config.js';
+import {
+    DEFAULT_SETTINGS, DEFAULT_WORK_WEEK, DEFAULT_HOLIDAY_POLICIES, ABSENCE_TYPE_LABELS, findSyncQuotaProblem,
+    WeeklyScheduleEditor, WorkWeekEditor, HolidayPolicyEditor
+} from '../content/settings.js';
+
+// Overrides with their own editor; every other key is edited as JSON under Advanced
+const EDITED_OVERRIDE_KEYS = ['MISSING_EVENT_SKIP_RULES', 'ABSENCE_TYPES', 'SELECTORS', 'DEBUG_MODE'];
+
+// Exported settings files
+const SETTINGS_FILE_FORMAT = 'meckano-helper-settings';
+const SETTINGS_FILE_VERSION = 1;
+
+class MeckanoOptions {
+    constructor() {
+        this.initializeElements();
+        this.attachEventListeners();
+        this.loadAll();
+    }
+
+    initializeElements() {
+        this.statusDiv = document.getElementById('status');
+        this.profileSelect = document.getElementById('profileSelect');
+        this.profileSwitchBtn = document.getElementById('profileSwitchBtn');
+        this.profileDeleteBtn = document.getElementById('profileDeleteBtn');
+        this.profileNameInput = document.getElementById('profileName');
+        this.profileSaveBtn = document.getElementById('profileSaveBtn');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.importInput = document.getElementById('importInput');
+        this.settingInputs = document.querySelectorAll('[data-setting]');
+        this.weeklyScheduleBody = document.getElementById('weeklyScheduleBody');
+        this.weeklyEditor = new WeeklyScheduleEditor(this.weeklyScheduleBody);
+        this.workWeekBody = document.getElementById('workWeekBody');
+        this.workWeekEditor = new WorkWeekEditor(this.workWeekBody);
+        this.holidayPoliciesBody = document.getElementById('holidayPoliciesBody');
+        this.holidayEditor = new HolidayPolicyEditor(this.holidayPoliciesBody);
+        this.skipRulesInput = document.getElementById('skipRulesInput');
+        this.absenceKeywordsContainer = document.getElementById('absenceKeywords');
+        this.absenceKeywordInputs = this.buildAbsenceKeywordInputs();
+        this.selectorsInput = document.getElementById('selectorsInput');
+        this.debugModeInput = document.getElementById('debugModeInput');
+        this.otherOverridesInput = document.getElementById('otherOverridesInput');
+        this.configErrorsList = document.getElementById('configErrorsList');
+    }
+
+    attachEventListeners() {
+        for (const input of this.settingInputs) {
+            input.addEventListener('change', () => this.saveSettings());
+        }
+        this.weeklyScheduleBody.addEventListener('change', () => {
+            this.weeklyEditor.updateRowsState();
+            this.saveSettings();
+        });
+        this.workWeekBody.addEventListener('change', () => this.saveSettings());
+        this.holidayPoliciesBody.addEventListener('change', () => {
+            this.holidayEditor.updateRowsState();
+            this.saveSettings();
+        });
+        this.skipRulesInput.addEventListener('change', () => this.saveConfigOverrides());
+        this.absenceKeywordsContainer.addEventListener('change', () => this.saveConfigOverrides());
+        this.selectorsInput.addEventListener('change', () => this.saveConfigOverrides());
+        this.debugModeInput.addEventListener('change', () => this.saveConfigOverrides());
+        this.otherOverridesInput.addEventListener('change', () => this.saveConfigOverrides());
+
+        this.profileSwitchBtn.addEventListener('click', () => this.runProfileAction('switchProfile', this.profileSelect.value));
+        this.profileDeleteBtn.addEventListener('click', () => this.runProfileAction('deleteProfile', this.profileSelect.value));
+        this.profileSaveBtn.addEventListener('click', () => this.runProfileAction('saveProfile', this.profileNameInput.value));
+        this.exportBtn.addEventListener('click', () => this.exportSettings());
+        this.importInput.addEventListener('change', () => this.importSettings());
+
+        // A profile switched from the popup replaces every setting shown here
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && 'activeProfile' in changes) {
+                this.loadAll();
+            }
+            // Open Meckano pages validate the overrides and publish what they rejected
+            if (area === 'local' && CONFIG_ERRORS_KEY in changes) {
+                this.renderConfigErrors(changes[CONFIG_ERRORS_KEY].newValue);
+            }
+        });
+    }
+
+    async loadAll() {
+        await this.loadProfiles();
+        await this.loadSettings();
+    }
+
+    async loadSettings() {
+        try {
+            const settings = await chrome.storage.sync.get({
+                ...DEFAULT_SETTINGS,
+                workWeek: DEFAULT_WORK_WEEK,
+                holidayPolicies: DEFAULT_HOLIDAY_POLICIES,
+                [CONFIG_OVERRIDES_KEY]: {}
+            });
+
+            for (const input of this.settingInputs) {
+                const value = settings[input.dataset.setting];
+                if (input.type === 'checkbox') {
+                    input.checked = Boolean(value);
+                } else {
+                    input.value = value;
+                }
+            }
+            this.weeklyEditor.setSchedule(settings.weeklySchedule);
+            this.workWeekEditor.setWorkWeek(settings.workWeek);
+            this.holidayEditor.setPolicies(settings.holidayPolicies);
+            this.setConfigOverrides(settings[CONFIG_OVERRIDES_KEY]);
+
+            const { [CONFIG_ERRORS_KEY]: configErrors } = await chrome.storage.local.get(CONFIG_ERRORS_KEY);
+            this.renderConfigErrors(configErrors);
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            this.showStatus('Failed to load settings', 'error');
+        }
+    }
+
+    async saveSettings() {
+        try {
+            const settings = {
+                weeklySchedule: this.weeklyEditor.getSchedule(),
+                workWeek: this.workWeekEditor.getWorkWeek(),
+                holidayPolicies: this.holidayEditor.getPolicies()
+            };
+            for (const input of this.settingInputs) {
+                settings[input.dataset.setting] = this.readSettingInput(input);
+            }
+
+            await chrome.storage.sync.set(settings);
+            this.showStatus('Settings saved', 'success');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.showStatus(`Failed to save settings: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Read a data-setting input as the type its default has
+     * @param {HTMLInputElement|HTMLSelectElement} input - Bound input
+     * @returns {*} Setting value
+     */
+    readSettingInput(input) {
+        if (input.type === 'checkbox') {
+            return input.checked;
+        }
+        if (input.type === 'number') {
+            return Number(input.value) || 0;
+        }
+        return input.value || DEFAULT_SETTINGS[input.dataset.setting];
+    }
+
+    /**
+     * Build one keywords input per absence type
+     * @returns {object} Map of absence type to its input
+     */
+    buildAbsenceKeywordInputs() {
+        const inputs = {};
+
+        for (const [type, label] of Object.entries(ABSENCE_TYPE_LABELS)) {
+            const group = document.createElement('div');
+            group.className = 'input-group';
+
+            const labelElement = document.createElement('label');
+            labelElement.htmlFor = `absenceKeywords-${type}`;
+            labelElement.textContent = `${label}:`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `absenceKeywords-${type}`;
+            input.placeholder = 'Comma-separated keywords';
+
+            group.append(labelElement, input);
+            this.absenceKeywordsContainer.appendChild(group);
+            inputs[type] = input;
+        }
+
+        return inputs;
+    }
+
+    /**
+     * Show the stored config.json overrides in the skip rule, absence and selector editors
+     * @param {object} overrides - Configuration key to overriding value
+     */
+    setConfigOverrides(overrides) {
+        this.skipRulesInput.value = Object.entries(overrides.MISSING_EVENT_SKIP_RULES || {})
+            .map(([value, reason]) => `${value} = ${reason}`)
+            .join('\n');
+
+        for (const [type, input] of Object.entries(this.absenceKeywordInputs)) {
+            input.value = (overrides.ABSENCE_TYPES?.[type]?.keywords || []).join(', ');
+        }
+
+        this.selectorsInput.value = overrides.SELECTORS ? JSON.stringify(overrides.SELECTORS, null, 2) : '';
+        this.debugModeInput.value = typeof overrides.DEBUG_MODE === 'boolean' ? String(overrides.DEBUG_MODE) : '';
+
+        const otherOverrides = Object.fromEntries(Object.entries(overrides)
+            .filter(([key]) => !EDITED_OVERRIDE_KEYS.includes(key)));
+        this.otherOverridesInput.value = Object.keys(otherOverrides).length > 0 ? JSON.stringify(otherOverrides, null, 2) : '';
+    }
+
+    /**
+     * List the overrides an open Meckano page rejected
+     * @param {object} configErrors - Published validation result ({errors, checkedAt})
+     */
+    renderConfigErrors(configErrors) {
+        this.configErrorsList.innerHTML = '';
+        for (const error of configErrors?.errors || []) {
+            const item = document.createElement('li');
+            item.textContent = error;
+            this.configErrorsList.appendChild(item);
+        }
+    }
+
+    /**
+     * Read the skip rule, absence and selector editors into config.json overrides
+     * Empty editors leave the bundled values in effect
+     * @returns {object} Result object with success/error status and overrides
+     */
+    getConfigOverrides() {
+        const overrides = {};
+
+        const skipRules = {};
+        for (const line of this.skipRulesInput.value.split('\n').map(text => text.trim()).filter(Boolean)) {
+            const match = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+            if (!match) {
+                return { success: false, error: `Skip rule "${line}" must look like "value = reason"` };
+            }
+            skipRules[match[1]] = match[2];
+        }
+        if (Object.keys(skipRules).length > 0) {
+            overrides.MISSING_EVENT_SKIP_RULES = skipRules;
+        }
+
+        const absenceTypes = {};
+        for (const [type, input] of Object.entries(this.absenceKeywordInputs)) {
+            const keywords = input.value.split(',').map(keyword => keyword.trim()).filter(Boolean);
+            if (keywords.length > 0) {
+                absenceTypes[type] = { label: ABSENCE_TYPE_LABELS[type], keywords };
+            }
+        }
+        if (Object.keys(absenceTypes).length > 0) {
+            overrides.ABSENCE_TYPES = absenceTypes;
+        }
+
+        const selectorsText = this.selectorsInput.value.trim();
+        if (selectorsText) {
+            let selectors;
+            try {
+                selectors = JSON.parse(selectorsText);
+            } catch (error) {
+                return { success: false, error: `Selectors are not valid JSON: ${error.message}` };
+            }
+            if (typeof selectors !== 'object' || selectors === null || Array.isArray(selectors)) {
+                return { success: false, error: 'Selectors must be an object of element name to {selectors: [...]}' };
+            }
+            const invalid = Object.entries(selectors).find(([, entry]) =>
+                !Array.isArray(entry?.selectors) || entry.selectors.length === 0);
+            if (invalid) {
+                return { success: false, error: `Selector "${invalid[0]}" needs a non-empty selectors list` };
+            }
+            overrides.SELECTORS = selectors;
+        }
+
+        if (this.debugModeInput.value) {
+            overrides.DEBUG_MODE = this.debugModeInput.value === 'true';
+        }
+
+        const otherText = this.otherOverridesInput.value.trim();
+        if (otherText) {
+            let otherOverrides;
+            try {
+                otherOverrides = JSON.parse(otherText);
+            } catch (error) {
+                return { success: false, error: `Other overrides are not valid JSON: ${error.message}` };
+            }
+            if (typeof otherOverrides !== 'object' || otherOverrides === null || Array.isArray(otherOverrides)) {
+                return { success: false, error: 'Other overrides must be an object of config key to value' };
+            }
+            const edited = Object.keys(otherOverrides).find(key => EDITED_OVERRIDE_KEYS.includes(key));
+            if (edited) {
+                return { success: false, error: `${edited} has its own editor on this page` };
+            }
+            Object.assign(overrides, otherOverrides);
+        }
+
+        return { success: true, overrides };
+    }
+
+    async saveConfigOverrides() {
+        const result = this.getConfigOverrides();
+        if (!result.success) {
+            this.showStatus(result.error, 'error');
+            return;
+        }
+
+        try {
+            await chrome.storage.sync.set({ [CONFIG_OVERRIDES_KEY]: result.overrides });
+            this.showStatus('Saved', 'success');
+        } catch (error) {
+            console.error('Failed to save config overrides:', error);
+            this.showStatus(`Failed to save: ${error.message}`, 'error');
+        }
+    }
+
+    async loadProfiles() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'listProfiles' });
+            this.renderProfiles(response);
+        } catch (error) {
+            console.error('Failed to load profiles:', error);
+            this.showStatus('Failed to load profiles', 'error');
+        }
+    }
+
+    /**
+     * Fill the profile selector
+     * @param {object} response - Result of the listProfiles message ({profiles, active})
+     */
+    renderProfiles(response) {
+        this.profileSelect.innerHTML = '';
+        for (const name of response?.profiles || []) {
+            const label = name === response.active ? `${name} (active)` : name;
+            this.profileSelect.add(new Option(label, name));
+        }
+        this.profileSelect.value = response?.active || '';
+    }
+
+    /**
+     * Send a profile action to the background worker and show its result
+     * @param {string} action - 'switchProfile', 'saveProfile' or 'deleteProfile'
+     * @param {string} name - Profile name
+     */
+    async runProfileAction(action, name) {
+        if (action === 'deleteProfile' && !confirm(`Delete profile "${name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action, name });
+            if (!response?.success) {
+                this.showStatus(response?.error || 'Profile action failed', 'error');
+                return;
+            }
+
+            this.renderProfiles(response);
+            this.profileNameInput.value = '';
+            await this.loadSettings();
+            this.showStatus(response.message, 'success');
+        } catch (error) {
+            console.error(`${action} failed:`, error);
+            this.showStatus(`Profile action failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Download every synced setting, including profiles and overrides, as a JSON file
+     */
+    async exportSettings() {
+        try {
+            const settings = await chrome.storage.sync.get(null);
+            const file = {
+                format: SETTINGS_FILE_FORMAT,
+                version: SETTINGS_FILE_VERSION,
+                exportedAt: new Date().toISOString(),
+                settings
+            };
+
+            const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'meckano-helper-settings.json';
+            link.click();
+            URL.revokeObjectURL(url);
+
+            this.showStatus('Settings exported', 'success');
+        } catch (error) {
+            console.error('Failed to export settings:', error);
+            this.showStatus(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Replace every synced setting with the contents of an exported file
+     */
+    async importSettings() {
+        const [file] = this.importInput.files;
+        this.importInput.value = '';
+        if (!file) {
+            return;
+        }
+
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                this.showStatus(`${file.name} is not valid JSON`, 'error');
+                return;
+            }
+
+            if (data?.format !== SETTINGS_FILE_FORMAT || typeof data.settings !== 'object' || data.settings === null ||
+                Array.isArray(data.settings)) {
+                this.showStatus(`${file.name} is not a Meckano Helper settings file`, 'error');
+                return;
+            }
+            if (data.version > SETTINGS_FILE_VERSION) {
+                this.showStatus(`${file.name} was exported by a newer version - update the extension first`, 'error');
+                return;
+            }
+            // Check everything that can make the write fail before the current settings are cleared
+            const quotaProblem = findSyncQuotaProblem(data.settings);
+            if (quotaProblem) {
+                this.showStatus(`${file.name} does not fit in synced storage (${quotaProblem}) - nothing was changed`, 'error');
+                return;
+            }
+            if (!confirm('Replace all settings and profiles with the imported ones?')) {
+                return;
+            }
+
+            await this.replaceSyncedSettings(data.settings);
+            await this.loadAll();
+            this.showStatus(`Imported settings from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('Failed to import settings:', error);
+            this.showStatus(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Replace every synced setting, restoring the previous ones if the new ones cannot be written
+     * @param {object} settings - Storage key to value
+     * @returns {Promise<void>} Rejects with the write error once the previous settings are back
+     */
+    async replaceSyncedSettings(settings) {
+        const previous = await chrome.storage.sync.get(null);
+        await chrome.storage.sync.clear();
+
+        try {
+            await chrome.storage.sync.set(settings);
+        } catch (error) {
+            console.error('Writing imported settings failed, restoring the previous ones:', error);
+            await chrome.storage.sync.clear();
+            await chrome.storage.sync.set(previous);
+            throw new Error(`${error.message} - the previous settings were restored`);
+        }
+    }
+
+    showStatus(message, type = 'info') {
+        this.statusDiv.textContent = message;
+        this.statusDiv.className = `status ${type}`;
+
+        // Auto-hide success messages after 3 seconds
+        if (type === 'success') {
+            setTimeout(() => {
+                this.statusDiv.classList.add('hidden');
+            }, 3000);
+        }
+    }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new MeckanoOptions();
+});
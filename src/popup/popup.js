@@ -1,55 +1,345 @@
 // Popup script for Meckano Time Tracker Helper
+import {
+    DEFAULT_SETTINGS, DEFAULT_WORK_WEEK, DEFAULT_HOLIDAY_POLICIES, ABSENCE_TYPE_LABELS, HOLIDAY_POLICY_LABELS,
+    WeeklyScheduleEditor, WorkWeekEditor, HolidayPolicyEditor
+} from '../content/settings.js';
+
+// Fill report schema version understood by this popup; must match FILL_REPORT_VERSION in src/content/fillReport.js
+const FILL_REPORT_VERSION = 1;
+
 class MeckanoPopup {
     constructor() {
         this.initializeElements();
+        this.loadProfiles();
         this.loadSettings();
         this.attachEventListeners();
         this.checkTabCompatibility();
     }
 
     initializeElements() {
+        this.profileSelect = document.getElementById('profileSelect');
+        this.optionsBtn = document.getElementById('optionsBtn');
         this.startTimeInput = document.getElementById('startTime');
         this.endTimeInput = document.getElementById('endTime');
         this.humanizeInput = document.getElementById('humanizeInput');
+        this.humanizeStrategyInput = document.getElementById('humanizeStrategy');
+        this.humanizeMaxMinutesInput = document.getElementById('humanizeMaxMinutes');
+        this.humanizeSeedInput = document.getElementById('humanizeSeed');
+        this.floatingPanelInput = document.getElementById('floatingPanelInput');
+        this.remindersEnabledInput = document.getElementById('remindersEnabledInput');
+        this.reminderTimeInput = document.getElementById('reminderTime');
+        this.dailyReminderInput = document.getElementById('dailyReminderInput');
+        this.monthEndReminderDaysInput = document.getElementById('monthEndReminderDays');
+        this.reminderAutoFillInput = document.getElementById('reminderAutoFillInput');
+        this.breakStartInput = document.getElementById('breakStart');
+        this.breakMinutesInput = document.getElementById('breakMinutes');
+        this.scheduleModeInput = document.getElementById('scheduleMode');
+        this.schedulePanels = document.querySelectorAll('.schedule-panel');
+        this.weeklyScheduleBody = document.getElementById('weeklyScheduleBody');
+        this.weeklyEditor = new WeeklyScheduleEditor(this.weeklyScheduleBody);
+        this.workWeekBody = document.getElementById('workWeekBody');
+        this.workWeekEditor = new WorkWeekEditor(this.workWeekBody);
+        this.holidayPoliciesBody = document.getElementById('holidayPoliciesBody');
+        this.holidayEditor = new HolidayPolicyEditor(this.holidayPoliciesBody);
+        this.icsPaddingBeforeInput = document.getElementById('icsPaddingBefore');
+        this.icsPaddingAfterInput = document.getElementById('icsPaddingAfter');
+        this.targetHoursInput = document.getElementById('targetHours');
+        this.minDayHoursInput = document.getElementById('minDayHours');
+        this.maxDayHoursInput = document.getElementById('maxDayHours');
+        this.gitLogTextInput = document.getElementById('gitLogText');
+        this.gitLeadInInput = document.getElementById('gitLeadIn');
+        this.gitTrailOutInput = document.getElementById('gitTrailOut');
+        this.gitMinimumDayInput = document.getElementById('gitMinimumDay');
+
+        // Files picked for file-based schedules, keyed by their chrome.storage.local key
+        this.fileSources = {
+            importFile: {
+                input: document.getElementById('importFileInput'),
+                status: document.getElementById('importFileStatus'),
+                file: null
+            },
+            icsFile: {
+                input: document.getElementById('icsFileInput'),
+                status: document.getElementById('icsFileStatus'),
+                file: null
+            },
+            gitLogFile: {
+                input: document.getElementById('gitLogFileInput'),
+                status: document.getElementById('gitLogFileStatus'),
+                file: null
+            }
+        };
+
+        this.overwritePolicyInput = document.getElementById('overwritePolicy');
+        this.overwriteMatchGroup = document.getElementById('overwriteMatchGroup');
+        this.overwriteMatchInput = document.getElementById('overwriteMatch');
+
+        this.fillScopeInput = document.getElementById('fillScope');
+        this.scopePanels = document.querySelectorAll('.scope-panel');
+        this.scopeFromInput = document.getElementById('scopeFrom');
+        this.scopeToInput = document.getElementById('scopeTo');
+        this.scopeDateInput = document.getElementById('scopeDateInput');
+        this.scopeDateAddBtn = document.getElementById('scopeDateAddBtn');
+        this.scopeDatesList = document.getElementById('scopeDatesList');
+        this.scopeDates = [];
+
+        this.absencesSummary = document.getElementById('absencesSummary');
+        this.absenceTypeInput = document.getElementById('absenceType');
+        this.absenceFromInput = document.getElementById('absenceFrom');
+        this.absenceToInput = document.getElementById('absenceTo');
+        this.absenceAddBtn = document.getElementById('absenceAddBtn');
+        this.absencesList = document.getElementById('absencesList');
+        this.absences = [];
 
         this.fillBtn = document.getElementById('fillBtn');
+        this.previewBtn = document.getElementById('previewBtn');
+        this.previewPanel = document.getElementById('previewPanel');
+        this.previewSummary = document.getElementById('previewSummary');
+        this.previewProviderSummary = document.getElementById('previewProviderSummary');
+        this.previewWarning = document.getElementById('previewWarning');
+        this.previewBody = document.getElementById('previewBody');
+        this.previewConfirmBtn = document.getElementById('previewConfirmBtn');
+        this.previewCancelBtn = document.getElementById('previewCancelBtn');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.undoPanel = document.getElementById('undoPanel');
+        this.undoSummary = document.getElementById('undoSummary');
+        this.undoBody = document.getElementById('undoBody');
+        this.undoConfirmBtn = document.getElementById('undoConfirmBtn');
+        this.undoCancelBtn = document.getElementById('undoCancelBtn');
+        this.selfTestBtn = document.getElementById('selfTestBtn');
+        this.selfTestPanel = document.getElementById('selfTestPanel');
+        this.selfTestSummary = document.getElementById('selfTestSummary');
+        this.selfTestBody = document.getElementById('selfTestBody');
+        this.selfTestCloseBtn = document.getElementById('selfTestCloseBtn');
+        this.progressPanel = document.getElementById('progressPanel');
+        this.progressFill = document.getElementById('progressFill');
+        this.progressText = document.getElementById('progressText');
+        this.stopBtn = document.getElementById('stopBtn');
+        this.fillPort = null;
+        this.reportPanel = document.getElementById('reportPanel');
+        this.reportSummary = document.getElementById('reportSummary');
+        this.reportBody = document.getElementById('reportBody');
         this.statusDiv = document.getElementById('status');
         this.statusText = document.getElementById('statusText');
+        this.issuesList = document.getElementById('issuesList');
     }
 
     attachEventListeners() {
         // Save settings when inputs change
         this.startTimeInput.addEventListener('change', () => this.saveSettings());
         this.endTimeInput.addEventListener('change', () => this.saveSettings());
-        this.humanizeInput.addEventListener('change', () => this.saveSettings());
+        this.humanizeInput.addEventListener('change', () => {
+            this.updateHumanizeState();
+            this.saveSettings();
+        });
+        this.humanizeStrategyInput.addEventListener('change', () => this.saveSettings());
+        this.humanizeMaxMinutesInput.addEventListener('change', () => this.saveSettings());
+        this.humanizeSeedInput.addEventListener('change', () => this.saveSettings());
+        // Saved on its own: the panel's close button can change it while the popup is open
+        this.floatingPanelInput.addEventListener('change', () => {
+            chrome.storage.sync.set({ showFloatingPanel: this.floatingPanelInput.checked });
+        });
+        this.breakStartInput.addEventListener('change', () => this.saveSettings());
+        this.breakMinutesInput.addEventListener('change', () => this.saveSettings());
+        this.scheduleModeInput.addEventListener('change', () => {
+            this.updateScheduleModeVisibility();
+            this.saveSettings();
+        });
+        this.weeklyScheduleBody.addEventListener('change', () => {
+            this.weeklyEditor.updateRowsState();
+            this.saveSettings();
+        });
+        this.workWeekBody.addEventListener('change', () => this.saveSettings());
+        this.holidayPoliciesBody.addEventListener('change', () => {
+            this.holidayEditor.updateRowsState();
+            this.saveSettings();
+        });
+        this.icsPaddingBeforeInput.addEventListener('change', () => this.saveSettings());
+        this.icsPaddingAfterInput.addEventListener('change', () => this.saveSettings());
+        this.targetHoursInput.addEventListener('change', () => this.saveSettings());
+        this.minDayHoursInput.addEventListener('change', () => this.saveSettings());
+        this.maxDayHoursInput.addEventListener('change', () => this.saveSettings());
+        this.gitLeadInInput.addEventListener('change', () => this.saveSettings());
+        this.gitTrailOutInput.addEventListener('change', () => this.saveSettings());
+        this.gitMinimumDayInput.addEventListener('change', () => this.saveSettings());
+        this.remindersEnabledInput.addEventListener('change', () => this.saveSettings());
+        this.reminderTimeInput.addEventListener('change', () => this.saveSettings());
+        this.dailyReminderInput.addEventListener('change', () => this.saveSettings());
+        this.monthEndReminderDaysInput.addEventListener('change', () => this.saveSettings());
+        this.reminderAutoFillInput.addEventListener('change', () => this.saveSettings());
+        this.gitLogTextInput.addEventListener('change', () => this.savePastedGitLog());
+        for (const [key, source] of Object.entries(this.fileSources)) {
+            source.input.addEventListener('change', () => this.loadFile(key));
+        }
 
-        // Button handler
-        this.fillBtn.addEventListener('click', () => this.fillHours());
+        this.absenceAddBtn.addEventListener('click', () => this.addAbsence());
+        this.overwritePolicyInput.addEventListener('change', () => {
+            this.updateOverwriteVisibility();
+            this.saveSettings();
+        });
+        this.overwriteMatchInput.addEventListener('change', () => this.saveSettings());
+        this.fillScopeInput.addEventListener('change', () => {
+            this.updateScopeVisibility();
+            this.saveSettings();
+        });
+        this.scopeFromInput.addEventListener('change', () => this.saveSettings());
+        this.scopeToInput.addEventListener('change', () => this.saveSettings());
+        this.scopeDateAddBtn.addEventListener('click', () => this.addScopeDate());
+
+        // Button handlers
+        this.fillBtn.addEventListener('click', () => this.requestFill());
+        this.previewBtn.addEventListener('click', () => this.previewFill());
+        this.previewConfirmBtn.addEventListener('click', () => {
+            this.hidePreview();
+            this.fillHours();
+        });
+        this.previewCancelBtn.addEventListener('click', () => this.hidePreview());
+        this.undoBtn.addEventListener('click', () => this.previewUndo());
+        this.undoConfirmBtn.addEventListener('click', () => {
+            this.hideUndo();
+            this.undoLastFill();
+        });
+        this.undoCancelBtn.addEventListener('click', () => this.hideUndo());
+        this.selfTestBtn.addEventListener('click', () => this.runSelfTest());
+        this.profileSelect.addEventListener('change', () => this.switchProfile(this.profileSelect.value));
+        this.optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+        this.stopBtn.addEventListener('click', () => this.stopFill());
+        this.selfTestCloseBtn.addEventListener('click', () => this.selfTestPanel.classList.add('hidden'));
     }
 
     async loadSettings() {
         try {
             const settings = await chrome.storage.sync.get({
-                startTime: '09:00',
-                endTime: '18:00',
-                humanize: false
+                ...DEFAULT_SETTINGS,
+                workWeek: DEFAULT_WORK_WEEK,
+                holidayPolicies: DEFAULT_HOLIDAY_POLICIES
             });
 
             this.startTimeInput.value = settings.startTime;
             this.endTimeInput.value = settings.endTime;
             this.humanizeInput.checked = settings.humanize;
+            this.humanizeStrategyInput.value = settings.humanizeStrategy;
+            this.humanizeMaxMinutesInput.value = settings.humanizeMaxMinutes;
+            this.humanizeSeedInput.value = settings.humanizeSeed;
+            this.updateHumanizeState();
+            this.floatingPanelInput.checked = settings.showFloatingPanel;
+            this.remindersEnabledInput.checked = settings.remindersEnabled;
+            this.reminderTimeInput.value = settings.reminderTime;
+            this.dailyReminderInput.checked = settings.dailyReminder;
+            this.monthEndReminderDaysInput.value = settings.monthEndReminderDays;
+            this.reminderAutoFillInput.checked = settings.reminderAutoFill;
+            this.breakStartInput.value = settings.breakStart;
+            this.breakMinutesInput.value = settings.breakMinutes;
+            this.scheduleModeInput.value = settings.scheduleMode;
+            this.weeklyEditor.setSchedule(settings.weeklySchedule);
+            this.workWeekEditor.setWorkWeek(settings.workWeek);
+            this.holidayEditor.setPolicies(settings.holidayPolicies);
+            this.icsPaddingBeforeInput.value = settings.icsPaddingBefore;
+            this.icsPaddingAfterInput.value = settings.icsPaddingAfter;
+            this.targetHoursInput.value = settings.targetHours;
+            this.minDayHoursInput.value = settings.minDayHours;
+            this.maxDayHoursInput.value = settings.maxDayHours;
+            this.gitLeadInInput.value = settings.gitLeadIn;
+            this.gitTrailOutInput.value = settings.gitTrailOut;
+            this.gitMinimumDayInput.value = settings.gitMinimumDay;
+            this.setAbsences(settings.absences);
+            this.fillScopeInput.value = settings.scope.type;
+            this.scopeFromInput.value = settings.scope.from || '';
+            this.scopeToInput.value = settings.scope.to || '';
+            this.setScopeDates(settings.scope.dates || []);
+            this.overwritePolicyInput.value = settings.overwritePolicy.type;
+            this.overwriteMatchInput.value = (settings.overwritePolicy.match || []).join(', ');
+            this.updateOverwriteVisibility();
+            this.updateScopeVisibility();
+            this.updateScheduleModeVisibility();
+
+            // Picked files can exceed the sync quota, so they live in local storage
+            const files = await chrome.storage.local.get(Object.keys(this.fileSources));
+            for (const key of Object.keys(this.fileSources)) {
+                this.setFile(key, files[key] || null);
+            }
+            if (files.gitLogFile?.pasted) {
+                this.gitLogTextInput.value = files.gitLogFile.content;
+            }
         } catch (error) {
             console.error('Failed to load settings:', error);
             this.showStatus('Failed to load settings', 'error');
         }
     }
 
+    /**
+     * Fill the profile selector from the profiles kept by the background worker
+     */
+    async loadProfiles() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'listProfiles' });
+            this.renderProfiles(response);
+        } catch (error) {
+            console.error('Failed to load profiles:', error);
+        }
+    }
+
+    /**
+     * @param {object} response - Result of a profile message ({profiles, active})
+     */
+    renderProfiles(response) {
+        this.profileSelect.innerHTML = '';
+        for (const name of response?.profiles || []) {
+            this.profileSelect.add(new Option(`Profile: ${name}`, name));
+        }
+        this.profileSelect.value = response?.active || '';
+    }
+
+    /**
+     * Activate another settings profile and show its settings
+     * @param {string} name - Profile name
+     */
+    async switchProfile(name) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'switchProfile', name });
+            if (!response?.success) {
+                this.showStatus(response?.error || 'Failed to switch profile', 'error');
+                await this.loadProfiles();
+                return;
+            }
+
+            this.renderProfiles(response);
+            await this.loadSettings();
+            this.showStatus(response.message, 'success');
+        } catch (error) {
+            console.error('Failed to switch profile:', error);
+            this.showStatus('Failed to switch profile', 'error');
+        }
+    }
+
     async saveSettings() {
         try {
             const settings = {
                 startTime: this.startTimeInput.value,
                 endTime: this.endTimeInput.value,
-                humanize: this.humanizeInput.checked
+                ...this.getHumanizeSettings(),
+                breakStart: this.breakStartInput.value,
+                breakMinutes: Number(this.breakMinutesInput.value) || 0,
+                scheduleMode: this.scheduleModeInput.value,
+                weeklySchedule: this.weeklyEditor.getSchedule(),
+                workWeek: this.workWeekEditor.getWorkWeek(),
+                holidayPolicies: this.holidayEditor.getPolicies(),
+                icsPaddingBefore: Number(this.icsPaddingBeforeInput.value) || 0,
+                icsPaddingAfter: Number(this.icsPaddingAfterInput.value) || 0,
+                gitLeadIn: Number(this.gitLeadInInput.value) || 0,
+                gitTrailOut: Number(this.gitTrailOutInput.value) || 0,
+                gitMinimumDay: Number(this.gitMinimumDayInput.value) || 0,
+                targetHours: Number(this.targetHoursInput.value) || 0,
+                minDayHours: Number(this.minDayHoursInput.value) || 0,
+                maxDayHours: Number(this.maxDayHoursInput.value) || 0,
+                absences: this.absences,
+                scope: this.getScope(),
+                overwritePolicy: this.getOverwritePolicy(),
+                remindersEnabled: this.remindersEnabledInput.checked,
+                reminderTime: this.reminderTimeInput.value || '17:30',
+                dailyReminder: this.dailyReminderInput.checked,
+                monthEndReminderDays: Number(this.monthEndReminderDaysInput.value) || 0,
+                reminderAutoFill: this.reminderAutoFillInput.checked
             };
 
             await chrome.storage.sync.set(settings);
@@ -58,6 +348,189 @@ class MeckanoPopup {
         }
     }
 
+    updateScheduleModeVisibility() {
+        for (const panel of this.schedulePanels) {
+            panel.classList.toggle('hidden', panel.dataset.mode !== this.scheduleModeInput.value);
+        }
+    }
+
+    /**
+     * Read the file picked for a file-based schedule and keep it in local storage
+     * @param {string} key - File source key (also the chrome.storage.local key)
+     */
+    async loadFile(key) {
+        const [file] = this.fileSources[key].input.files;
+        if (!file) {
+            return;
+        }
+
+        try {
+            const storedFile = {
+                name: file.name,
+                content: await file.text(),
+                loadedAt: new Date().toISOString()
+            };
+
+            await chrome.storage.local.set({ [key]: storedFile });
+            this.setFile(key, storedFile);
+            if (key === 'gitLogFile') {
+                // An uploaded history replaces any pasted one
+                this.gitLogTextInput.value = '';
+            }
+            this.showStatus(`Loaded ${file.name} - use Preview to check it against the open month`, 'info');
+        } catch (error) {
+            console.error('Failed to load file:', error);
+            this.showStatus('Failed to read the selected file', 'error');
+        }
+    }
+
+    async savePastedGitLog() {
+        const content = this.gitLogTextInput.value;
+        const storedFile = content.trim() ? {
+            name: 'pasted history',
+            content,
+            pasted: true,
+            loadedAt: new Date().toISOString()
+        } : null;
+
+        try {
+            if (storedFile) {
+                await chrome.storage.local.set({ gitLogFile: storedFile });
+            } else {
+                await chrome.storage.local.remove('gitLogFile');
+            }
+            this.setFile('gitLogFile', storedFile);
+        } catch (error) {
+            console.error('Failed to save pasted git log:', error);
+        }
+    }
+
+    setFile(key, storedFile) {
+        const source = this.fileSources[key];
+        source.file = storedFile;
+        if (storedFile) {
+            const lineCount = storedFile.content.split(/\r?\n/).filter(line => line.trim()).length;
+            source.status.textContent = `Loaded ${storedFile.name} (${lineCount} lines)`;
+        }
+    }
+
+    getScope() {
+        return {
+            type: this.fillScopeInput.value,
+            from: this.scopeFromInput.value,
+            to: this.scopeToInput.value,
+            dates: this.scopeDates
+        };
+    }
+
+    /**
+     * Read the overwrite policy for inputs that already have a value
+     * @returns {object} Policy as {type, match} where match lists the values that may be replaced
+     */
+    getOverwritePolicy() {
+        return {
+            type: this.overwritePolicyInput.value,
+            match: this.overwriteMatchInput.value
+                .split(',')
+                .map(value => value.trim())
+                .filter(Boolean)
+        };
+    }
+
+    updateOverwriteVisibility() {
+        this.overwriteMatchGroup.classList.toggle('hidden', this.overwritePolicyInput.value !== 'overwriteMatching');
+    }
+
+    updateScopeVisibility() {
+        for (const panel of this.scopePanels) {
+            panel.classList.toggle('hidden', panel.dataset.scope !== this.fillScopeInput.value);
+        }
+    }
+
+    addScopeDate() {
+        const date = this.scopeDateInput.value;
+        if (!date || this.scopeDates.includes(date)) {
+            return;
+        }
+
+        this.setScopeDates([...this.scopeDates, date]);
+        this.scopeDateInput.value = '';
+        this.saveSettings();
+    }
+
+    setScopeDates(dates) {
+        this.scopeDates = [...dates].sort();
+        this.scopeDatesList.replaceChildren();
+
+        for (const date of this.scopeDates) {
+            const li = document.createElement('li');
+
+            const text = document.createElement('span');
+            text.textContent = date.split('-').reverse().join('/');
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.setScopeDates(this.scopeDates.filter(selected => selected !== date));
+                this.saveSettings();
+            });
+
+            li.append(text, removeBtn);
+            this.scopeDatesList.appendChild(li);
+        }
+    }
+
+    addAbsence() {
+        const from = this.absenceFromInput.value;
+        const to = this.absenceToInput.value || from;
+
+        if (!from || to < from) {
+            this.showStatus('Please choose a valid absence date range', 'error');
+            return;
+        }
+
+        this.setAbsences([...this.absences, { type: this.absenceTypeInput.value, from, to }]);
+        this.absenceFromInput.value = '';
+        this.absenceToInput.value = '';
+        this.saveSettings();
+    }
+
+    removeAbsence(index) {
+        this.setAbsences(this.absences.filter((_, i) => i !== index));
+        this.saveSettings();
+    }
+
+    setAbsences(absences) {
+        this.absences = [...absences].sort((a, b) => a.from.localeCompare(b.from));
+        this.absencesList.replaceChildren();
+
+        // ISO YYYY-MM-DD to DD/MM for display
+        const shortDate = iso => iso.split('-').reverse().slice(0, 2).join('/');
+
+        this.absences.forEach((absence, index) => {
+            const li = document.createElement('li');
+
+            const text = document.createElement('span');
+            const range = absence.to && absence.to !== absence.from
+                ? `${shortDate(absence.from)} - ${shortDate(absence.to)}`
+                : shortDate(absence.from);
+            text.textContent = `${ABSENCE_TYPE_LABELS[absence.type] || absence.type}: ${range}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeAbsence(index));
+
+            li.append(text, removeBtn);
+            this.absencesList.appendChild(li);
+        });
+
+        this.absencesSummary.textContent = this.absences.length > 0
+            ? `Absences (${this.absences.length})`
+            : 'Absences';
+    }
+
     async checkTabCompatibility() {
         try {
             const [tab] = await chrome.tabs.query({ 
@@ -70,6 +543,8 @@ class MeckanoPopup {
             if (!isMeckanoPage) {
                 this.showStatus('Please navigate to Meckano reports page first', 'error');
                 this.fillBtn.disabled = true;
+                this.previewBtn.disabled = true;
+                this.undoBtn.disabled = true;
                 return false;
             }
 
@@ -84,25 +559,82 @@ class MeckanoPopup {
 
 
 
-    async fillHours() {
+    collectTimeData() {
+        return {
+            scheduleMode: this.scheduleModeInput.value,
+            startTime: this.startTimeInput.value,
+            endTime: this.endTimeInput.value,
+            breakStart: this.breakStartInput.value,
+            breakMinutes: Number(this.breakMinutesInput.value) || 0,
+            weeklySchedule: this.weeklyEditor.getSchedule(),
+            importFile: this.fileSources.importFile.file,
+            icsFile: this.fileSources.icsFile.file,
+            icsPaddingBefore: Number(this.icsPaddingBeforeInput.value) || 0,
+            icsPaddingAfter: Number(this.icsPaddingAfterInput.value) || 0,
+            gitLogFile: this.fileSources.gitLogFile.file,
+            gitLeadIn: Number(this.gitLeadInInput.value) || 0,
+            gitTrailOut: Number(this.gitTrailOutInput.value) || 0,
+            gitMinimumDay: Number(this.gitMinimumDayInput.value) || 0,
+            targetHours: Number(this.targetHoursInput.value) || 0,
+            minDayHours: Number(this.minDayHoursInput.value) || 0,
+            maxDayHours: Number(this.maxDayHoursInput.value) || 0,
+            absences: this.absences,
+            scope: this.getScope(),
+            overwritePolicy: this.getOverwritePolicy(),
+            workWeek: this.workWeekEditor.getWorkWeek(),
+            holidayPolicies: this.holidayEditor.getPolicies(),
+            ...this.getHumanizeSettings()
+        };
+    }
+
+    /**
+     * @returns {object} Humanization settings ({humanize, humanizeStrategy, humanizeMaxMinutes, humanizeSeed})
+     */
+    getHumanizeSettings() {
+        return {
+            humanize: this.humanizeInput.checked,
+            humanizeStrategy: this.humanizeStrategyInput.value,
+            humanizeMaxMinutes: Number(this.humanizeMaxMinutesInput.value) || 0,
+            humanizeSeed: this.humanizeSeedInput.value.trim()
+        };
+    }
+
+    /**
+     * Enable the humanization options only while humanization is on
+     */
+    updateHumanizeState() {
+        for (const input of [this.humanizeStrategyInput, this.humanizeMaxMinutesInput, this.humanizeSeedInput]) {
+            input.disabled = !this.humanizeInput.checked;
+        }
+    }
+
+    /**
+     * Fill button handler: filling only empty inputs runs directly, while overwriting
+     * existing values always goes through the preview so the changed rows can be confirmed
+     */
+    requestFill() {
+        if (this.overwritePolicyInput.value === 'onlyEmpty') {
+            this.fillHours();
+        } else {
+            this.previewFill();
+        }
+    }
+
+    async previewFill() {
         if (!await this.checkTabCompatibility()) {
             return;
         }
 
-        const timeData = {
-            startTime: this.startTimeInput.value,
-            endTime: this.endTimeInput.value,
-            humanize: this.humanizeInput.checked
-        };
+        const timeData = this.collectTimeData();
 
-        // Validate time input
         if (!this.validateTimeInput(timeData)) {
             this.showStatus('Please check your time settings', 'error');
             return;
         }
 
-        this.showStatus('Filling empty time entries... (preserving existing data)', 'info');
-        this.fillBtn.disabled = true;
+        this.showStatus('Building preview... (no changes will be made)', 'info');
+        this.showIssues([]);
+        this.previewBtn.disabled = true;
 
         try {
             const [tab] = await chrome.tabs.query({ 
@@ -111,39 +643,581 @@ class MeckanoPopup {
             });
 
             const response = await chrome.tabs.sendMessage(tab.id, {
-                action: 'fillHours',
+                action: 'previewFill',
                 data: timeData
             });
 
             if (response && response.success) {
-                const filledCount = response.filledCount || 0;
-                const skippedCount = response.skippedCount || 0;
-                const alreadyFilledCount = response.alreadyFilledCount || 0;
-                
-                let message = `✅ Filled ${filledCount} new entries`;
-                if (alreadyFilledCount > 0) {
-                    message += `, ${alreadyFilledCount} already had data`;
-                }
-                if (skippedCount > 0) {
-                    message += `, skipped ${skippedCount} non-working days`;
+                this.renderPreview(response);
+                this.showStatus(
+                    timeData.humanize && !timeData.humanizeSeed
+                        ? 'Review the plan, then confirm to fill (humanized times are re-randomized on fill; set a seed to keep them)'
+                        : 'Review the plan, then confirm to fill',
+                    'info'
+                );
+            } else {
+                this.showStatus(
+                    response?.error || 'Failed to build preview', 
+                    'error'
+                );
+                this.showIssues(response?.issues || []);
+            }
+        } catch (error) {
+            console.error('Preview operation failed:', error);
+            this.showStatus('Preview failed. Please try again.', 'error');
+        } finally {
+            this.previewBtn.disabled = false;
+        }
+    }
+
+    renderPreview({ plan, summary, providerSummary }) {
+        this.previewSummary.textContent =
+            `${summary.fill} to fill · ${summary.absence} absences · ${summary.complete} already complete · ${summary.skip} skipped` +
+            (summary.overwrite > 0 ? ` · ${summary.overwrite} with values to overwrite` : '') +
+            (summary.outOfScope > 0 ? ` · ${summary.outOfScope} out of scope` : '') +
+            (summary.error > 0 ? ` · ${summary.error} with errors` : '');
+        this.previewProviderSummary.textContent = providerSummary?.text || '';
+        this.previewWarning.textContent = providerSummary?.warning || '';
+        this.previewWarning.classList.toggle('hidden', !providerSummary?.warning);
+        this.previewBody.replaceChildren();
+
+        const actionLabels = {
+            fill: 'Fill',
+            skip: 'Skip',
+            complete: 'Complete',
+            absence: 'Absence',
+            outOfScope: 'Out of scope',
+            error: 'Error'
+        };
+
+        for (const entry of plan) {
+            const tr = document.createElement('tr');
+            tr.className = `action-${entry.action}`;
+
+            const dateCell = document.createElement('td');
+            dateCell.textContent = `${entry.date} ${entry.hebrewDay}`;
+
+            const actionCell = document.createElement('td');
+            actionCell.textContent = actionLabels[entry.action] || entry.action;
+
+            const detailCell = document.createElement('td');
+            const overwrites = entry.changes.filter(change => change.from !== '');
+            if (entry.action === 'fill' && overwrites.length > 0) {
+                // List every value that will be replaced, so the user confirms exactly what changes
+                tr.classList.add('overwrite');
+                detailCell.textContent = entry.changes.map(change =>
+                    `${change.from || '(empty)'} → ${change.to}`
+                ).join(', ');
+            } else if (entry.action === 'fill') {
+                // Providers may return several segments (split shifts / breaks)
+                const segments = Array.isArray(entry.timeData) ? entry.timeData : [entry.timeData];
+                detailCell.textContent = segments.map((segment, index) => {
+                    // Existing values of the dated line are preserved, so show them instead of the planned ones
+                    const checkin = (index === 0 && entry.existing.checkin) || segment.checkin;
+                    const checkout = (index === 0 && entry.existing.checkout) || segment.checkout;
+                    return `${checkin} - ${checkout}`;
+                }).join(', ');
+            } else if (entry.action === 'complete') {
+                detailCell.textContent = `${entry.existing.checkin} - ${entry.existing.checkout}`;
+            } else {
+                detailCell.textContent = entry.reason;
+            }
+            if (entry.dayPolicy) {
+                detailCell.textContent += ` (${entry.dayPolicy.name}: ${HOLIDAY_POLICY_LABELS[entry.dayPolicy.policy] || entry.dayPolicy.policy})`;
+            }
+
+            tr.append(dateCell, actionCell, detailCell);
+            this.previewBody.appendChild(tr);
+        }
+
+        this.previewConfirmBtn.disabled = summary.fill + summary.absence === 0;
+        this.previewPanel.classList.remove('hidden');
+    }
+
+    hidePreview() {
+        this.previewPanel.classList.add('hidden');
+        this.previewBody.replaceChildren();
+    }
+
+    async previewUndo() {
+        if (!await this.checkTabCompatibility()) {
+            return;
+        }
+
+        try {
+            const [tab] = await chrome.tabs.query({ 
+                active: true, 
+                currentWindow: true 
+            });
+
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'previewUndo'
+            });
+
+            if (!response || !response.success) {
+                this.showStatus(response?.error || 'Failed to load last fill', 'error');
+                return;
+            }
+
+            if (!response.session) {
+                this.showStatus('There is no fill to undo', 'info');
+                return;
+            }
+
+            this.renderUndo(response.session);
+            this.showStatus('Review the changes, then confirm to undo', 'info');
+        } catch (error) {
+            console.error('Undo preview failed:', error);
+            this.showStatus('Unable to load last fill. Please try again.', 'error');
+        }
+    }
+
+    renderUndo(session) {
+        const filledAt = new Date(session.createdAt).toLocaleString();
+        this.undoSummary.textContent = `${session.entries.length} values from the fill on ${filledAt}`;
+        this.undoBody.replaceChildren();
+
+        const fieldLabels = {
+            checkin: 'Check-in',
+            checkout: 'Check-out',
+            missingEvent: 'Absence'
+        };
+
+        for (const entry of session.entries) {
+            const tr = document.createElement('tr');
+
+            const dateCell = document.createElement('td');
+            dateCell.textContent = entry.date;
+
+            const fieldCell = document.createElement('td');
+            fieldCell.textContent = fieldLabels[entry.field] || entry.field;
+
+            const changeCell = document.createElement('td');
+            changeCell.textContent = `${entry.newValue} → ${entry.previousValue || '(empty)'}`;
+
+            tr.append(dateCell, fieldCell, changeCell);
+            this.undoBody.appendChild(tr);
+        }
+
+        this.undoPanel.classList.remove('hidden');
+    }
+
+    hideUndo() {
+        this.undoPanel.classList.add('hidden');
+        this.undoBody.replaceChildren();
+    }
+
+    async undoLastFill() {
+        this.showStatus('Undoing last fill...', 'info');
+        this.showIssues([]);
+        this.undoBtn.disabled = true;
+
+        try {
+            const [tab] = await chrome.tabs.query({ 
+                active: true, 
+                currentWindow: true 
+            });
+
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'undoLastFill'
+            });
+
+            if (response && response.success) {
+                let message = `✅ ${response.message}`;
+                const conflictCount = response.details?.conflicts?.length || 0;
+                if (conflictCount > 0) {
+                    message += `, ${conflictCount} changed since and left as is`;
                 }
-                
                 this.showStatus(message, 'success');
+            } else {
+                this.showStatus(response?.error || 'Failed to undo last fill', 'error');
+                this.showIssues(this.getResponseIssues(response));
+            }
+        } catch (error) {
+            console.error('Undo operation failed:', error);
+            this.showStatus('Undo failed. Please try again.', 'error');
+        } finally {
+            this.undoBtn.disabled = false;
+        }
+    }
+
+    async runSelfTest() {
+        if (!await this.checkTabCompatibility()) {
+            return;
+        }
+
+        try {
+            const [tab] = await chrome.tabs.query({ 
+                active: true, 
+                currentWindow: true 
+            });
+
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'selfTest'
+            });
+
+            if (!response || !response.success) {
+                this.showStatus(response?.error || 'Self-test failed', 'error');
+                return;
+            }
+
+            this.renderSelfTest(response);
+            this.showStatus(
+                response.dialogOpen
+                    ? response.message
+                    : `${response.message} (open the timesheet dialog to check its elements)`,
+                response.results.some(result => !result.found && !result.optional) ? 'error' : 'success'
+            );
+        } catch (error) {
+            console.error('Self-test failed:', error);
+            this.showStatus('Self-test failed. Please try again.', 'error');
+        }
+    }
+
+    renderSelfTest({ results }) {
+        const found = results.filter(result => result.found).length;
+        this.selfTestSummary.textContent = `${found}/${results.length} page elements found`;
+        this.selfTestBody.replaceChildren();
+
+        for (const result of results) {
+            const tr = document.createElement('tr');
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = result.name;
+
+            const statusCell = document.createElement('td');
+            const selectorCell = document.createElement('td');
+            if (result.found) {
+                tr.className = result.fallbackIndex > 0 ? 'element-fallback' : 'element-found';
+                statusCell.textContent = result.fallbackIndex > 0
+                    ? `Fallback #${result.fallbackIndex + 1} (${result.count})`
+                    : `Found (${result.count})`;
+                selectorCell.textContent = result.selector;
+            } else {
+                tr.className = result.optional ? 'element-optional' : 'element-missing';
+                statusCell.textContent = result.optional ? 'Not present (optional)' : 'Missing';
+                selectorCell.textContent = result.reason;
+            }
+
+            tr.append(nameCell, statusCell, selectorCell);
+            this.selfTestBody.appendChild(tr);
+        }
+
+        this.selfTestPanel.classList.remove('hidden');
+    }
+
+    async fillHours() {
+        if (!await this.checkTabCompatibility()) {
+            return;
+        }
+
+        const timeData = this.collectTimeData();
+
+        // Validate time input
+        if (!this.validateTimeInput(timeData)) {
+            this.showStatus('Please check your time settings', 'error');
+            return;
+        }
+
+        this.showStatus(
+            timeData.overwritePolicy.type === 'onlyEmpty'
+                ? 'Filling empty time entries... (preserving existing data)'
+                : 'Filling time entries... (overwriting existing values)',
+            'info'
+        );
+        this.showIssues([]);
+        this.hideReport();
+        this.fillBtn.disabled = true;
+
+        try {
+            const [tab] = await chrome.tabs.query({ 
+                active: true, 
+                currentWindow: true 
+            });
+
+            this.showProgress({ phase: 'start' });
+            const response = await this.runFill(tab.id, timeData);
+
+            if (response?.report && response.report.version !== FILL_REPORT_VERSION) {
+                this.showStatus('Unexpected result format - reload the Meckano page and try again', 'error');
+                return;
+            }
+
+            if (response?.report) {
+                this.renderReport(response.report);
+            }
+
+            if (response && response.success) {
+                const { summary, verification } = response.report;
+                const needsLook = response.report.dates.filter(entry =>
+                    entry.action === 'error' || (entry.verification && entry.verification.status !== 'verified')
+                ).length;
+
+                let message = `✅ Filled ${summary.fill} dates`;
+                if (summary.absence > 0) {
+                    message += `, ${summary.absence} absences`;
+                }
+                if (summary.complete > 0) {
+                    message += `, ${summary.complete} already had data`;
+                }
+                if (summary.skip > 0) {
+                    message += `, skipped ${summary.skip} non-working days`;
+                }
+                if (!verification.success) {
+                    message += ` ⚠️ ${verification.error}`;
+                } else if (needsLook > 0) {
+                    message += ` ⚠️ ${needsLook} dates need a manual look`;
+                } else if (verification.summary) {
+                    message += `, ${verification.summary.verified} dates verified`;
+                }
+
+                this.showStatus(message, needsLook > 0 || !verification.success ? 'error' : 'success');
+            } else if (response?.cancelled) {
+                this.showStatus(`⏹ ${response.error}`, 'info');
             } else {
                 this.showStatus(
                     response?.error || 'Failed to fill hours', 
                     'error'
                 );
+                this.showIssues(this.getResponseIssues(response));
             }
         } catch (error) {
             console.error('Fill operation failed:', error);
             this.showStatus('Fill operation failed. Please try again.', 'error');
         } finally {
+            this.hideProgress();
             this.fillBtn.disabled = false;
         }
     }
 
+    /**
+     * Run a fill over a long-lived port so progress can be streamed and the fill can be stopped
+     * @param {number} tabId - Tab with the Meckano page
+     * @param {object} timeData - Time data for the fill
+     * @returns {Promise<object>} Fill result sent by the content script
+     */
+    runFill(tabId, timeData) {
+        return new Promise((resolve, reject) => {
+            const port = chrome.tabs.connect(tabId, { name: 'fillHours' });
+            this.fillPort = port;
+
+            port.onMessage.addListener(message => {
+                if (message.type === 'progress') {
+                    this.showProgress(message);
+                } else if (message.type === 'result') {
+                    this.fillPort = null;
+                    port.disconnect();
+                    resolve(message.result);
+                }
+            });
+            port.onDisconnect.addListener(() => {
+                this.fillPort = null;
+                reject(new Error(chrome.runtime.lastError?.message || 'Connection to the page was lost'));
+            });
+
+            port.postMessage({ action: 'start', data: timeData });
+        });
+    }
+
+    stopFill() {
+        if (!this.fillPort) {
+            return;
+        }
+
+        this.fillPort.postMessage({ action: 'stop' });
+        this.stopBtn.disabled = true;
+        this.progressText.textContent = 'Stopping before submit...';
+    }
+
+    /**
+     * Show fill progress: a bar for the per-date phase, a text line for the other phases
+     * @param {object} progress - Progress event ({phase, current, total, date, action})
+     */
+    showProgress({ phase, current, total, date, action }) {
+        const phaseTexts = {
+            start: 'Starting...',
+            dialog: 'Opening timesheet dialog...',
+            submit: 'Submitting timesheet...',
+            verify: 'Verifying saved values...'
+        };
+
+        this.progressPanel.classList.remove('hidden');
+        if (phase === 'fill') {
+            this.progressFill.style.width = `${Math.round(current / total * 100)}%`;
+            this.progressText.textContent = `Date ${current} of ${total}: ${date} (${action})`;
+        } else {
+            this.progressFill.style.width = phase === 'submit' || phase === 'verify' ? '100%' : '0%';
+            this.progressText.textContent = phaseTexts[phase] || phase;
+        }
+
+        // Once the timesheet is being submitted there is nothing left to stop
+        this.stopBtn.disabled = phase === 'submit' || phase === 'verify';
+    }
+
+    hideProgress() {
+        this.progressPanel.classList.add('hidden');
+        this.progressFill.style.width = '0%';
+        this.progressText.textContent = '';
+    }
+
+    /**
+     * Collect the problems of a failed response: time data issues and Meckano's validation errors
+     * @param {object|undefined} response - Response from the content script
+     * @returns {object[]} Issues as {location, message}
+     */
+    getResponseIssues(response) {
+        const fieldLabels = {
+            checkin: 'check-in',
+            checkout: 'check-out'
+        };
+
+        const validationIssues = (response?.validationErrors || []).map(error => ({
+            // Show "12/08" rather than the full date, the month is the open one anyway
+            location: error.date ? error.date.slice(0, 5) : '',
+            message: error.field && !error.message.toLowerCase().includes(fieldLabels[error.field])
+                ? `${fieldLabels[error.field]}: ${error.message}`
+                : error.message
+        }));
+
+        return [...(response?.issues || []), ...validationIssues];
+    }
+
+    /**
+     * Render the per-date fill report as an expandable list, opened when any date needs attention
+     * @param {object} report - Fill report (see FillReport in the content script)
+     */
+    renderReport(report) {
+        const { summary } = report;
+        const actionLabels = {
+            fill: 'Filled',
+            skip: 'Skipped',
+            complete: 'Complete',
+            absence: 'Absence',
+            outOfScope: 'Out of scope',
+            error: 'Error'
+        };
+        const fieldLabels = {
+            checkin: 'in',
+            checkout: 'out',
+            missingEvent: 'absence'
+        };
+        const verificationLabels = {
+            verified: '✔ saved',
+            mismatch: '⚠️ saved differently',
+            missing: '⚠️ not saved'
+        };
+
+        this.reportSummary.textContent =
+            `Report: ${summary.fill} filled · ${summary.absence} absences · ${summary.complete} complete · ${summary.skip} skipped` +
+            (summary.outOfScope > 0 ? ` · ${summary.outOfScope} out of scope` : '') +
+            (summary.error > 0 ? ` · ${summary.error} errors` : '') +
+            (report.submitted ? '' : ' (not saved)');
+        this.reportBody.replaceChildren();
+
+        let needsAttention = summary.error > 0;
+        for (const entry of report.dates) {
+            const tr = document.createElement('tr');
+            tr.className = `action-${entry.action}`;
+
+            const dateCell = document.createElement('td');
+            dateCell.textContent = `${entry.date} ${entry.hebrewDay}`;
+
+            const actionCell = document.createElement('td');
+            actionCell.textContent = actionLabels[entry.action] || entry.action;
+
+            const detailCell = document.createElement('td');
+            if (entry.written.length > 0) {
+                const parts = entry.written.map(change => {
+                    const line = change.segment > 0 ? ` #${change.segment + 1}` : '';
+                    return `${fieldLabels[change.field] || change.field}${line}: ${change.from ? `${change.from} → ` : ''}${change.to}`;
+                });
+                if (entry.verification) {
+                    parts.push(verificationLabels[entry.verification.status] || entry.verification.status);
+                    if (entry.verification.status !== 'verified') {
+                        for (const field of entry.verification.fields.filter(result => result.status === 'mismatch')) {
+                            parts.push(`${fieldLabels[field.field] || field.field} stored as ${field.stored}`);
+                        }
+                        tr.classList.add('action-error');
+                        needsAttention = true;
+                    }
+                }
+                detailCell.textContent = parts.join(', ');
+            } else {
+                detailCell.textContent = entry.reason;
+            }
+
+            tr.append(dateCell, actionCell, detailCell);
+            this.reportBody.appendChild(tr);
+        }
+
+        this.reportPanel.open = needsAttention;
+        this.reportPanel.classList.remove('hidden');
+    }
+
+    hideReport() {
+        this.reportPanel.classList.add('hidden');
+        this.reportBody.replaceChildren();
+    }
+
+    validateScope(scope) {
+        if (scope.type === 'range') {
+            return Boolean(scope.from) && Boolean(scope.to) && scope.from <= scope.to;
+        }
+
+        if (scope.type === 'selected') {
+            return scope.dates.length > 0;
+        }
+
+        return true;
+    }
+
     validateTimeInput(timeData) {
+        if (timeData.scope && !this.validateScope(timeData.scope)) {
+            return false;
+        }
+
+        if (timeData.overwritePolicy?.type === 'overwriteMatching' && timeData.overwritePolicy.match.length === 0) {
+            return false;
+        }
+
+        // At least one day of the week must be worked
+        if (timeData.workWeek && Object.values(timeData.workWeek).every(type => type === 'off')) {
+            return false;
+        }
+
+        // Custom holiday hours must form a valid day
+        const customHolidays = Object.values(timeData.holidayPolicies || {}).filter(policy => policy.type === 'customHours');
+        if (customHolidays.some(({ checkin, checkout }) => !checkin || !checkout ||
+            this.timeToMinutes(checkout) <= this.timeToMinutes(checkin))) {
+            return false;
+        }
+
+        if (timeData.scheduleMode === 'weekly') {
+            return this.validateWeeklySchedule(timeData.weeklySchedule);
+        }
+
+        if (timeData.scheduleMode === 'import') {
+            return Boolean(timeData.importFile?.content);
+        }
+
+        if (timeData.scheduleMode === 'ics') {
+            return Boolean(timeData.icsFile?.content) &&
+                timeData.icsPaddingBefore >= 0 && timeData.icsPaddingAfter >= 0;
+        }
+
+        if (timeData.scheduleMode === 'target') {
+            return timeData.targetHours > 0 &&
+                timeData.maxDayHours > 0 &&
+                timeData.minDayHours <= timeData.maxDayHours &&
+                Boolean(timeData.startTime);
+        }
+
+        if (timeData.scheduleMode === 'git') {
+            // Short days fall back to the constant times, so those must be valid too
+            return Boolean(timeData.gitLogFile?.content) &&
+                this.validateTimeInput({ startTime: timeData.startTime, endTime: timeData.endTime });
+        }
+
         const { startTime, endTime } = timeData;
         
         // Check if times are provided
@@ -165,11 +1239,40 @@ class MeckanoPopup {
         return true;
     }
 
+    validateWeeklySchedule(schedule) {
+        const workingDays = Object.values(schedule).filter(Boolean);
+
+        // At least one working day is required
+        if (workingDays.length === 0) {
+            return false;
+        }
+
+        return workingDays.every(({ checkin, checkout }) =>
+            this.validateTimeInput({ startTime: checkin, endTime: checkout })
+        );
+    }
+
     timeToMinutes(timeString) {
         const [hours, minutes] = timeString.split(':').map(Number);
         return hours * 60 + minutes;
     }
 
+    /**
+     * Show a list of data problems (e.g. malformed import rows) under the status line
+     * @param {object[]} issues - Array of {location, message}; empty hides the list
+     */
+    showIssues(issues) {
+        this.issuesList.replaceChildren();
+
+        for (const { location, message } of issues) {
+            const li = document.createElement('li');
+            li.textContent = location ? `${location}: ${message}` : message;
+            this.issuesList.appendChild(li);
+        }
+
+        this.issuesList.classList.toggle('hidden', issues.length === 0);
+    }
+
     showStatus(message, type = 'info') {
         this.statusText.textContent = message;
         this.statusDiv.className = `status ${type}`;
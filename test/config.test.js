@@ -0,0 +1,112 @@
+// Tests for the layered configuration of Meckano Time Tracker Helper
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config, mergeOverride } from '../src/content/config.js';
+import { validateConfigValue } from '../src/content/configSchema.js';
+
+describe('validateConfigValue', () => {
+    it('accepts a valid value', () => {
+        assert.deepEqual(validateConfigValue('dialogManager', { waitForDialogTimeoutMs: 45000 }), []);
+    });
+
+    it('rejects keys without a schema', () => {
+        assert.deepEqual(validateConfigValue('NOT_A_KEY', 1), ['NOT_A_KEY: is not a setting that can be overridden']);
+    });
+
+    it('names the offending path', () => {
+        assert.deepEqual(validateConfigValue('WORK_WEEK', { 'ו': 'sometimes' }), [
+            'WORK_WEEK.ו: must be one of "work", "halfDay", "off", got "sometimes"'
+        ]);
+    });
+
+    it('checks ranges, patterns and unknown properties', () => {
+        assert.deepEqual(validateConfigValue('dialogManager', { waitForDialogTimeoutMs: 500 }), [
+            'dialogManager.waitForDialogTimeoutMs: must be between 1000 and 300000, got 500'
+        ]);
+        assert.deepEqual(validateConfigValue('HOLIDAY_CALENDAR', { policies: { holiday: { type: 'customHours', checkin: '25:00' } } }), [
+            'HOLIDAY_CALENDAR.policies.holiday.checkin: must be HH:MM, got "25:00"'
+        ]);
+        assert.deepEqual(validateConfigValue('formManager', { delay: 1 }), ['formManager.delay: is not a known setting']);
+    });
+
+    it('reports missing required properties', () => {
+        assert.deepEqual(validateConfigValue('SELECTORS', { saveButton: { within: 'form' } }), ['SELECTORS.saveButton.selectors: is required']);
+    });
+
+    it('takes required properties from the bundled value', () => {
+        const bundled = { saveButton: { selectors: ['button.save'] } };
+        assert.deepEqual(validateConfigValue('SELECTORS', { saveButton: { optional: true } }, bundled), []);
+    });
+
+    it('does not check bundled entries the override leaves alone', () => {
+        const bundled = { storageKey: 'workingDayCalendar', keepDays: 62 };
+        assert.deepEqual(validateConfigValue('workingDayCalendar', { keepDays: 90 }, bundled), []);
+        assert.deepEqual(validateConfigValue('workingDayCalendar', { storageKey: 'other' }, bundled), [
+            'workingDayCalendar.storageKey: is not a known setting'
+        ]);
+    });
+});
+
+describe('mergeOverride', () => {
+    it('merges plain objects at every depth', () => {
+        const bundled = { enabled: true, policies: { holiday: { type: 'skip' }, cholHamoed: { type: 'work' } } };
+        assert.deepEqual(mergeOverride(bundled, { policies: { holiday: { type: 'halfDay' } } }), {
+            enabled: true,
+            policies: { holiday: { type: 'halfDay' }, cholHamoed: { type: 'work' } }
+        });
+    });
+
+    it('replaces arrays and scalars', () => {
+        assert.deepEqual(mergeOverride({ skipKeywords: ['a', 'b'] }, { skipKeywords: ['c'] }), { skipKeywords: ['c'] });
+        assert.equal(mergeOverride(3, 7), 7);
+    });
+});
+
+describe('Config overrides', () => {
+    afterEach(() => config.setOverrides({}));
+
+    it('reports the layer of a value', () => {
+        config.setOverrides({ DEBUG_MODE: false });
+        assert.deepEqual(config.get('DEBUG_MODE', null, { withLayer: true }), { value: false, layer: 'user' });
+        assert.equal(config.get('LOG_PREFIX', null, { withLayer: true }).layer, 'bundled');
+        assert.deepEqual(config.get('MISSING_KEY', 'x', { withLayer: true }), { value: 'x', layer: 'default' });
+    });
+
+    it('keeps sibling entries of a nested override', () => {
+        config.setOverrides({ HOLIDAY_CALENDAR: { policies: { holiday: { type: 'work' } } } });
+        const calendar = config.get('HOLIDAY_CALENDAR');
+        assert.equal(calendar.enabled, true);
+        assert.deepEqual(calendar.policies.holiday, { type: 'work' });
+        assert.deepEqual(calendar.policies.independenceDay, { type: 'skip' });
+    });
+
+    it('applies overrides of objects that also hold a storage key', () => {
+        const errors = config.setOverrides({
+            workingDayCalendar: { keepDays: 90 },
+            completionStatus: { refreshDelayMs: 2500 }
+        });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(config.get('workingDayCalendar'), { storageKey: 'workingDayCalendar', keepDays: 90 });
+        assert.deepEqual(config.get('completionStatus'), { storageKey: 'completionStatus', refreshDelayMs: 2500 });
+    });
+
+    it('drops invalid overrides and keeps the bundled value', () => {
+        const bundled = config.get('dialogManager');
+        const errors = config.setOverrides({ dialogManager: { waitForDialogTimeoutMs: -1 }, DEBUG_MODE: 'yes' });
+        assert.equal(errors.length, 2);
+        assert.deepEqual(config.getErrors(), errors);
+        assert.deepEqual(config.get('dialogManager'), bundled);
+    });
+
+    it('notifies listeners of changed keys only', () => {
+        const calls = [];
+        const stopDebug = config.onChange('DEBUG_MODE', (value, layer) => calls.push([value, layer]));
+        const stopPrefix = config.onChange('LOG_PREFIX', () => calls.push('prefix'));
+
+        config.setOverrides({ DEBUG_MODE: false });
+        stopDebug();
+        stopPrefix();
+
+        assert.deepEqual(calls, [[false, 'user']]);
+    });
+});
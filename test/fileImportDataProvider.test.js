@@ -0,0 +1,74 @@
+// Tests for the file import data provider of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FileImportDataProvider } from '../src/content/fileImportDataProvider.js';
+
+describe('FileImportDataProvider CSV', () => {
+    it('reads rows after a header, skipping blank lines and comments', () => {
+        const provider = new FileImportDataProvider([
+            'date,checkin,checkout',
+            '# exported from the tracker',
+            '01/09/2025,9:00,17:30',
+            '',
+            '"2/9/2025", "08:15" ,"16:45"'
+        ].join('\r\n'), 'hours.csv');
+
+        assert.deepEqual(provider.issues, []);
+        assert.deepEqual(provider.getTimeData('01/09/2025'), { checkin: '09:00', checkout: '17:30' });
+        assert.deepEqual(provider.getTimeData('02/09/2025'), { checkin: '08:15', checkout: '16:45' });
+        assert.equal(provider.getTimeData('03/09/2025'), null);
+    });
+
+    it('reports malformed rows with their line number', () => {
+        const provider = new FileImportDataProvider([
+            '2025-09-01,09:00,17:00',
+            '02/09/2025,09:00',
+            '03/09/2025,18:00,09:00',
+            '04/09/2025,09:00,17:00',
+            '4/9/2025,10:00,18:00'
+        ].join('\n'), 'hours.csv');
+
+        assert.deepEqual(provider.issues, [
+            { location: 'Line 1', message: 'Invalid date "2025-09-01" (expected DD/MM/YYYY)' },
+            { location: 'Line 2', message: 'Invalid times "09:00" - "" for 02/09/2025 (expected HH:MM)' },
+            { location: 'Line 3', message: 'Check-out 09:00 is not after check-in 18:00 for 03/09/2025' },
+            { location: 'Line 5', message: 'Duplicate date 04/09/2025' }
+        ]);
+        assert.deepEqual([...provider.entries.keys()], ['04/09/2025']);
+    });
+});
+
+describe('FileImportDataProvider JSON', () => {
+    it('reads an array of entries', () => {
+        const provider = new FileImportDataProvider(JSON.stringify([
+            { date: '01/09/2025', checkin: '09:00', checkout: '18:00' },
+            null
+        ]), 'hours.json');
+
+        assert.deepEqual(provider.getTimeData('01/09/2025'), { checkin: '09:00', checkout: '18:00' });
+        assert.deepEqual(provider.issues, [{ location: 'Entry 2', message: 'Invalid date "" (expected DD/MM/YYYY)' }]);
+    });
+
+    it('detects JSON content without a file name', () => {
+        const provider = new FileImportDataProvider('[{"date":"01/09/2025","checkin":"09:00","checkout":"18:00"}]');
+        assert.equal(provider.entries.size, 1);
+    });
+
+    it('reports invalid JSON and non-array content', () => {
+        assert.match(new FileImportDataProvider('[{', 'hours.json').issues[0].message, /^Invalid JSON: /);
+        assert.deepEqual(new FileImportDataProvider('{}', 'hours.json').issues, [
+            { location: 'File', message: 'JSON must be an array of {date, checkin, checkout} objects' }
+        ]);
+    });
+});
+
+describe('FileImportDataProvider.validate', () => {
+    it('adds imported dates outside the open month to the parse issues', () => {
+        const provider = new FileImportDataProvider('01/09/2025,09:00,17:00\n01/10/2025,09:00,17:00\nbad,09:00,17:00', 'hours.csv');
+
+        assert.deepEqual(provider.validate(['01/09/2025', '30/09/2025']), [
+            { location: 'Line 3', message: 'Invalid date "bad" (expected DD/MM/YYYY)' },
+            { location: '01/10/2025', message: '01/10/2025 is outside the open month' }
+        ]);
+    });
+});
@@ -0,0 +1,105 @@
+// Tests for the fill journal and undo of Meckano Time Tracker Helper
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FillJournal } from '../src/content/fillJournal.js';
+import { FormManager } from '../src/content/formManager.js';
+
+// In-memory chrome.storage.local and the page location the journal records
+const storage = {};
+globalThis.window = { location: { href: 'https://app.meckano.co.il/#report' } };
+globalThis.chrome = {
+    storage: {
+        local: {
+            get: async key => (key in storage ? { [key]: storage[key] } : {}),
+            set: async items => Object.assign(storage, items),
+            remove: async key => delete storage[key]
+        }
+    }
+};
+
+describe('FillJournal', () => {
+    beforeEach(() => FillJournal.clearLast());
+
+    it('records changes with the page they were made on', () => {
+        const journal = new FillJournal();
+        assert.equal(journal.isEmpty(), true);
+
+        journal.record('01/09/2025', 'checkin', '', '09:00');
+        journal.record('01/09/2025', 'checkout', '17:00', '18:00', 1);
+
+        assert.equal(journal.isEmpty(), false);
+        assert.equal(journal.session.url, 'https://app.meckano.co.il/#report');
+        assert.deepEqual(journal.session.entries, [
+            { date: '01/09/2025', field: 'checkin', previousValue: '', newValue: '09:00', segment: 0 },
+            { date: '01/09/2025', field: 'checkout', previousValue: '17:00', newValue: '18:00', segment: 1 }
+        ]);
+    });
+
+    it('saves, loads and clears the last session', async () => {
+        const journal = new FillJournal();
+        journal.record('01/09/2025', 'checkin', '', '09:00');
+        await journal.save();
+
+        assert.deepEqual(await FillJournal.loadLast(), journal.session);
+
+        await FillJournal.clearLast();
+        assert.equal(await FillJournal.loadLast(), null);
+    });
+
+    it('does not replace the last session with an empty one', async () => {
+        const journal = new FillJournal();
+        journal.record('01/09/2025', 'checkin', '', '09:00');
+        await journal.save();
+
+        await new FillJournal().save();
+
+        assert.deepEqual(await FillJournal.loadLast(), journal.session);
+    });
+});
+
+describe('FormManager.restoreJournalEntries', () => {
+    /**
+     * Create a form manager over fake inputs keyed by "date|field|segment"
+     * @param {object} values - Current input values by key
+     * @returns {object} Form manager and its inputs
+     */
+    function createFormManager(values) {
+        const inputs = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, { value }]));
+        const formManager = new FormManager();
+        formManager.getDateRows = () => ({ success: true, rows: [] });
+        formManager.indexRowsByDate = () => new Map();
+        formManager.findJournalInput = (rowsByDate, entry) => inputs[`${entry.date}|${entry.field}|${entry.segment || 0}`] || null;
+        formManager.setInputValue = (input, value) => {
+            input.value = value;
+        };
+        return { formManager, inputs };
+    }
+
+    it('restores inputs that still hold the written value', () => {
+        const { formManager, inputs } = createFormManager({ '01/09/2025|checkin|0': '09:00', '01/09/2025|checkout|1': '18:00' });
+
+        const result = formManager.restoreJournalEntries([
+            { date: '01/09/2025', field: 'checkin', previousValue: '', newValue: '09:00', segment: 0 },
+            { date: '01/09/2025', field: 'checkout', previousValue: '17:00', newValue: '18:00', segment: 1 }
+        ]);
+
+        assert.deepEqual(result, { success: true, restored: 2, conflicts: [] });
+        assert.equal(inputs['01/09/2025|checkin|0'].value, '');
+        assert.equal(inputs['01/09/2025|checkout|1'].value, '17:00');
+    });
+
+    it('leaves values changed after the fill and reports missing inputs', () => {
+        const { formManager, inputs } = createFormManager({ '01/09/2025|checkin|0': '08:30' });
+        const changed = { date: '01/09/2025', field: 'checkin', previousValue: '', newValue: '09:00', segment: 0 };
+        const missing = { date: '02/09/2025', field: 'checkin', previousValue: '', newValue: '09:00', segment: 0 };
+
+        const result = formManager.restoreJournalEntries([changed, missing]);
+
+        assert.equal(result.restored, 0);
+        assert.deepEqual(result.conflicts, [
+            { ...changed, currentValue: '08:30', reason: 'Value was changed after the fill' },
+            { ...missing, reason: 'Row or input not found in dialog' }
+        ]);
+        assert.equal(inputs['01/09/2025|checkin|0'].value, '08:30');
+    });
+});
@@ -0,0 +1,70 @@
+// Tests for the fill report of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FillReport, FILL_REPORT_VERSION } from '../src/content/fillReport.js';
+
+const plan = (date, action, reason = '') => ({ date, hebrewDay: 'ב', action, reason });
+
+describe('FillReport', () => {
+    it('records the outcome of each date', () => {
+        const report = new FillReport();
+        const written = [{ segment: 0, field: 'checkin', from: '', to: '09:00' }];
+        report.add(plan('01/09/2025', 'fill'), { written });
+        report.add(plan('05/09/2025', 'skip', 'Weekend'));
+
+        assert.deepEqual(report.dates, [
+            { date: '01/09/2025', hebrewDay: 'ב', action: 'fill', reason: '', written, error: null, verification: null },
+            { date: '05/09/2025', hebrewDay: 'ב', action: 'skip', reason: 'Weekend', written: [], error: null, verification: null }
+        ]);
+    });
+
+    it('turns a failed write into an error with its message as reason', () => {
+        const report = new FillReport();
+        report.add(plan('02/09/2025', 'fill'), { error: 'Input not found' });
+
+        assert.equal(report.dates[0].action, 'error');
+        assert.equal(report.dates[0].reason, 'Input not found');
+    });
+
+    it('counts dates per action', () => {
+        const report = new FillReport();
+        for (const action of ['fill', 'fill', 'absence', 'outOfScope', 'complete']) {
+            report.add(plan('01/09/2025', action));
+        }
+        report.add(plan('03/09/2025', 'fill'), { error: 'Failed' });
+
+        assert.deepEqual(report.getSummary(), { fill: 2, absence: 1, skip: 0, outOfScope: 1, complete: 1, error: 1 });
+    });
+
+    it('attaches the verification of matching dates', () => {
+        const report = new FillReport();
+        report.add(plan('01/09/2025', 'fill'));
+        report.add(plan('02/09/2025', 'skip'));
+        report.applyVerification({
+            success: true,
+            dates: [{ date: '01/09/2025', status: 'mismatch', fields: [{ field: 'checkout' }], extra: true }]
+        });
+
+        assert.deepEqual(report.dates[0].verification, { status: 'mismatch', fields: [{ field: 'checkout' }] });
+        assert.equal(report.dates[1].verification, null);
+    });
+
+    it('ignores a failed verification', () => {
+        const report = new FillReport();
+        report.add(plan('01/09/2025', 'fill'));
+        report.applyVerification({ success: false, error: 'Dialog did not open' });
+
+        assert.equal(report.dates[0].verification, null);
+    });
+
+    it('serializes with the schema version and extra fields', () => {
+        const report = new FillReport();
+        report.add(plan('01/09/2025', 'fill'));
+        const result = report.toResult({ submitted: true });
+
+        assert.equal(result.version, FILL_REPORT_VERSION);
+        assert.equal(result.submitted, true);
+        assert.equal(result.summary.fill, 1);
+        assert.equal(result.dates, report.dates);
+    });
+});
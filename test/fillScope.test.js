@@ -0,0 +1,59 @@
+// Tests for the fill scope filters of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScopeFilter, findScopeProblem } from '../src/content/fillScope.js';
+
+// Wednesday 10/09/2025
+const TODAY = new Date(2025, 8, 10, 15, 30);
+
+describe('createScopeFilter', () => {
+    it('keeps every date for the whole month', () => {
+        const isInScope = createScopeFilter({ type: 'all' }, TODAY);
+        assert.equal(isInScope('01/09/2025'), true);
+        assert.equal(isInScope('30/09/2025'), true);
+    });
+
+    it('keeps dates through today, including today', () => {
+        const isInScope = createScopeFilter({ type: 'throughToday' }, TODAY);
+        assert.equal(isInScope('10/09/2025'), true);
+        assert.equal(isInScope('11/09/2025'), false);
+        assert.equal(isInScope('not a date'), false);
+    });
+
+    it('keeps Sunday to Saturday of the current week', () => {
+        const isInScope = createScopeFilter({ type: 'thisWeek' }, TODAY);
+        assert.equal(isInScope('06/09/2025'), false);
+        assert.equal(isInScope('07/09/2025'), true);
+        assert.equal(isInScope('13/09/2025'), true);
+        assert.equal(isInScope('14/09/2025'), false);
+    });
+
+    it('keeps an inclusive date range', () => {
+        const isInScope = createScopeFilter({ type: 'range', from: '2025-09-08', to: '2025-09-10' }, TODAY);
+        assert.deepEqual(['07/09/2025', '08/09/2025', '10/09/2025', '11/09/2025'].map(isInScope), [false, true, true, false]);
+    });
+
+    it('keeps only the selected dates', () => {
+        const isInScope = createScopeFilter({ type: 'selected', dates: ['2025-09-02', '2025-09-04'] }, TODAY);
+        assert.deepEqual(['02/09/2025', '03/09/2025', '04/09/2025'].map(isInScope), [true, false, true]);
+    });
+});
+
+describe('findScopeProblem', () => {
+    it('accepts usable scopes', () => {
+        assert.equal(findScopeProblem({ type: 'all' }), null);
+        assert.equal(findScopeProblem({ type: 'range', from: '2025-09-10', to: '2025-09-10' }), null);
+        assert.equal(findScopeProblem({ type: 'selected', dates: ['2025-09-02'] }), null);
+        assert.equal(findScopeProblem(undefined), null);
+    });
+
+    it('rejects a range that ends before it starts', () => {
+        assert.equal(findScopeProblem({ type: 'range', from: '2025-09-10', to: '2025-09-01' }),
+            'The custom date range ends (2025-09-01) before it starts (2025-09-10)');
+    });
+
+    it('rejects incomplete ranges and empty selections', () => {
+        assert.equal(findScopeProblem({ type: 'range', from: '2025-09-10', to: '' }), 'The custom date range needs a start and an end date');
+        assert.equal(findScopeProblem({ type: 'selected', dates: [] }), 'No dates are selected');
+    });
+});
@@ -0,0 +1,34 @@
+// Tests for the form planning rules of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FormManager } from '../src/content/formManager.js';
+
+const formManager = new FormManager();
+
+describe('FormManager.shouldWriteValue', () => {
+    it('writes empty inputs under every policy', () => {
+        assert.equal(formManager.shouldWriteValue('', '09:00'), true);
+        assert.equal(formManager.shouldWriteValue('  ', '09:00', { type: 'overwriteMatching', match: [] }), true);
+    });
+
+    it('keeps filled inputs with onlyEmpty and replaces them with overwriteAll', () => {
+        assert.equal(formManager.shouldWriteValue('08:00', '09:00'), false);
+        assert.equal(formManager.shouldWriteValue('08:00', '09:00', { type: 'overwriteAll' }), true);
+    });
+
+    it('skips inputs that already hold the value', () => {
+        assert.equal(formManager.shouldWriteValue('09:00', '09:00', { type: 'overwriteAll' }), false);
+    });
+
+    it('replaces only matching values with overwriteMatching', () => {
+        const policy = { type: 'overwriteMatching', match: ['08:00', '00:00'] };
+        assert.equal(formManager.shouldWriteValue('08:00', '09:00', policy), true);
+        assert.equal(formManager.shouldWriteValue('08:30', '09:00', policy), false);
+    });
+
+    it('matches times regardless of a leading zero', () => {
+        assert.equal(formManager.shouldWriteValue('08:00', '09:00', { type: 'overwriteMatching', match: ['8:00'] }), true);
+        assert.equal(formManager.shouldWriteValue('8:00', '09:00', { type: 'overwriteMatching', match: [' 08:00 '] }), true);
+        assert.equal(formManager.shouldWriteValue('n/a', '09:00', { type: 'overwriteMatching', match: ['x'] }), false);
+    });
+});
@@ -0,0 +1,69 @@
+// Tests for the git history data provider of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHistoryDataProvider } from '../src/content/gitHistoryDataProvider.js';
+
+// Timestamps without an offset are local time, so the tests do not depend on the machine's time zone
+const LOG = [
+    '2025-08-25T17:40:00',
+    '2025-08-25T09:14:03',
+    '2025-08-25T12:00:00',
+    '2025-08-26T10:00:00',
+    '2025-08-26T10:20:00'
+].join('\n');
+
+describe('GitHistoryDataProvider', () => {
+    it('spans the first to the last commit of each day', () => {
+        const provider = new GitHistoryDataProvider(LOG);
+        assert.deepEqual(provider.getTimeData('25/08/2025'), { checkin: '09:14', checkout: '17:40' });
+        assert.equal(provider.days.get('25/08/2025').commits, 3);
+    });
+
+    it('adds the lead-in and trail-out within the day', () => {
+        const provider = new GitHistoryDataProvider('2025-08-25T00:10:00\n2025-08-25T23:50:00', {
+            leadInMinutes: 30,
+            trailOutMinutes: 30
+        });
+        assert.deepEqual(provider.getTimeData('25/08/2025'), { checkin: '00:00', checkout: '23:59' });
+    });
+
+    it('falls back to the constant times for short days', () => {
+        const provider = new GitHistoryDataProvider(LOG, {
+            minimumDayMinutes: 60,
+            fallbackCheckin: '09:00',
+            fallbackCheckout: '18:00'
+        });
+        assert.deepEqual(provider.getTimeData('26/08/2025'), { checkin: '09:00', checkout: '18:00' });
+    });
+
+    it('returns null for days without commits or measurable activity', () => {
+        const provider = new GitHistoryDataProvider('2025-08-25T09:00:00');
+        assert.equal(provider.getTimeData('25/08/2025'), null);
+        assert.equal(provider.getTimeData('27/08/2025'), null);
+    });
+
+    it('reads a JSON export of strings or objects', () => {
+        const provider = new GitHistoryDataProvider(JSON.stringify([
+            '2025-08-25T09:00:00',
+            { authorDate: '2025-08-25T11:00:00' },
+            { date: '2025-08-25T16:30:00' }
+        ]));
+        assert.deepEqual(provider.getTimeData('25/08/2025'), { checkin: '09:00', checkout: '16:30' });
+    });
+
+    it('reports malformed timestamps and JSON', () => {
+        const provider = new GitHistoryDataProvider('2025-08-25T09:00:00\nnot a date');
+        assert.deepEqual(provider.validate(['25/08/2025']), [
+            { location: 'Line 2', message: 'Invalid timestamp "not a date" (expected git log --format=%aI output)' }
+        ]);
+        assert.equal(new GitHistoryDataProvider('[oops').validate([])[0].location, 'File');
+    });
+
+    it('reports a history without commits in the open month', () => {
+        const provider = new GitHistoryDataProvider(LOG);
+        assert.deepEqual(provider.validate(['01/09/2025', '02/09/2025']), [
+            { location: 'History', message: 'No commits found in the open month' }
+        ]);
+        assert.deepEqual(provider.validate(['25/08/2025']), []);
+    });
+});
@@ -0,0 +1,72 @@
+// Tests for the Israeli holiday calendar of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getIsraeliHolidays, getHolidayOn } from '../src/content/hebrewCalendar.js';
+
+/**
+ * Get the dates of a holiday in a year
+ * @param {number} year - Gregorian year
+ * @param {string} name - Holiday name
+ * @returns {string[]} Dates in DD/MM/YYYY format
+ */
+function datesOf(year, name) {
+    return getIsraeliHolidays(year).filter(holiday => holiday.name === name).map(holiday => holiday.date);
+}
+
+describe('getIsraeliHolidays', () => {
+    // Published dates of the Israeli observance
+    const expected = {
+        2023: { pesach: '06/04/2023', shavuot: '26/05/2023', roshHashana: ['16/09/2023', '17/09/2023'], yomKippur: '25/09/2023', sukkot: '30/09/2023' },
+        2024: { pesach: '23/04/2024', shavuot: '12/06/2024', roshHashana: ['03/10/2024', '04/10/2024'], yomKippur: '12/10/2024', sukkot: '17/10/2024' },
+        2025: { pesach: '13/04/2025', shavuot: '02/06/2025', roshHashana: ['23/09/2025', '24/09/2025'], yomKippur: '02/10/2025', sukkot: '07/10/2025' },
+        2026: { pesach: '02/04/2026', shavuot: '22/05/2026', roshHashana: ['12/09/2026', '13/09/2026'], yomKippur: '21/09/2026', sukkot: '26/09/2026' },
+        2027: { pesach: '22/04/2027', shavuot: '11/06/2027', roshHashana: ['02/10/2027', '03/10/2027'], yomKippur: '11/10/2027', sukkot: '16/10/2027' }
+    };
+
+    for (const [year, days] of Object.entries(expected)) {
+        it(`computes the holidays of ${year}`, () => {
+            assert.deepEqual(datesOf(Number(year), 'Pesach'), [days.pesach]);
+            assert.deepEqual(datesOf(Number(year), 'Shavuot'), [days.shavuot]);
+            assert.deepEqual(datesOf(Number(year), 'Rosh Hashana'), days.roshHashana);
+            assert.deepEqual(datesOf(Number(year), 'Yom Kippur'), [days.yomKippur]);
+            assert.deepEqual(datesOf(Number(year), 'Sukkot'), [days.sukkot]);
+        });
+    }
+
+    it('keeps Yom HaAtzmaut on 5 Iyar mid-week (2023, 2026)', () => {
+        assert.deepEqual(datesOf(2023, 'Yom HaAtzmaut'), ['26/04/2023']);
+        assert.deepEqual(datesOf(2026, 'Yom HaAtzmaut'), ['22/04/2026']);
+    });
+
+    it('brings Yom HaAtzmaut forward from Friday (2022) and Saturday (2025) to Thursday', () => {
+        assert.deepEqual(datesOf(2022, 'Yom HaAtzmaut'), ['05/05/2022']);
+        assert.deepEqual(datesOf(2025, 'Yom HaAtzmaut'), ['01/05/2025']);
+        assert.deepEqual(datesOf(2025, 'Yom HaZikaron'), ['30/04/2025']);
+    });
+
+    it('postpones Yom HaAtzmaut from Monday to Tuesday (2024, 2028)', () => {
+        assert.deepEqual(datesOf(2024, 'Yom HaAtzmaut'), ['14/05/2024']);
+        assert.deepEqual(datesOf(2024, 'Yom HaZikaron'), ['13/05/2024']);
+        assert.deepEqual(datesOf(2028, 'Yom HaAtzmaut'), ['02/05/2028']);
+    });
+
+    it('lists the days of a year in date order', () => {
+        const toKey = date => date.split('/').reverse().join('');
+        const dates = getIsraeliHolidays(2025).map(holiday => toKey(holiday.date));
+        assert.deepEqual(dates, [...dates].sort());
+        assert.ok(dates.every(date => date.startsWith('2025')));
+    });
+});
+
+describe('getHolidayOn', () => {
+    it('finds the holiday of a date with its category', () => {
+        assert.deepEqual(getHolidayOn('02/10/2025'), { date: '02/10/2025', name: 'Yom Kippur', category: 'holiday' });
+        assert.equal(getHolidayOn('08/10/2025').category, 'cholHamoed');
+        assert.equal(getHolidayOn('01/10/2025').category, 'holidayEve');
+    });
+
+    it('returns null for ordinary and invalid dates', () => {
+        assert.equal(getHolidayOn('05/10/2025'), null);
+        assert.equal(getHolidayOn('not a date'), null);
+    });
+});
@@ -0,0 +1,99 @@
+// Tests for the time humanizer of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Humanizer, HUMANIZE_STRATEGIES, createSeededRandom } from '../src/content/humanizer.js';
+import { timeToMinutes } from '../src/content/utils.js';
+
+const CHECKIN = timeToMinutes('09:00');
+const CHECKOUT = timeToMinutes('18:00');
+
+/**
+ * Humanize the same day on many dates
+ * @param {object} options - Humanizer options
+ * @param {string} checkin - Check-in time (HH:MM)
+ * @param {string} checkout - Check-out time (HH:MM)
+ * @returns {number[][]} [checkin, checkout] in minutes per date
+ */
+function sample(options, checkin = '09:00', checkout = '18:00') {
+    const humanizer = new Humanizer({ seed: 'test', ...options });
+    return Array.from({ length: 200 }, (_, index) => {
+        const times = humanizer.humanize(checkin, checkout, `day-${index}`);
+        return [timeToMinutes(times.checkin), timeToMinutes(times.checkout)];
+    });
+}
+
+describe('Humanizer bounds', () => {
+    for (const strategy of Object.keys(HUMANIZE_STRATEGIES)) {
+        it(`keeps ${strategy} within the maximum offset`, () => {
+            // roundTo5 may round up to 2 minutes beyond the offset
+            const slack = strategy === 'roundTo5' ? 2 : 0;
+            for (const [checkin, checkout] of sample({ strategy, maxOffsetMinutes: 15 })) {
+                assert.ok(Math.abs(checkin - CHECKIN) <= 15 + slack, `${strategy} check-in ${checkin}`);
+                assert.ok(Math.abs(checkout - CHECKOUT) <= 15 + slack, `${strategy} check-out ${checkout}`);
+                assert.ok(Math.abs((checkout - checkin) - (CHECKOUT - CHECKIN)) <= 15 + 2 * slack, `${strategy} duration`);
+            }
+        });
+    }
+
+    it('keeps the exact duration with shiftWindow', () => {
+        for (const [checkin, checkout] of sample({ strategy: 'shiftWindow', maxOffsetMinutes: 30 })) {
+            assert.equal(checkout - checkin, CHECKOUT - CHECKIN);
+        }
+    });
+
+    it('rounds to 5 minutes with roundTo5', () => {
+        for (const times of sample({ strategy: 'roundTo5' })) {
+            assert.ok(times.every(minutes => minutes % 5 === 0));
+        }
+    });
+
+    it('stays inside the day and never lets check-out reach check-in', () => {
+        for (const [checkin, checkout] of sample({ maxOffsetMinutes: 60 }, '00:05', '00:20')) {
+            assert.ok(checkin >= 0 && checkout <= 23 * 60 + 59);
+            assert.ok(checkout > checkin);
+        }
+        for (const [checkin, checkout] of sample({ strategy: 'shiftWindow', maxOffsetMinutes: 60 }, '23:00', '23:50')) {
+            assert.ok(checkout <= 23 * 60 + 59);
+            assert.equal(checkout - checkin, 50);
+        }
+    });
+
+    it('leaves the times unchanged with a zero offset', () => {
+        const humanizer = new Humanizer({ maxOffsetMinutes: 0 });
+        assert.deepEqual(humanizer.humanize('09:00', '18:00', '01/09/2025'), { checkin: '09:00', checkout: '18:00' });
+    });
+});
+
+describe('Humanizer determinism', () => {
+    it('repeats a seeded day regardless of the order of dates', () => {
+        const first = new Humanizer({ seed: 42 });
+        const second = new Humanizer({ seed: 42 });
+        const day = first.humanize('09:00', '18:00', '02/09/2025');
+
+        second.humanize('09:00', '18:00', '01/09/2025');
+        assert.deepEqual(second.humanize('09:00', '18:00', '02/09/2025'), day);
+    });
+
+    it('varies between dates and seeds', () => {
+        const outputs = new Set(sample({ maxOffsetMinutes: 20 }).map(times => times.join()));
+        assert.ok(outputs.size > 50);
+
+        const dates = Array.from({ length: 20 }, (_, index) => `${String(index + 1).padStart(2, '0')}/09/2025`);
+        const month = seed => dates.map(date => new Humanizer({ seed }).humanize('09:00', '18:00', date));
+        assert.notDeepEqual(month('a'), month('b'));
+    });
+
+    it('creates the same random sequence from the same seed', () => {
+        const first = createSeededRandom('seed');
+        const second = createSeededRandom('seed');
+        const values = Array.from({ length: 10 }, () => first());
+        assert.deepEqual(Array.from({ length: 10 }, () => second()), values);
+        assert.ok(values.every(value => value >= 0 && value < 1));
+    });
+
+    it('falls back to the default strategy and offset for bad options', () => {
+        const humanizer = new Humanizer({ strategy: 'chaotic', maxOffsetMinutes: -5 });
+        assert.equal(humanizer.strategy, 'uniform');
+        assert.equal(humanizer.maxOffsetMinutes, 20);
+    });
+});
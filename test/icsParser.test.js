@@ -0,0 +1,96 @@
+// Tests for the iCalendar parser of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIcs, expandEvent, describeUnsupportedRules } from '../src/content/icsParser.js';
+
+/**
+ * Build a calendar with one event
+ * @param {string[]} lines - Event properties
+ * @returns {string} iCalendar text
+ */
+function calendar(lines) {
+    return ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+}
+
+/**
+ * Expand a single recurring event over a range and list the occurrence dates
+ * @param {string} rrule - RRULE value
+ * @param {string} dtStart - Floating DTSTART value
+ * @param {Date} rangeStart - Range start
+ * @param {Date} rangeEnd - Range end
+ * @returns {string[]} Occurrence dates as YYYY-MM-DD
+ */
+function occurrenceDates(rrule, dtStart, rangeStart, rangeEnd) {
+    const { events } = parseIcs(calendar([`DTSTART:${dtStart}`, 'DTEND:' + dtStart.replace(/T\d{2}/, 'T23'), `RRULE:${rrule}`]));
+    return expandEvent(events[0], rangeStart, rangeEnd).map(({ start }) =>
+        `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`);
+}
+
+const YEAR_2025 = [new Date(2025, 0, 1), new Date(2026, 0, 1)];
+
+describe('parseIcs', () => {
+    it('rejects text without a calendar', () => {
+        const { events, issues } = parseIcs('hello');
+        assert.equal(events.length, 0);
+        assert.match(issues[0].message, /Not an iCalendar file/);
+    });
+
+    it('parses all-day events with a default length of one day', () => {
+        const { events } = parseIcs(calendar(['DTSTART;VALUE=DATE:20250810', 'SUMMARY:Vacation']));
+        assert.equal(events[0].allDay, true);
+        assert.equal(events[0].end.getTime() - events[0].start.getTime(), 24 * 60 * 60 * 1000);
+    });
+
+    it('reports events without DTSTART', () => {
+        const { issues } = parseIcs(calendar(['SUMMARY:Broken']));
+        assert.match(issues[0].message, /without DTSTART/);
+    });
+});
+
+describe('expandEvent recurrence', () => {
+    it('expands weekly rules on the listed days', () => {
+        const dates = occurrenceDates('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4', '20250804T090000', ...YEAR_2025);
+        assert.deepEqual(dates, ['2025-08-04', '2025-08-06', '2025-08-11', '2025-08-13']);
+    });
+
+    it('skips months without the DTSTART day', () => {
+        const dates = occurrenceDates('FREQ=MONTHLY;COUNT=3', '20250131T090000', ...YEAR_2025);
+        assert.deepEqual(dates, ['2025-01-31', '2025-03-31', '2025-05-31']);
+    });
+
+    it('counts negative BYMONTHDAY from the month end', () => {
+        const dates = occurrenceDates('FREQ=MONTHLY;BYMONTHDAY=-1', '20250101T090000', new Date(2025, 0, 1), new Date(2025, 3, 1));
+        assert.deepEqual(dates, ['2025-01-31', '2025-02-28', '2025-03-31']);
+    });
+
+    it('supports ordinal BYDAY in monthly rules', () => {
+        const dates = occurrenceDates('FREQ=MONTHLY;BYDAY=2TU,-1FR', '20250901T090000', new Date(2025, 8, 1), new Date(2025, 10, 1));
+        assert.deepEqual(dates, ['2025-09-09', '2025-09-26', '2025-10-14', '2025-10-31']);
+    });
+
+    it('ends rules that produce no occurrences instead of looping', () => {
+        const dates = occurrenceDates('FREQ=WEEKLY;BYDAY=XX', '20250101T090000', ...YEAR_2025);
+        assert.deepEqual(dates, []);
+    });
+
+    it('flags invalid BYDAY codes as unsupported', () => {
+        const { events } = parseIcs(calendar(['DTSTART:20250101T090000', 'RRULE:FREQ=WEEKLY;BYDAY=XX']));
+        assert.equal(describeUnsupportedRules(events).length, 1);
+    });
+
+    it('stops at UNTIL and honours EXDATE', () => {
+        const { events } = parseIcs(calendar([
+            'DTSTART:20250804T090000',
+            'DTEND:20250804T100000',
+            'RRULE:FREQ=DAILY;UNTIL=20250807T235959',
+            'EXDATE:20250805T090000'
+        ]));
+        const days = expandEvent(events[0], ...YEAR_2025).map(({ start }) => start.getDate());
+        assert.deepEqual(days, [4, 6, 7]);
+    });
+
+    it('skips February 29 in non-leap years of yearly rules', () => {
+        const dates = occurrenceDates('FREQ=YEARLY', '20240229T090000', new Date(2024, 0, 1), new Date(2029, 0, 1));
+        assert.deepEqual(dates, ['2024-02-29', '2028-02-29']);
+    });
+});
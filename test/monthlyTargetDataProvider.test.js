@@ -0,0 +1,80 @@
+// Tests for the monthly target data provider of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MonthlyTargetDataProvider } from '../src/content/monthlyTargetDataProvider.js';
+import { applyDayPolicy } from '../src/content/workWeek.js';
+
+/**
+ * Build an open working day snapshot row
+ * @param {string} date - Date in DD/MM/YYYY format
+ * @param {object} fields - Fields overriding the defaults
+ * @returns {object} Snapshot row
+ */
+function openDay(date, fields = {}) {
+    return { date, isWorkingDay: true, isComplete: false, checkin: '', checkout: '', segments: [], dayPolicy: null, ...fields };
+}
+
+/**
+ * Sum the minutes FormManager would write for the planned days, applying each row's day policy
+ * @param {MonthlyTargetDataProvider} provider - Prepared provider
+ * @param {object[]} rows - Snapshot rows
+ * @returns {number} Written minutes
+ */
+function writtenMinutes(provider, rows) {
+    const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+    return rows.reduce((total, row) => {
+        let timeData = provider.getTimeData(row.date);
+        if (timeData && row.dayPolicy) {
+            timeData = applyDayPolicy(timeData, row.dayPolicy);
+        }
+        const segments = [timeData || []].flat();
+        return total + segments.reduce((sum, { checkin, checkout }) => sum + toMinutes(checkout) - toMinutes(checkin), 0);
+    }, 0);
+}
+
+describe('MonthlyTargetDataProvider', () => {
+    it('spreads the remaining hours and counts every reported line', () => {
+        const provider = new MonthlyTargetDataProvider(20, '09:00', 0, 12);
+        const rows = [
+            openDay('01/06/2025', {
+                isComplete: true,
+                checkin: '08:00',
+                checkout: '12:00',
+                segments: [{ checkin: '08:00', checkout: '12:00' }, { checkin: '13:00', checkout: '17:00' }]
+            }),
+            openDay('02/06/2025'),
+            openDay('03/06/2025')
+        ];
+        provider.prepare(rows);
+        assert.equal(provider.getSummary().existingMinutes, 8 * 60);
+        assert.equal(provider.getSummary().projectedMinutes, 20 * 60);
+        assert.deepEqual(provider.getTimeData('02/06/2025'), { checkin: '09:00', checkout: '15:00' });
+    });
+
+    it('matches the written hours when half days and custom hours apply', () => {
+        const provider = new MonthlyTargetDataProvider(20, '08:00', 0, 12);
+        const rows = [
+            openDay('01/06/2025'),
+            openDay('02/06/2025', { dayPolicy: { type: 'halfDay' } }),
+            openDay('03/06/2025', { dayPolicy: { type: 'customHours', checkin: '08:00', checkout: '10:00' } }),
+            openDay('04/06/2025')
+        ];
+        provider.prepare(rows);
+        const summary = provider.getSummary();
+        assert.equal(summary.projectedMinutes, 20 * 60);
+        assert.equal(writtenMinutes(provider, rows), summary.plannedMinutes);
+    });
+
+    it('only plans days in the fill scope that are not absent', () => {
+        const provider = new MonthlyTargetDataProvider(16, '09:00', 0, 12);
+        const rows = [openDay('01/06/2025'), openDay('02/06/2025'), openDay('03/06/2025')];
+        provider.prepare(rows, {
+            isInScope: date => date !== '03/06/2025',
+            absences: new Map([['02/06/2025', 'vacation']])
+        });
+        assert.deepEqual(provider.getTimeData('01/06/2025'), { checkin: '09:00', checkout: '21:00' });
+        assert.equal(provider.getTimeData('02/06/2025'), null);
+        assert.equal(provider.getTimeData('03/06/2025'), null);
+        assert.match(provider.getSummary().warning, /cannot be met/);
+    });
+});
@@ -0,0 +1,33 @@
+// Tests for the shared settings definitions of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, SYNC_QUOTA, getSyncItemSize, findSyncQuotaProblem } from '../src/content/settings.js';
+
+describe('getSyncItemSize', () => {
+    it('counts the key and the JSON value in UTF-8 bytes', () => {
+        assert.equal(getSyncItemSize('startTime', '09:00'), 'startTime"09:00"'.length);
+        assert.equal(getSyncItemSize('day', 'א'), 'day""'.length + 2);
+    });
+});
+
+describe('findSyncQuotaProblem', () => {
+    it('accepts the default settings', () => {
+        assert.equal(findSyncQuotaProblem(DEFAULT_SETTINGS), null);
+    });
+
+    it('reports an item over the per-item quota', () => {
+        const problem = findSyncQuotaProblem({ startTime: '09:00', 'profile:Big': 'x'.repeat(SYNC_QUOTA.bytesPerItem) });
+        assert.match(problem, /^"profile:Big" is \d+ bytes, the limit per setting is 8192$/);
+    });
+
+    it('reports items over the total quota', () => {
+        const items = Object.fromEntries(Array.from({ length: 20 }, (_, index) => [`item${index}`, 'x'.repeat(6000)]));
+        assert.match(findSyncQuotaProblem(items), /bytes in total, the limit is 102400$/);
+    });
+
+    it('reports too many items and empty keys', () => {
+        const items = Object.fromEntries(Array.from({ length: SYNC_QUOTA.maxItems + 1 }, (_, index) => [`item${index}`, 1]));
+        assert.equal(findSyncQuotaProblem(items), `${SYNC_QUOTA.maxItems + 1} settings, the limit is ${SYNC_QUOTA.maxItems}`);
+        assert.equal(findSyncQuotaProblem({ '': 1 }), 'a setting has an empty name');
+    });
+});
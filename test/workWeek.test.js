@@ -0,0 +1,51 @@
+// Tests for the work week and day policy helpers of Meckano Time Tracker Helper
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isScheduledWorkDay, getHolidayPolicy, applyDayPolicy } from '../src/content/workWeek.js';
+
+describe('isScheduledWorkDay', () => {
+    it('treats a regular weekday as a working day', () => {
+        assert.equal(isScheduledWorkDay('05/10/2025'), true);
+    });
+
+    it('follows the bundled work week (Friday off)', () => {
+        assert.equal(isScheduledWorkDay('10/10/2025'), false);
+    });
+
+    it('follows the user work week over the bundled one', () => {
+        assert.equal(isScheduledWorkDay('10/10/2025', { workWeek: { 'ו': 'halfDay' } }), true);
+    });
+
+    it('skips holidays whose policy is skip (Yom Kippur)', () => {
+        assert.equal(isScheduledWorkDay('02/10/2025'), false);
+    });
+
+    it('keeps holidays the user works on', () => {
+        assert.equal(isScheduledWorkDay('02/10/2025', { holidayPolicies: { holiday: { type: 'halfDay' } } }), true);
+    });
+
+    it('keeps Chol HaMoed as a working day by default', () => {
+        assert.equal(isScheduledWorkDay('08/10/2025'), true);
+    });
+});
+
+describe('getHolidayPolicy', () => {
+    it('falls back to work for invalid policies', () => {
+        assert.deepEqual(getHolidayPolicy('holiday', { holiday: { type: 'nap' } }), { type: 'work' });
+    });
+});
+
+describe('applyDayPolicy', () => {
+    it('keeps the first half of the worked minutes on half days', () => {
+        const halfDay = applyDayPolicy([
+            { checkin: '08:00', checkout: '12:00' },
+            { checkin: '13:00', checkout: '17:00' }
+        ], { type: 'halfDay' });
+        assert.deepEqual(halfDay, [{ checkin: '08:00', checkout: '12:00' }]);
+    });
+
+    it('replaces the hours with custom hours', () => {
+        assert.deepEqual(applyDayPolicy({ checkin: '09:00', checkout: '18:00' }, { type: 'customHours', checkin: '08:00', checkout: '13:00' }),
+            { checkin: '08:00', checkout: '13:00' });
+    });
+});
@@ -1,29 +1,42 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
 
-export default defineConfig({
-  build: {
-    outDir: 'dist',
-    emptyOutDir: true,
-    rollupOptions: {
-      input: {
-        content: resolve(__dirname, 'src/content/content.js'),
-        popup: resolve(__dirname, 'src/popup/popup.js'),
+// One bundle per entry, built one at a time by scripts/build.js (npm run build)
+const ENTRIES = {
+  content: 'src/content/content.js',
+  popup: 'src/popup/popup.js',
+  background: 'src/background/background.js',
+  options: 'src/options/options.js'
+};
+
+export default defineConfig(() => {
+  const entry = process.env.BUILD_ENTRY || 'content';
+
+  return {
+    build: {
+      outDir: 'dist',
+      // scripts/build.js empties dist once before the first entry
+      emptyOutDir: false,
+      rollupOptions: {
+        input: {
+          [entry]: resolve(__dirname, ENTRIES[entry])
+        },
+        output: {
+          entryFileNames: '[name].js',
+          assetFileNames: '[name].[ext]',
+          // Everything the entry imports goes into its own file
+          inlineDynamicImports: true
+        }
       },
-      output: {
-        entryFileNames: '[name].js',
-        chunkFileNames: '[name].js',
-        assetFileNames: '[name].[ext]'
-      }
+      // Don't minify for easier debugging
+      minify: false,
+      sourcemap: false
     },
-    // Don't minify for easier debugging
-    minify: false,
-    sourcemap: false
-  },
-  // Copy static assets
-  publicDir: 'src/public',
-  define: {
-    // Ensure we can access Chrome APIs
-    'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production')
-  }
+    // Copy static assets
+    publicDir: 'src/public',
+    define: {
+      // Ensure we can access Chrome APIs
+      'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production')
+    }
+  };
 });